@@ -0,0 +1,119 @@
+// Keep per-tick pipeline logging out of the way unless explicitly requested
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const path = require('path');
+const fs = require('fs');
+const { BacktestRunner, loadTicks } = require('../src/services/backtest/backtestRunner');
+const { SignalRuleRepository } = require('../src/repositories/signalRuleRepository');
+const { CONFIG } = require('../src/config/config');
+
+function parseOptions(args) {
+	const positional = [];
+	const options = {};
+
+	args.forEach((arg) => {
+		const match = arg.match(/^--([^=]+)=(.*)$/);
+		if (match) {
+			options[match[1]] = match[2];
+		} else {
+			positional.push(arg);
+		}
+	});
+
+	return { positional, options };
+}
+
+const toNumber = (value) => (value === undefined ? undefined : Number.parseFloat(value));
+
+async function runBacktest(inputFile, symbol, outputDir, options = {}) {
+	const ticks = await loadTicks(inputFile);
+	console.log(`📥 Loaded ${ticks.length} ticks from ${inputFile}`);
+
+	const settings = {};
+	if (options['stop-loss'] !== undefined) settings.stopLoss = toNumber(options['stop-loss']);
+	if (options['take-profit'] !== undefined) settings.takeProfit = toNumber(options['take-profit']);
+	if (options.volume !== undefined) settings.volume = toNumber(options.volume);
+	if (options['stop-loss-mode'] !== undefined) settings.stopLossMode = options['stop-loss-mode'];
+	if (options['take-profit-mode'] !== undefined) settings.takeProfitMode = options['take-profit-mode'];
+	if (options['atr-timeframe'] !== undefined) settings.atrTimeframe = options['atr-timeframe'];
+	if (options['atr-period'] !== undefined) settings.atrPeriod = Number.parseInt(options['atr-period'], 10);
+	if (options['break-even-points'] !== undefined) settings.breakEvenPoints = toNumber(options['break-even-points']);
+	if (options['break-even-lock-points'] !== undefined) settings.breakEvenLockPoints = toNumber(options['break-even-lock-points']);
+	if (options['trailing-stop-mode'] !== undefined) settings.trailingStopMode = options['trailing-stop-mode'];
+	if (options['trailing-stop-distance'] !== undefined) settings.trailingStopDistance = toNumber(options['trailing-stop-distance']);
+	if (options['partial-tp-points'] !== undefined) settings.partialTakeProfitPoints = toNumber(options['partial-tp-points']);
+	if (options['partial-close-fraction'] !== undefined) settings.partialCloseFraction = toNumber(options['partial-close-fraction']);
+
+	const paper = {};
+	if (options.balance !== undefined) paper.initialBalance = toNumber(options.balance);
+	if (options.slippage !== undefined) paper.slippage = toNumber(options.slippage);
+	if (options.commission !== undefined) paper.commissionPerLot = toNumber(options.commission);
+	if (options['contract-size'] !== undefined) paper.contractSize = toNumber(options['contract-size']);
+
+	// Run other swing detectors on the same ticks, e.g. --swing-detectors=zigzag,5m=atr_zigzag
+	const parameters = {};
+	if (options['swing-detectors'] !== undefined) {
+		parameters.swingDetection = { ...CONFIG.swingDetection, detectors: options['swing-detectors'], symbols: {} };
+	}
+
+	const runner = new BacktestRunner({
+		symbol,
+		ticks,
+		outputDir,
+		source: path.basename(inputFile),
+		parameters,
+		settings,
+		paper,
+		priceType: options['price-type'] || 'bid',
+		signalRuleRepository: options.rules ? new SignalRuleRepository({ filePath: path.resolve(options.rules) }) : null
+	});
+
+	const report = await runner.run();
+	const { summary } = report;
+
+	console.log('\n=== BACKTEST SUMMARY ===');
+	console.log(`Symbol: ${report.symbol} (${report.period.start} → ${report.period.end})`);
+	console.log(`Ticks: ${report.ticks} | Candles: ${report.candles}`);
+	console.log(`Signals: ${summary.totalSignals} (buy ${summary.buySignals} / sell ${summary.sellSignals})`);
+	console.log(`Trades: ${summary.totalTrades} | Win rate: ${(summary.winRate * 100).toFixed(2)}%`);
+	console.log(`Net profit: ${summary.netProfit.toFixed(2)} | Profit factor: ${summary.profitFactor === null ? '∞' : summary.profitFactor.toFixed(2)}`);
+	console.log(`Max drawdown: ${summary.maxDrawdown.toFixed(2)} (${summary.maxDrawdownPercent.toFixed(2)}%)`);
+	console.log(`Sharpe (per trade): ${summary.sharpeRatio === null ? 'n/a' : summary.sharpeRatio.toFixed(2)} | Longest losing streak: ${summary.longestLosingStreak}`);
+	report.swingDetectors.forEach(({ timeframe, detector, swingHighs, swingLows, inCommonPoints }) => {
+		console.log(`Swings [${timeframe} ${detector}]: ${swingHighs} highs / ${swingLows} lows, ${inCommonPoints} in common points`);
+	});
+	console.log(`Report: ${path.join(outputDir, 'backtest-report.json')}`);
+
+	return report;
+}
+
+if (require.main === module) {
+	const { positional, options } = parseOptions(process.argv.slice(2));
+	const inputFile = positional[0];
+
+	if (!inputFile || !fs.existsSync(inputFile)) {
+		console.log('Usage: node scripts/backtest.js <ticks.csv> [symbol] [outputDir] [--stop-loss=N] [--take-profit=N] [--volume=N]');
+		console.log('       [--stop-loss-mode=price|points|atr|level] [--take-profit-mode=...] [--atr-timeframe=1m] [--atr-period=14]');
+		console.log('       [--break-even-points=N] [--break-even-lock-points=N] [--trailing-stop-mode=off|points|atr] [--trailing-stop-distance=N]');
+		console.log('       [--partial-tp-points=N] [--partial-close-fraction=0.5]');
+		console.log('       [--balance=N] [--slippage=N] [--commission=N] [--contract-size=N] [--price-type=bid|ask|mid]');
+		console.log('       [--rules=signal-rules.json] [--swing-detectors=fractal,5m=zigzag]');
+		console.log('Example: node scripts/backtest.js simulation/data/ticks.csv XAUUSD ./backtest_output --volume=0.1');
+		process.exit(1);
+	}
+
+	const symbol = positional[1] || 'BTCUSDT';
+	const outputDir = positional[2] || './backtest_output';
+
+	runBacktest(inputFile, symbol, outputDir, options)
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error('Backtest failed:', error);
+			process.exit(1);
+		});
+}
+
+module.exports = {
+	runBacktest,
+	parseOptions
+};
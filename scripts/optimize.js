@@ -0,0 +1,94 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+
+const fs = require('fs');
+const path = require('path');
+const { Optimizer } = require('../src/services/backtest/optimizer');
+const { parseDuration } = require('../src/services/backtest/parameterSearch');
+const { parseOptions } = require('./backtest');
+
+const toNumber = (value) => (value === undefined ? undefined : Number.parseFloat(value));
+
+function usage() {
+	console.log('Usage: node scripts/optimize.js <ticks.csv> <symbol> <space.json> [outputDir] [options]');
+	console.log('Options:');
+	console.log('  --mode=grid|random      Search mode (default grid)');
+	console.log('  --samples=N --seed=N    Random search size and seed');
+	console.log('  --metric=NAME           profitFactor, expectancy, netProfit, winRate, returnPercent, maxDrawdown, sharpeRatio (default profitFactor)');
+	console.log('  --min-trades=N          Rank runs with fewer trades last (default 1)');
+	console.log('  --workers=N             Worker processes (default CPU count - 1)');
+	console.log('  --in-sample=6h --out-of-sample=2h   Rolling walk-forward windows');
+	console.log('  --stop-loss=N --take-profit=N --volume=N --balance=N --slippage=N --commission=N --contract-size=N');
+	console.log('Space file: { "swingLeftBars": [3, 5, 7], "signalRevisitTolerance": { "min": 0.001, "max": 0.003, "step": 0.0005 } }');
+	process.exit(1);
+}
+
+async function runOptimization(inputFile, symbol, spaceFile, outputDir, options = {}) {
+	const space = JSON.parse(await fs.promises.readFile(spaceFile, 'utf8'));
+
+	const settings = {};
+	if (options['stop-loss'] !== undefined) settings.stopLoss = toNumber(options['stop-loss']);
+	if (options['take-profit'] !== undefined) settings.takeProfit = toNumber(options['take-profit']);
+	if (options.volume !== undefined) settings.volume = toNumber(options.volume);
+
+	const paper = {};
+	if (options.balance !== undefined) paper.initialBalance = toNumber(options.balance);
+	if (options.slippage !== undefined) paper.slippage = toNumber(options.slippage);
+	if (options.commission !== undefined) paper.commissionPerLot = toNumber(options.commission);
+	if (options['contract-size'] !== undefined) paper.contractSize = toNumber(options['contract-size']);
+
+	const optimizer = new Optimizer({
+		ticksFile: inputFile,
+		symbol,
+		space,
+		mode: options.mode || 'grid',
+		samples: options.samples ? Number.parseInt(options.samples, 10) : undefined,
+		seed: options.seed ? Number.parseInt(options.seed, 10) : undefined,
+		metric: options.metric || 'profitFactor',
+		minTrades: options['min-trades'] ? Number.parseInt(options['min-trades'], 10) : undefined,
+		workers: options.workers ? Number.parseInt(options.workers, 10) : undefined,
+		inSampleMs: parseDuration(options['in-sample']),
+		outOfSampleMs: parseDuration(options['out-of-sample']),
+		outputDir,
+		settings,
+		paper
+	});
+
+	const report = await optimizer.run();
+
+	console.log(`\n=== OPTIMIZATION (${report.symbol}, ${report.mode}, metric: ${report.metric}) ===`);
+	report.windows.forEach((window) => {
+		console.log(`Window ${window.index}: in-sample ${window.inSample.from} → ${window.inSample.to}`);
+		window.ranking.slice(0, 5).forEach((result, rank) => {
+			console.log(`  #${rank + 1} ${report.metric}=${result.summary[report.metric]} trades=${result.summary.totalTrades} ${JSON.stringify(result.parameters)}`);
+		});
+		if (window.outOfSampleResult) {
+			const { summary } = window.outOfSampleResult;
+			console.log(`  out-of-sample ${window.outOfSample.from} → ${window.outOfSample.to}: ${report.metric}=${summary[report.metric]} trades=${summary.totalTrades} net=${summary.netProfit}`);
+		}
+	});
+	if (report.walkForward) {
+		console.log(`Walk-forward: ${JSON.stringify(report.walkForward)}`);
+	}
+	console.log(`Results: ${path.join(outputDir, 'optimization-results.json')}`);
+	return report;
+}
+
+if (require.main === module) {
+	const { positional, options } = parseOptions(process.argv.slice(2));
+	const [inputFile, symbol, spaceFile] = positional;
+
+	if (!inputFile || !symbol || !spaceFile || !fs.existsSync(inputFile) || !fs.existsSync(spaceFile)) {
+		usage();
+	}
+
+	const outputDir = positional[3] || `./optimization_output/${symbol.toUpperCase()}`;
+
+	runOptimization(inputFile, symbol, spaceFile, outputDir, options)
+		.then(() => process.exit(0))
+		.catch((error) => {
+			console.error('Optimization failed:', error);
+			process.exit(1);
+		});
+}
+
+module.exports = { runOptimization };
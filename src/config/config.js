@@ -10,6 +10,8 @@ const CONFIG = {
 	signalRevisitTolerance: 0.002,
 	signalExpiryBars: 20,
 	minSignalStrength: 2,
+	signalRearmDistance: 0.004, // Re-arm a fired level this far from it (fraction of price, 0 = off)
+	signalRearmBars: 3600, // Re-arm a fired level after this many 1s bars (0 = off)
 	live: {
 		candleInterval: 1000,
 		maxHistoryBars: 10000,
@@ -36,6 +38,71 @@ const CONFIG = {
 	defaultTakeProfit: env.defaults.takeProfit,
 	defaultVolume: env.defaults.volume,
 	port: env.port,
+	paper: {
+		enabled: env.paper.enabled,
+		initialBalance: env.paper.initialBalance,
+		slippage: env.paper.slippage,
+		commissionPerLot: env.paper.commissionPerLot,
+		contractSize: env.paper.contractSize
+	},
+	risk: {
+		enabled: env.risk.enabled,
+		maxOpenPositions: env.risk.maxOpenPositions,
+		maxTotalLots: env.risk.maxTotalLots,
+		maxDailyLoss: env.risk.maxDailyLoss,
+		maxDrawdown: env.risk.maxDrawdown,
+		minEntryIntervalMs: env.risk.minEntryIntervalMs,
+		symbol: { ...env.risk.symbol }
+	},
+	orders: {
+		fillTimeoutMs: env.orders.fillTimeoutMs,
+		maxRetries: env.orders.maxRetries,
+		retryDelayMs: env.orders.retryDelayMs
+	},
+	signalOutcomes: {
+		horizonBars: env.signalOutcomes.horizonBars,
+		stopLossMode: env.signalOutcomes.stopLossMode,
+		stopLoss: env.signalOutcomes.stopLoss,
+		takeProfitMode: env.signalOutcomes.takeProfitMode,
+		takeProfit: env.signalOutcomes.takeProfit
+	},
+	swingDetection: {
+		detectors: env.swingDetection.detectors,
+		symbols: { ...env.swingDetection.symbols },
+		zigzagDeviation: env.swingDetection.zigzagDeviation,
+		atrZigzagMultiplier: env.swingDetection.atrZigzagMultiplier,
+		atrZigzagPeriod: env.swingDetection.atrZigzagPeriod
+	},
+	indicators: {
+		smaPeriods: env.indicators.smaPeriods,
+		emaPeriods: env.indicators.emaPeriods,
+		rsiPeriod: env.indicators.rsiPeriod,
+		atrPeriod: env.indicators.atrPeriod,
+		bollingerPeriod: env.indicators.bollingerPeriod,
+		bollingerDeviations: env.indicators.bollingerDeviations,
+		vwapSessionStartHour: env.indicators.vwapSessionStartHour
+	},
+	levels: {
+		breakTimeframe: env.levels.breakTimeframe,
+		breakDistance: env.levels.breakDistance,
+		touchTolerance: env.levels.touchTolerance,
+		strengthHalfLifeHours: env.levels.strengthHalfLifeHours,
+		brokenPolicy: env.levels.brokenPolicy
+	},
+	zones: {
+		enabled: env.zones.enabled,
+		widthMode: env.zones.widthMode,
+		width: env.zones.width,
+		atrTimeframe: env.zones.atrTimeframe,
+		atrPeriod: env.zones.atrPeriod
+	},
+	reconciliation: {
+		intervalMs: env.reconciliation.intervalMs
+	},
+	control: {
+		haltOnRiskBreach: env.control.haltOnRiskBreach,
+		flattenOnAutoHalt: env.control.flattenOnAutoHalt
+	},
 	simulation: {
 		host: env.simulation.host,
 		port: env.simulation.port,
@@ -12,6 +12,22 @@ const getNumber = (value, fallback) => {
 	return Number.isFinite(parsed) ? parsed : fallback;
 };
 
+const getNumberList = (value, fallback) => {
+	if (value === undefined || value === null || value === '') {
+		return fallback;
+	}
+	const parsed = `${value}`.split(',').map(item => Number(item.trim()));
+	return parsed.every(Number.isFinite) ? parsed : fallback;
+};
+
+// Variables named prefix + symbol, keyed by the upper-cased symbol
+const getBySymbol = (prefix) => Object.keys(process.env)
+	.filter(key => key.startsWith(prefix) && process.env[key])
+	.reduce((values, key) => {
+		values[key.slice(prefix.length).toUpperCase()] = process.env[key];
+		return values;
+	}, {});
+
 const getBoolean = (value, fallback = false) => {
 	if (value === undefined || value === null) return fallback;
 	if (typeof value === 'boolean') return value;
@@ -46,6 +62,97 @@ module.exports = {
 		takeProfit: getNumber(process.env.DEFAULT_TAKE_PROFIT, 0),
 		volume: getNumber(process.env.DEFAULT_VOLUME, 0.1)
 	},
+	paper: {
+		enabled: getBoolean(process.env.PAPER_TRADING, true),
+		initialBalance: getNumber(process.env.PAPER_INITIAL_BALANCE, 10000),
+		slippage: getNumber(process.env.PAPER_SLIPPAGE, 0),
+		commissionPerLot: getNumber(process.env.PAPER_COMMISSION_PER_LOT, 0),
+		contractSize: getNumber(process.env.PAPER_CONTRACT_SIZE, 1)
+	},
+	risk: {
+		enabled: getBoolean(process.env.RISK_ENABLED, true),
+		// Account-wide limits; 0 disables a limit
+		maxOpenPositions: getNumber(process.env.RISK_MAX_OPEN_POSITIONS, 0),
+		maxTotalLots: getNumber(process.env.RISK_MAX_TOTAL_LOTS, 0),
+		maxDailyLoss: getNumber(process.env.RISK_MAX_DAILY_LOSS, 0),
+		maxDrawdown: getNumber(process.env.RISK_MAX_DRAWDOWN, 0),
+		minEntryIntervalMs: getNumber(process.env.RISK_MIN_ENTRY_INTERVAL_MS, 0),
+		// Default limits for each symbol
+		symbol: {
+			maxOpenPositions: getNumber(process.env.RISK_SYMBOL_MAX_OPEN_POSITIONS, 0),
+			maxTotalLots: getNumber(process.env.RISK_SYMBOL_MAX_TOTAL_LOTS, 0),
+			maxDailyLoss: getNumber(process.env.RISK_SYMBOL_MAX_DAILY_LOSS, 0),
+			maxDrawdown: getNumber(process.env.RISK_SYMBOL_MAX_DRAWDOWN, 0),
+			minEntryIntervalMs: getNumber(process.env.RISK_SYMBOL_MIN_ENTRY_INTERVAL_MS, 0)
+		}
+	},
+	orders: {
+		// Market orders without a fill confirmation after this long are marked expired
+		fillTimeoutMs: getNumber(process.env.ORDER_FILL_TIMEOUT_MS, 30000),
+		// Retries of placeOrder after a bridge timeout or disconnect (same clientOrderId)
+		maxRetries: getNumber(process.env.ORDER_MAX_RETRIES, 2),
+		retryDelayMs: getNumber(process.env.ORDER_RETRY_DELAY_MS, 1000)
+	},
+	signalOutcomes: {
+		// Every signal is followed on 1s candles for this many bars unless a virtual SL/TP is hit first
+		horizonBars: getNumber(process.env.SIGNAL_OUTCOME_BARS, 300),
+		// Virtual stop and target, in the stop modes of the symbol settings (price, points, atr, level)
+		stopLossMode: process.env.SIGNAL_OUTCOME_SL_MODE || 'atr',
+		stopLoss: getNumber(process.env.SIGNAL_OUTCOME_SL, 1),
+		takeProfitMode: process.env.SIGNAL_OUTCOME_TP_MODE || 'atr',
+		takeProfit: getNumber(process.env.SIGNAL_OUTCOME_TP, 2)
+	},
+	swingDetection: {
+		// Detector per timeframe, e.g. "fractal,5m=zigzag,1m=fractal+close_pivot" ("+" runs both)
+		detectors: process.env.SWING_DETECTORS || 'fractal',
+		// Per-symbol specs from SWING_DETECTORS_<SYMBOL>, used before SWING_DETECTORS
+		symbols: getBySymbol('SWING_DETECTORS_'),
+		// zigzag reverses at this fraction of the price, atr_zigzag at a multiple of ATR(period)
+		zigzagDeviation: getNumber(process.env.SWING_ZIGZAG_DEVIATION, 0.001),
+		atrZigzagMultiplier: getNumber(process.env.SWING_ZIGZAG_ATR_MULTIPLIER, 3),
+		atrZigzagPeriod: getNumber(process.env.SWING_ZIGZAG_ATR_PERIOD, 14)
+	},
+	indicators: {
+		// Computed on the 1s series and every timeframe; SMA and EMA for each listed period
+		smaPeriods: getNumberList(process.env.INDICATOR_SMA_PERIODS, [20]),
+		emaPeriods: getNumberList(process.env.INDICATOR_EMA_PERIODS, [9, 21]),
+		rsiPeriod: getNumber(process.env.INDICATOR_RSI_PERIOD, 14),
+		atrPeriod: getNumber(process.env.INDICATOR_ATR_PERIOD, 14),
+		bollingerPeriod: getNumber(process.env.INDICATOR_BOLLINGER_PERIOD, 20),
+		bollingerDeviations: getNumber(process.env.INDICATOR_BOLLINGER_DEVIATIONS, 2),
+		// VWAP restarts every day at this UTC hour
+		vwapSessionStartHour: getNumber(process.env.INDICATOR_VWAP_SESSION_START_HOUR, 0)
+	},
+	levels: {
+		// A close this far beyond a level (fraction of its price) on this timeframe breaks it
+		breakTimeframe: process.env.LEVEL_BREAK_TIMEFRAME || '1m',
+		breakDistance: getNumber(process.env.LEVEL_BREAK_DISTANCE, 0.0005),
+		// A 1s candle within this distance touches a level, once per visit
+		touchTolerance: getNumber(process.env.LEVEL_TOUCH_TOLERANCE, 0.0005),
+		// Strength halves over this many hours without a touch
+		strengthHalfLifeHours: getNumber(process.env.LEVEL_STRENGTH_HALF_LIFE_HOURS, 24),
+		// flip: a broken level changes role once and retires on its second break; retire: retires at once
+		brokenPolicy: process.env.LEVEL_BROKEN_POLICY || 'flip'
+	},
+	zones: {
+		// Signals are evaluated against zones of merged levels instead of single levels
+		enabled: getBoolean(process.env.SIGNAL_ZONES, true),
+		// percent: width is a fraction of the price; atr: a multiple of ATR(period) on the timeframe
+		widthMode: process.env.ZONE_WIDTH_MODE || 'percent',
+		width: getNumber(process.env.ZONE_WIDTH, 0.0005),
+		atrTimeframe: process.env.ZONE_ATR_TIMEFRAME || '1m',
+		atrPeriod: getNumber(process.env.ZONE_ATR_PERIOD, 14)
+	},
+	reconciliation: {
+		// Compare local positions with the broker this often; 0 only reconciles after reconnects
+		intervalMs: getNumber(process.env.RECONCILE_INTERVAL_MS, 300000)
+	},
+	control: {
+		// Halt automatically when a daily-loss or drawdown limit is reached
+		haltOnRiskBreach: getBoolean(process.env.HALT_ON_RISK_BREACH, true),
+		// Close positions and cancel pending orders on an automatic halt
+		flattenOnAutoHalt: getBoolean(process.env.HALT_FLATTEN_POSITIONS, true)
+	},
 	simulation: {
 		host: process.env.SIMULATION_HOST || '127.0.0.1',
 		port: getNumber(process.env.SIMULATION_PORT, 8081),
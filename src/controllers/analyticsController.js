@@ -0,0 +1,24 @@
+function createAnalyticsController(performanceAnalytics) {
+	return {
+		getPerformance: async (req, res, next) => {
+			try {
+				const { from, to } = req.query;
+				for (const [name, value] of [['from', from], ['to', to]]) {
+					if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+						return res.status(400).json({ error: `${name} must be a date` });
+					}
+				}
+
+				res.json(await performanceAnalytics.getPerformance({
+					symbol: req.pipeline ? req.pipeline.symbol : null,
+					from: from || null,
+					to: to || null
+				}));
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createAnalyticsController };
@@ -1,24 +1,146 @@
 const { CONFIG } = require('../config/config');
 const logger = require('../utils/logger');
+const { SIZING_MODES } = require('../services/trading/positionSizer');
+const { STOP_MODES, ATR_TIMEFRAMES } = require('../services/trading/stopLevels');
+const { TRAILING_MODES } = require('../services/trading/positionManager');
 
-function createConfigController(tradingService, configRepository) {
+const RISK_LIMIT_KEYS = ['maxOpenPositions', 'maxTotalLots', 'maxDailyLoss', 'maxDrawdown', 'minEntryIntervalMs'];
+
+const toNumber = (value, fallback) => Number.parseFloat(value ?? fallback);
+
+/**
+ * Validate a PUT body into symbol settings. Omitted fields fall back to the defaults.
+ * @returns {{ settings?: Object, error?: string }}
+ */
+function parseSettings(body = {}) {
+	const {
+		autoTrade = true,
+		sizingMode = 'fixed',
+		stopLossMode = 'price',
+		takeProfitMode = 'price',
+		trailingStopMode = 'off',
+		risk
+	} = body;
+
+	const settings = {
+		stopLoss: toNumber(body.stopLoss, CONFIG.defaultStopLoss),
+		takeProfit: toNumber(body.takeProfit, CONFIG.defaultTakeProfit),
+		volume: toNumber(body.volume, CONFIG.defaultVolume),
+		autoTrade: Boolean(autoTrade),
+		sizingMode,
+		stopLossMode,
+		takeProfitMode,
+		trailingStopMode
+	};
+
+	if (Number.isNaN(settings.stopLoss) || Number.isNaN(settings.takeProfit) || Number.isNaN(settings.volume)) {
+		return { error: 'stopLoss, takeProfit, and volume must be numbers' };
+	}
+	if (settings.stopLoss < 0 || settings.takeProfit < 0) {
+		return { error: 'stopLoss and takeProfit must not be negative' };
+	}
+	if (!STOP_MODES.includes(stopLossMode) || !STOP_MODES.includes(takeProfitMode)) {
+		return { error: `stopLossMode and takeProfitMode must be one of ${STOP_MODES.join(', ')}` };
+	}
+	if (!TRAILING_MODES.includes(trailingStopMode)) {
+		return { error: `trailingStopMode must be one of ${TRAILING_MODES.join(', ')}` };
+	}
+
+	// Position management; 0 disables each rule
+	for (const key of ['breakEvenPoints', 'breakEvenLockPoints', 'trailingStopDistance', 'partialTakeProfitPoints']) {
+		const value = toNumber(body[key], 0);
+		if (!Number.isFinite(value) || value < 0) {
+			return { error: `${key} must be a non-negative number` };
+		}
+		settings[key] = value;
+	}
+	settings.partialCloseFraction = toNumber(body.partialCloseFraction, 0);
+	if (!(settings.partialCloseFraction >= 0 && settings.partialCloseFraction < 1)) {
+		return { error: 'partialCloseFraction must be at least 0 and below 1' };
+	}
+	if (trailingStopMode !== 'off' && !(settings.trailingStopDistance > 0)) {
+		return { error: 'trailingStopDistance is required when trailingStopMode is set' };
+	}
+
+	if (stopLossMode === 'atr' || takeProfitMode === 'atr' || trailingStopMode === 'atr') {
+		settings.atrTimeframe = body.atrTimeframe ?? '1m';
+		settings.atrPeriod = Number(body.atrPeriod ?? 14);
+		if (!ATR_TIMEFRAMES.includes(settings.atrTimeframe)) {
+			return { error: `atrTimeframe must be one of ${ATR_TIMEFRAMES.join(', ')}` };
+		}
+		if (!Number.isInteger(settings.atrPeriod) || settings.atrPeriod < 1) {
+			return { error: 'atrPeriod must be a positive integer' };
+		}
+	}
+	if (!SIZING_MODES.includes(sizingMode)) {
+		return { error: `sizingMode must be one of ${SIZING_MODES.join(', ')}` };
+	}
+
+	if (sizingMode === 'riskPercent') {
+		settings.riskPercent = toNumber(body.riskPercent);
+		if (!(settings.riskPercent > 0 && settings.riskPercent <= 100)) {
+			return { error: 'riskPercent must be a number between 0 and 100' };
+		}
+	}
+	if (sizingMode === 'fixedRiskAmount') {
+		settings.riskAmount = toNumber(body.riskAmount);
+		if (!(settings.riskAmount > 0)) {
+			return { error: 'riskAmount must be a positive number' };
+		}
+	}
+	if (sizingMode !== 'fixed' && !(settings.stopLoss > 0)) {
+		return { error: `${sizingMode} sizing requires a stopLoss` };
+	}
+
+	if (risk !== undefined) {
+		if (!risk || typeof risk !== 'object' || Array.isArray(risk)) {
+			return { error: 'risk must be an object of limits' };
+		}
+		const unknown = Object.keys(risk).filter(key => !RISK_LIMIT_KEYS.includes(key));
+		if (unknown.length > 0) {
+			return { error: `Unknown risk limits: ${unknown.join(', ')}` };
+		}
+		settings.risk = {};
+		for (const key of Object.keys(risk)) {
+			const value = Number(risk[key]);
+			if (!Number.isFinite(value) || value < 0) {
+				return { error: `risk.${key} must be a non-negative number` };
+			}
+			settings.risk[key] = value;
+		}
+	}
+
+	return { settings };
+}
+
+function createConfigController(pipelines, configRepository) {
 	const normalizeSymbol = (symbol) => symbol.toUpperCase();
 
+	// Settings may also exist for symbols that are not running; they are only stored
+	const applySettings = (symbol, settings) => {
+		const pipeline = pipelines.get(symbol);
+		if (pipeline) {
+			pipeline.tradingService.setSymbolSettings(symbol, settings);
+		}
+	};
+
 	const ensureConfigLoaded = async () => {
 		await configRepository.load();
-		const symbolKey = normalizeSymbol(tradingService.symbol);
-		const existing = configRepository.get(symbolKey);
-		if (existing) {
-			tradingService.setSymbolSettings(symbolKey, existing);
-		} else {
-			const defaults = {
-				stopLoss: CONFIG.defaultStopLoss,
-				takeProfit: CONFIG.defaultTakeProfit,
-				volume: CONFIG.defaultVolume
-			};
-			configRepository.set(symbolKey, defaults);
-			tradingService.setSymbolSettings(symbolKey, defaults);
-			await configRepository.persist(symbolKey, defaults);
+		for (const pipeline of pipelines.list()) {
+			const symbolKey = pipeline.symbol;
+			const existing = configRepository.get(symbolKey);
+			if (existing) {
+				applySettings(symbolKey, existing);
+			} else {
+				const defaults = {
+					stopLoss: CONFIG.defaultStopLoss,
+					takeProfit: CONFIG.defaultTakeProfit,
+					volume: CONFIG.defaultVolume
+				};
+				configRepository.set(symbolKey, defaults);
+				applySettings(symbolKey, defaults);
+				await configRepository.persist(symbolKey, defaults);
+			}
 		}
 	};
 
@@ -52,25 +174,13 @@ function createConfigController(tradingService, configRepository) {
 			try {
 				await ensureConfigLoaded();
 				const symbol = normalizeSymbol(req.params.symbol);
-				const { stopLoss, takeProfit, volume, autoTrade = true } = req.body || {};
-
-				const numericStopLoss = Number.parseFloat(stopLoss ?? CONFIG.defaultStopLoss);
-				const numericTakeProfit = Number.parseFloat(takeProfit ?? CONFIG.defaultTakeProfit);
-				const numericVolume = Number.parseFloat(volume ?? CONFIG.defaultVolume);
-
-				if (Number.isNaN(numericStopLoss) || Number.isNaN(numericTakeProfit) || Number.isNaN(numericVolume)) {
-					return res.status(400).json({ error: 'stopLoss, takeProfit, and volume must be numbers' });
+				const { settings: newSettings, error } = parseSettings(req.body || {});
+				if (error) {
+					return res.status(400).json({ error });
 				}
 
-				const newSettings = {
-					stopLoss: numericStopLoss,
-					takeProfit: numericTakeProfit,
-					volume: numericVolume,
-					autoTrade: Boolean(autoTrade)
-				};
-
 				configRepository.set(symbol, newSettings);
-				tradingService.setSymbolSettings(symbol, newSettings);
+				applySettings(symbol, newSettings);
 				await configRepository.persist(symbol, newSettings);
 
 				res.json({ symbol, settings: newSettings });
@@ -84,7 +194,10 @@ function createConfigController(tradingService, configRepository) {
 				await ensureConfigLoaded();
 				const symbol = normalizeSymbol(req.params.symbol);
 				configRepository.delete(symbol);
-				tradingService.removeSymbolSettings(symbol);
+				const pipeline = pipelines.get(symbol);
+				if (pipeline) {
+					pipeline.tradingService.removeSymbolSettings(symbol);
+				}
 				await configRepository.remove(symbol);
 				res.status(204).end();
 			} catch (error) {
@@ -0,0 +1,50 @@
+const flag = (value) => value === true || value === 'true';
+
+function createControlController(tradingControl) {
+	// Who pressed the switch: the body's triggeredBy, else the caller's address
+	const describeCaller = (req) => `${(req.body && req.body.triggeredBy) || req.ip || 'unknown'}`;
+
+	return {
+		getState: async (req, res, next) => {
+			try {
+				res.json(tradingControl.getState());
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		halt: async (req, res, next) => {
+			try {
+				const body = req.body || {};
+				const result = await tradingControl.halt({
+					reason: body.reason ? `${body.reason}` : undefined,
+					triggeredBy: describeCaller(req),
+					source: 'manual',
+					cancelOrders: flag(body.cancelOrders),
+					closePositions: flag(body.closePositions)
+				});
+				res.json(result);
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		resume: async (req, res, next) => {
+			try {
+				const body = req.body || {};
+				const result = await tradingControl.resume({
+					reason: body.reason ? `${body.reason}` : undefined,
+					triggeredBy: describeCaller(req)
+				});
+				if (!result.wasHalted) {
+					return res.status(409).json({ error: 'Trading is not halted', state: result.state });
+				}
+				res.json(result);
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createControlController };
@@ -1,11 +1,17 @@
 const { getClient } = require('../infrastructure/storage/aerospikeClient');
 
-function getHealth(tradingService, analyzerService) {
+function getHealth(pipelines) {
 	return async (req, res) => {
+		const analyzers = pipelines.list().reduce((acc, pipeline) => {
+			acc[pipeline.symbol] = pipeline.analyzerService.getStatus();
+			return acc;
+		}, {});
+
 		res.json({
 			status: 'ok',
-			dataSourceConnected: tradingService.dataSource.isConnected,
-			analyzer: analyzerService.getStatus(),
+			// Pipelines share one data source connection
+			dataSourceConnected: pipelines.list().every(pipeline => pipeline.dataSource.isConnected),
+			analyzers,
 			aerospikeConnected: (() => {
 				try {
 					return Boolean(getClient());
@@ -18,4 +24,3 @@ function getHealth(tradingService, analyzerService) {
 }
 
 module.exports = { getHealth };
-
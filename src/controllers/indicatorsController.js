@@ -0,0 +1,32 @@
+const { TIMEFRAMES } = require('../services/trading/signalRules');
+
+function createIndicatorsController() {
+	return {
+		// Latest indicator values of every timeframe, or of ?timeframe=
+		getIndicators: async (req, res, next) => {
+			try {
+				const indicators = req.pipeline.analyzerService.getIndicatorService();
+				const { timeframe } = req.query;
+
+				if (timeframe === undefined) {
+					return res.json({
+						symbol: req.pipeline.symbol,
+						timeframes: indicators.getSnapshot()
+					});
+				}
+				if (!TIMEFRAMES.includes(timeframe)) {
+					return res.status(400).json({ error: `timeframe must be one of ${TIMEFRAMES.join(', ')}` });
+				}
+				res.json({
+					symbol: req.pipeline.symbol,
+					timeframe,
+					values: indicators.getValues(timeframe)
+				});
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createIndicatorsController };
@@ -0,0 +1,147 @@
+const { ORDER_STATUSES } = require('../services/trading/orderTracker');
+
+const ORDER_SIDES = ['buy', 'sell'];
+const CLIENT_ORDER_ID = /^[A-Za-z0-9_.:-]{1,64}$/;
+const ORDER_TYPES = ['market', 'limit'];
+
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? 0 : Number(value));
+
+/**
+ * Validate the shape of a POST /orders body. Volume and prices are checked
+ * against the symbol metadata by TradingService.
+ * @returns {{ order?: Object, error?: string }}
+ */
+function parseOrder(body = {}) {
+	const type = `${body.type || ''}`.toLowerCase();
+	const orderType = `${body.orderType || 'market'}`.toLowerCase();
+
+	if (!ORDER_SIDES.includes(type)) {
+		return { error: `type must be one of ${ORDER_SIDES.join(', ')}` };
+	}
+	if (!ORDER_TYPES.includes(orderType)) {
+		return { error: `orderType must be one of ${ORDER_TYPES.join(', ')}` };
+	}
+
+	const order = {
+		type,
+		orderType,
+		volume: Number(body.volume),
+		stopLoss: optionalNumber(body.stopLoss),
+		takeProfit: optionalNumber(body.takeProfit),
+		comment: body.comment ? `${body.comment}` : undefined,
+		clientOrderId: body.clientOrderId ? `${body.clientOrderId}` : null
+	};
+
+	if (order.clientOrderId && !CLIENT_ORDER_ID.test(order.clientOrderId)) {
+		return { error: 'clientOrderId must be 1-64 letters, digits or _ . : -' };
+	}
+
+	if (!Number.isFinite(order.volume)) {
+		return { error: 'volume must be a number' };
+	}
+	if (!Number.isFinite(order.stopLoss) || !Number.isFinite(order.takeProfit) || order.stopLoss < 0 || order.takeProfit < 0) {
+		return { error: 'stopLoss and takeProfit must be non-negative numbers' };
+	}
+	if (orderType === 'limit') {
+		order.price = Number(body.price);
+		if (!Number.isFinite(order.price)) {
+			return { error: 'price is required for limit orders' };
+		}
+	}
+
+	return { order };
+}
+
+function createOrdersController(pipelines) {
+	// Scoped to the request's pipeline when a symbol was given, else every pipeline
+	const trackersFor = (req) => (req.pipeline ? [req.pipeline] : pipelines.list())
+		.map(pipeline => pipeline.tradingService.orderTracker);
+
+	return {
+		list: async (req, res, next) => {
+			try {
+				const status = req.query.status || null;
+				if (status && !ORDER_STATUSES.includes(status)) {
+					return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(', ')}` });
+				}
+				const limit = Math.min(Number.parseInt(req.query.limit, 10) || 100, 500);
+
+				const orders = trackersFor(req)
+					.flatMap(tracker => tracker.list({ status }))
+					.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+				res.json({ orders: orders.slice(0, limit) });
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		get: async (req, res, next) => {
+			try {
+				const order = trackersFor(req)
+					.map(tracker => tracker.find(req.params.id))
+					.find(Boolean);
+				if (!order) {
+					return res.status(404).json({ error: `No order with id or ticket ${req.params.id}` });
+				}
+				res.json({ order });
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		place: async (req, res, next) => {
+			try {
+				const { tradingService } = req.pipeline;
+				if (!tradingService.canTrade()) {
+					return res.status(409).json({ error: `${req.pipeline.symbol} is running on a data source that cannot place orders` });
+				}
+
+				const { order, error } = parseOrder(req.body || {});
+				if (error) {
+					return res.status(400).json({ error });
+				}
+
+				const result = await tradingService.placeManualOrder(order);
+				if (result.duplicate) {
+					return res.json({ symbol: tradingService.symbol, duplicate: true, tracked: result.tracked });
+				}
+				if (result.error) {
+					return res.status(400).json({ error: result.error });
+				}
+				if (result.rejection) {
+					return res.status(422).json({
+						error: result.rejection.reason,
+						rule: result.rejection.rule,
+						order: result.order
+					});
+				}
+
+				res.status(201).json({
+					symbol: tradingService.symbol,
+					order: result.order,
+					response: result.response,
+					tracked: result.tracked
+				});
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		cancel: async (req, res, next) => {
+			try {
+				const result = await req.pipeline.tradingService.cancelOrder(req.params.ticket);
+				if (result.notFound) {
+					return res.status(404).json({ error: result.error });
+				}
+				if (result.error) {
+					return res.status(409).json({ error: result.error });
+				}
+				res.json({ symbol: req.pipeline.symbol, ticket: req.params.ticket, response: result.response });
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createOrdersController };
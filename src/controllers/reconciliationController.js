@@ -0,0 +1,21 @@
+function createReconciliationController(reconciliationService) {
+	return {
+		getReport: async (req, res, next) => {
+			try {
+				res.json(reconciliationService.getReport());
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		run: async (req, res, next) => {
+			try {
+				res.json(await reconciliationService.runAll('request'));
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createReconciliationController };
@@ -0,0 +1,24 @@
+function createRiskController(riskManager) {
+	return {
+		getState: async (req, res, next) => {
+			try {
+				if (req.query.symbol) {
+					return res.json(riskManager.getSymbolState(req.query.symbol));
+				}
+				res.json(riskManager.getState());
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		getSymbolState: async (req, res, next) => {
+			try {
+				res.json(req.pipeline.tradingService.riskManager.getSymbolState(req.pipeline.symbol));
+			} catch (error) {
+				next(error);
+			}
+		}
+	};
+}
+
+module.exports = { createRiskController };
@@ -1,9 +1,37 @@
-function createSignalsController(analyzerService) {
+function createSignalsController() {
 	return {
 		getSummary: async (req, res, next) => {
 			try {
-				const summary = analyzerService.getSignalService().getSignalsSummary();
-				res.json(summary);
+				const summary = req.pipeline.analyzerService.getSignalService().getSignalsSummary();
+				res.json({
+					symbol: req.pipeline.symbol,
+					...summary
+				});
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		getOutcomes: async (req, res, next) => {
+			try {
+				const tracker = req.pipeline.analyzerService.getSignalOutcomeTracker();
+				const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : 100;
+				res.json({
+					symbol: req.pipeline.symbol,
+					summary: tracker.getSummary(),
+					outcomes: tracker.getOutcomes(limit > 0 ? limit : 100)
+				});
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		getRules: async (req, res, next) => {
+			try {
+				res.json({
+					symbol: req.pipeline.symbol,
+					rules: req.pipeline.analyzerService.getSignalService().getRules()
+				});
 			} catch (error) {
 				next(error);
 			}
@@ -12,4 +40,3 @@ function createSignalsController(analyzerService) {
 }
 
 module.exports = { createSignalsController };
-
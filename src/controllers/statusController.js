@@ -1,13 +1,21 @@
-function getStatus(tradingService, analyzerService) {
+function getStatus(pipelines) {
 	return async (req, res) => {
 		res.json({
-			symbol: tradingService.symbol,
-			analyzer: analyzerService.getStatus(),
-			openTrades: tradingService.getOpenTrades().length,
-			tradeHistory: tradingService.getTradeHistory().length
+			symbols: pipelines.getStatus()
 		});
 	};
 }
 
-module.exports = { getStatus };
+function getSymbolStatus(req, res) {
+	res.json(req.pipeline.getStatus());
+}
+
+function getSymbols(pipelines) {
+	return async (req, res) => {
+		res.json({
+			symbols: pipelines.symbols()
+		});
+	};
+}
 
+module.exports = { getStatus, getSymbolStatus, getSymbols };
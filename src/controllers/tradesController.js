@@ -1,9 +1,17 @@
-function createTradesController(tradingService) {
+const optionalNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+const DEFAULT_HISTORY_LIMIT = 100;
+const MAX_HISTORY_LIMIT = 1000;
+
+const errorStatus = (message) => (message.startsWith('No open') ? 404 : 400);
+
+function createTradesController(pipelines, tradeJournal) {
 	return {
 		getOpen: async (req, res, next) => {
 			try {
+				const { tradingService } = req.pipeline;
 				if (req.query.refresh === 'true') {
-					await tradingService.refreshOpenTrades();
+					await tradingService.reconcile('request');
 				}
 				res.json({
 					symbol: tradingService.symbol,
@@ -14,21 +22,101 @@ function createTradesController(tradingService) {
 			}
 		},
 
+		/**
+		 * Page through the trade journal, newest first. Filters: symbol (path or query),
+		 * from/to (ISO dates), signalType, event (comma-separated), limit and the cursor
+		 * returned as nextCursor by the previous page.
+		 */
 		getHistory: async (req, res, next) => {
 			try {
-				if (req.query.refresh === 'true') {
-					await tradingService.refreshTradeHistory({
-						from: req.query.from,
-						to: req.query.to,
-						symbol: req.query.symbol
+				const { from, to, signalType, event, cursor } = req.query;
+				for (const [name, value] of [['from', from], ['to', to]]) {
+					if (value !== undefined && Number.isNaN(new Date(value).getTime())) {
+						return res.status(400).json({ error: `${name} must be a date` });
+					}
+				}
+
+				const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : DEFAULT_HISTORY_LIMIT;
+				if (!(limit > 0)) {
+					return res.status(400).json({ error: 'limit must be a positive integer' });
+				}
+
+				const symbol = req.pipeline ? req.pipeline.symbol : null;
+				let page;
+				try {
+					page = await tradeJournal.query({
+						symbol,
+						from,
+						to,
+						signalType,
+						events: event ? `${event}`.split(',').map(value => value.trim()).filter(Boolean) : null,
+						limit: Math.min(limit, MAX_HISTORY_LIMIT),
+						cursor
 					});
+				} catch (error) {
+					if (error.message.startsWith('Invalid cursor')) {
+						return res.status(400).json({ error: error.message });
+					}
+					throw error;
 				}
-				const history = tradingService.getTradeHistory();
-				const limit = req.query.limit ? Number.parseInt(req.query.limit, 10) : history.length;
-				res.json({
-					symbol: tradingService.symbol,
-					trades: history.slice(0, limit)
-				});
+
+				res.json({ symbol, entries: page.entries, nextCursor: page.nextCursor });
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		modify: async (req, res, next) => {
+			try {
+				const { stopLoss, takeProfit } = req.body || {};
+				const levels = { stopLoss: optionalNumber(stopLoss), takeProfit: optionalNumber(takeProfit) };
+				if (levels.stopLoss === undefined && levels.takeProfit === undefined) {
+					return res.status(400).json({ error: 'stopLoss or takeProfit is required' });
+				}
+				if ([levels.stopLoss, levels.takeProfit].some(value => value !== undefined && !(Number.isFinite(value) && value >= 0))) {
+					return res.status(400).json({ error: 'stopLoss and takeProfit must be non-negative numbers' });
+				}
+
+				const result = await req.pipeline.tradingService.modifyTrade(req.params.ticket, levels);
+				if (result.error) {
+					return res.status(errorStatus(result.error)).json({ error: result.error });
+				}
+				res.json({ symbol: req.pipeline.symbol, ticket: req.params.ticket, response: result.response });
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		close: async (req, res, next) => {
+			try {
+				const volume = optionalNumber((req.body && req.body.volume) ?? req.query.volume);
+				if (volume !== undefined && !Number.isFinite(volume)) {
+					return res.status(400).json({ error: 'volume must be a number' });
+				}
+
+				const result = await req.pipeline.tradingService.closeTrade(req.params.ticket, { volume: volume ?? null });
+				if (result.error) {
+					return res.status(errorStatus(result.error)).json({ error: result.error });
+				}
+				res.json({ symbol: req.pipeline.symbol, ticket: req.params.ticket, response: result.response });
+			} catch (error) {
+				next(error);
+			}
+		},
+
+		closeAll: async (req, res, next) => {
+			try {
+				const symbol = (req.body && req.body.symbol) || req.query.symbol || req.params.symbol;
+				const targets = symbol ? [pipelines.get(symbol)].filter(Boolean) : pipelines.list();
+				if (symbol && targets.length === 0) {
+					return res.status(404).json({ error: `No pipeline running for ${symbol.toUpperCase()}` });
+				}
+
+				const results = {};
+				for (const pipeline of targets) {
+					results[pipeline.symbol] = await pipeline.tradingService.closeAllTrades();
+				}
+				res.json({ symbols: results });
 			} catch (error) {
 				next(error);
 			}
@@ -37,4 +125,3 @@ function createTradesController(tradingService) {
 }
 
 module.exports = { createTradesController };
-
@@ -1,29 +1,40 @@
-const { AnalyzerService } = require('./services/analysis/analyzerService');
-const { TradingService } = require('./services/trading/tradingService');
+const path = require('path');
+const { SymbolPipeline } = require('./services/pipeline/symbolPipeline');
+const { PipelineRegistry } = require('./services/pipeline/pipelineRegistry');
+const { RiskManager } = require('./services/trading/riskManager');
+const { TradingControl } = require('./services/trading/tradingControl');
+const { ReconciliationService } = require('./services/trading/reconciliationService');
+const { TradeJournal } = require('./services/trading/tradeJournal');
 const { CONFIG } = require('./config/config');
 const { createServer } = require('./server');
 const { connectAerospike, disconnectAerospike } = require('./infrastructure/storage/aerospikeClient');
 const { SwingLevelRepository } = require('./repositories/swingLevelRepository');
 const { CandleRepository } = require('./repositories/candleRepository');
 const { ConfigRepository } = require('./repositories/configRepository');
-const { MqlDataSource, BinanceDataSource, ManualDataSource } = require('./infrastructure/data/index');
+const { SymbolMetadataRepository } = require('./repositories/symbolMetadataRepository');
+const { TradeJournalRepository } = require('./repositories/tradeJournalRepository');
+const { SignalRuleRepository } = require('./repositories/signalRuleRepository');
+const { ProcessedLevelRepository } = require('./repositories/processedLevelRepository');
+const { MqlDataSource, BinanceDataSource, ManualDataSource, PaperBrokerDataSource } = require('./infrastructure/data/index');
 const logger = require('./utils/logger');
 
 async function main() {
 	const args = process.argv.slice(2);
-	const symbol = args[0] || 'BTCUSDT';
+	// Comma-separated list, e.g. XAUUSD,EURUSD,BTCUSDT; each symbol gets its own pipeline
+	const symbols = Array.from(new Set((args[0] || 'BTCUSDT')
+		.split(',')
+		.map(value => value.trim().toUpperCase())
+		.filter(Boolean)));
 	const outputDir = args[1] || './live_analysis_output';
 	const modeArg = (args[2] || 'mql').toLowerCase();
 	const mode = modeArg === 'mt5' ? 'mql' : modeArg;
 
-	logger.info(`🚀 Starting Live Trading Analyzer for ${symbol}`);
+	logger.info(`🚀 Starting Live Trading Analyzer for ${symbols.join(', ')}`);
 	logger.info(`Output directory: ${outputDir}`);
 	logger.info(`Data source: ${mode}`);
 
-	let tradingService;
 	let apiServer;
 	let aerospikeClient;
-	let swingLevelRepository;
 	let configRepository;
 
 	let dataSource;
@@ -32,19 +43,19 @@ async function main() {
 		case 'mql':
 		case 'mt5':
 			dataSource = new MqlDataSource({
-				symbol,
+				symbols,
 				...CONFIG.mql
 			});
 			break;
 		case 'binance':
 			dataSource = new BinanceDataSource({
-				symbol
+				symbols
 			});
 			break;
 		case 'manual':
 			const simulationUrl = CONFIG.simulation.url;
 			dataSource = new ManualDataSource({
-				symbol,
+				symbols,
 				initialPrice: 50000,
 				volatility: 100,
 				intervalMs: 1000,
@@ -59,11 +70,24 @@ async function main() {
 		default:
 			logger.warn(`Unknown mode "${modeArg}". Defaulting to MQL.`);
 			dataSource = new MqlDataSource({
-				symbol,
+				symbols,
 				...CONFIG.mql
 			});
 	}
 
+	// Loaded before the paper broker, which values P&L with it
+	const symbolMetadata = new SymbolMetadataRepository();
+	await symbolMetadata.load();
+
+	if (typeof dataSource.placeOrder !== 'function' && CONFIG.paper.enabled) {
+		dataSource = new PaperBrokerDataSource({
+			feed: dataSource,
+			...CONFIG.paper,
+			symbolMetadata
+		});
+		logger.info(`🧾 Paper trading enabled (balance ${CONFIG.paper.initialBalance}, slippage ${CONFIG.paper.slippage}, commission/lot ${CONFIG.paper.commissionPerLot})`);
+	}
+
 	try {
 		aerospikeClient = await connectAerospike();
 	} catch (error) {
@@ -72,54 +96,99 @@ async function main() {
 		aerospikeClient = null;
 	}
 
-	swingLevelRepository = new SwingLevelRepository({
-		namespace: 'swing_levels',
-		fallbackToFile: true
-	});
-
 	if (aerospikeClient) {
 		try {
-			await swingLevelRepository.ensurePriceIndex();
+			await new SwingLevelRepository({ namespace: 'swing_levels' }).ensurePriceIndex();
 			logger.info('✅ Price index verified/created');
 		} catch (error) {
 			logger.error('⚠️  Failed to ensure price index:', error);
 		}
+		try {
+			await new TradeJournalRepository().ensureTimestampIndex();
+		} catch (error) {
+			logger.error('⚠️  Failed to ensure trade journal index:', error);
+		}
 	}
 
-	// Create candle repositories for 1s and all multi-timeframes
-	const candleRepository = aerospikeClient ? new CandleRepository(symbol, 'candles', '1s') : null;
-	const multiTimeframeRepositories = aerospikeClient ? {
-		'15s': new CandleRepository(symbol, 'candles', '15s'),
-		'1m': new CandleRepository(symbol, 'candles', '1m'),
-		'3m': new CandleRepository(symbol, 'candles', '3m'),
-		'5m': new CandleRepository(symbol, 'candles', '5m')
-	} : null;
-	
 	configRepository = new ConfigRepository();
+	await configRepository.load();
 
-	const analyzerService = new AnalyzerService(symbol, outputDir, {
-		swingLevelRepository,
-		candleRepository,
-		multiTimeframeRepositories
+	dataSource.on('symbol_info', (info) => {
+		if (info && info.symbol) {
+			symbolMetadata.applyBridgeInfo(info.symbol, info);
+		}
 	});
 
-	tradingService = new TradingService({
-		symbol,
-		analyzer: analyzerService,
-		dataSource,
-		priceType: 'bid',
-		defaultVolume: CONFIG.defaultVolume
+	// Edits to data/signal-rules.json apply without a restart
+	const signalRuleRepository = new SignalRuleRepository();
+	await signalRuleRepository.load();
+	signalRuleRepository.watch();
+
+	// One risk manager for the process so account-wide limits cover every symbol
+	const riskManager = new RiskManager();
+
+	// Every pipeline listens on the shared data source
+	dataSource.setMaxListeners(Math.max(10, symbols.length * 4));
+
+	const pipelines = new PipelineRegistry();
+	symbols.forEach((symbol) => {
+		const symbolOutputDir = path.join(outputDir, symbol);
+
+		// Create candle repositories for 1s and all multi-timeframes
+		const candleRepository = aerospikeClient ? new CandleRepository(symbol, 'candles', '1s') : null;
+		const multiTimeframeRepositories = aerospikeClient ? {
+			'15s': new CandleRepository(symbol, 'candles', '15s'),
+			'1m': new CandleRepository(symbol, 'candles', '1m'),
+			'3m': new CandleRepository(symbol, 'candles', '3m'),
+			'5m': new CandleRepository(symbol, 'candles', '5m')
+		} : null;
+
+		const swingLevelRepository = new SwingLevelRepository({
+			namespace: 'swing_levels',
+			filePath: path.resolve(process.cwd(), 'data', symbol, 'swing-levels.json'),
+			fallbackToFile: true,
+			symbol,
+			symbolMetadata
+		});
+
+		pipelines.register(new SymbolPipeline({
+			symbol,
+			dataSource,
+			outputDir: symbolOutputDir,
+			swingLevelRepository,
+			candleRepository,
+			multiTimeframeRepositories,
+			priceType: 'bid',
+			symbolMetadata,
+			signalRuleRepository,
+			processedLevelRepository: new ProcessedLevelRepository({
+				filePath: path.resolve(process.cwd(), 'data', symbol, 'processed-levels.json')
+			}),
+			riskManager,
+			settings: configRepository.get(symbol) || {}
+		}));
+		logger.info(`🧩 Pipeline ready for ${symbol} (output: ${symbolOutputDir})`);
 	});
-	tradingService.setSymbolSettings(symbol, {
-		stopLoss: CONFIG.defaultStopLoss,
-		takeProfit: CONFIG.defaultTakeProfit,
-		volume: CONFIG.defaultVolume
+
+	// Restore a halt from before the restart before any pipeline can trade
+	const tradingControl = new TradingControl({ pipelines, configRepository, riskManager });
+	await tradingControl.load();
+
+	const reconciliationService = new ReconciliationService({ pipelines });
+	const tradeJournal = new TradeJournal({
+		pipelines,
+		repository: new TradeJournalRepository({ useAerospike: Boolean(aerospikeClient) })
 	});
-	tradingService.start();
+
+	pipelines.startAll();
+	reconciliationService.start();
 	apiServer = createServer({
-		tradingService,
-		analyzerService,
+		pipelines,
 		configRepository,
+		riskManager,
+		tradingControl,
+		reconciliationService,
+		tradeJournal,
 		port: CONFIG.port
 	});
 	await apiServer.start();
@@ -127,24 +196,24 @@ async function main() {
 	process.on('SIGINT', async () => {
 		logger.info('\n🛑 Shutting down...');
 
-		if (tradingService) {
-			tradingService.stop();
-		}
+		reconciliationService.stop();
+		signalRuleRepository.unwatch();
+		pipelines.stopAll();
 		if (apiServer) {
 			await apiServer.stop();
 		}
 
-		const status = analyzerService.getStatus();
 		logger.info('\n=== FINAL STATUS ===');
-		logger.info(`Candles processed: ${status.candlesProcessed}`);
-		logger.info(`Common points: ${status.commonPointsCount}`);
-		logger.info(`Total signals: ${status.totalSignals}`);
-		logger.info(`Buy signals: ${status.buySignals}`);
-		logger.info(`Sell signals: ${status.sellSignals}`);
-
-		if (analyzerService.getCandleService()) {
-			await analyzerService.getCandleService().shutdown();
-		}
+		pipelines.list().forEach((pipeline) => {
+			const status = pipeline.analyzerService.getStatus();
+			logger.info(`[${pipeline.symbol}] Candles processed: ${status.candlesProcessed}`);
+			logger.info(`[${pipeline.symbol}] Common points: ${status.commonPointsCount}`);
+			logger.info(`[${pipeline.symbol}] Total signals: ${status.totalSignals}`);
+			logger.info(`[${pipeline.symbol}] Buy signals: ${status.buySignals}`);
+			logger.info(`[${pipeline.symbol}] Sell signals: ${status.sellSignals}`);
+		});
+
+		await pipelines.shutdownAll();
 
 		if (aerospikeClient) {
 			await disconnectAerospike();
@@ -154,8 +223,10 @@ async function main() {
 	});
 
 	setInterval(() => {
-		const status = analyzerService.getStatus();
-		logger.info(`📈 Status: ${status.candlesProcessed} candles | ${status.commonPointsCount} common points | ${status.totalSignals} signals`);
+		pipelines.list().forEach((pipeline) => {
+			const status = pipeline.analyzerService.getStatus();
+			logger.info(`📈 [${pipeline.symbol}] Status: ${status.candlesProcessed} candles | ${status.commonPointsCount} common points | ${status.totalSignals} signals`);
+		});
 	}, 30000);
 }
 
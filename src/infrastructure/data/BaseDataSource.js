@@ -0,0 +1,126 @@
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+
+/**
+ * Contract shared by every tick feed (MQL bridge, Binance, simulation/random).
+ * One instance may serve several symbols (`symbols`); `symbol` is the first of them
+ * and is used for ticks that arrive without a symbol.
+ *
+ * Lifecycle:
+ *   start() - open the connection (idempotent, returns immediately)
+ *   stop()  - close the connection and cancel any pending reconnect
+ *
+ * Events:
+ *   'connected'    - feed is ready to deliver ticks
+ *   'disconnected' - feed lost its connection (may reconnect on its own)
+ *   'tick'         - normalized tick: { symbol, bid, ask, volume, timestamp }
+ *                    where bid/ask/volume are numbers and timestamp is an ISO string
+ *   'error'        - Error instance; never thrown from event handlers
+ *
+ * Optional trading methods. A data source that can execute orders implements
+ * all of these; TradingService detects support with `typeof placeOrder === 'function'`,
+ * so feeds that cannot trade must not define them:
+ *   subscribeTicks(symbol)          -> Promise
+ *   placeOrder(payload)             -> Promise<order ack>
+ *       payload: { symbol, type: 'buy'|'sell', orderType: 'market'|'limit', volume, price, stopLoss, takeProfit, comment,
+ *                  clientOrderId, signalId }
+ *       a limit order is acknowledged with status 'pending' and reported as a trade once filled
+ *       payload.clientOrderId is repeated on retries: a known id returns the original ack,
+ *       and the resulting trade carries it; errors with `transient: true` may be retried
+ *   modifyPosition(params)          -> Promise<ack>
+ *       params: { ticket, symbol, stopLoss, takeProfit }
+ *   closePosition(params)           -> Promise<ack>
+ *       params: { ticket, symbol, volume, reason }; volume below the position's closes part of it
+ *   cancelOrder(params)             -> Promise<ack>    (optional) cancel a pending limit order
+ *       params: { ticket, symbol }
+ *   requestPendingOrders()          -> Promise<{ orders: Order[] }>   (optional, with cancelOrder)
+ *   requestOpenTrades()             -> Promise<{ trades: Trade[] }>
+ *   requestTradeHistory(params)     -> Promise<{ trades: Trade[] }>
+ *       params: { from, to, symbol }
+ * Trading sources also emit 'trade_update' ({ trade } or a bare trade) and 'order_ack'.
+ *
+ * A trading source may also report instrument metadata (see SymbolMetadataRepository):
+ *   requestSymbolInfo(symbol)       -> Promise<{ digits, point|tickSize, trade_contract_size|contractSize,
+ *                                                 volume_min, volume_max, volume_step }>
+ *   'symbol_info' event             - same fields plus `symbol`, pushed without a request
+ * and account figures, used for risk-based position sizing:
+ *   requestAccountInfo()            -> Promise<{ balance, equity }>
+ */
+class BaseDataSource extends EventEmitter {
+	constructor({ symbol, symbols = null, name } = {}) {
+		super();
+		this.symbols = (symbols || [symbol]).filter(Boolean).map(value => value.toUpperCase());
+		this.symbol = this.symbols[0] || null;
+		this.name = name || this.constructor.name;
+		this.isConnected = false;
+		this.isStarted = false;
+	}
+
+	start() {
+		throw new Error(`${this.name} must implement start()`);
+	}
+
+	stop() {
+		throw new Error(`${this.name} must implement stop()`);
+	}
+
+	setConnected(connected) {
+		if (this.isConnected === connected) return;
+		this.isConnected = connected;
+		this.emit(connected ? 'connected' : 'disconnected');
+	}
+
+	/**
+	 * Normalize a raw tick and emit it. Invalid ticks are dropped with a warning.
+	 * @param {Object} raw - Tick with bid/ask (or price), optional volume, symbol and time
+	 * @returns {Object|null} The emitted tick, or null when the tick was rejected
+	 */
+	emitTick(raw) {
+		const tick = this.normalizeTick(raw);
+		if (!tick) {
+			logger.warn(`⚠️  ${this.name}: dropping invalid tick ${JSON.stringify(raw)}`);
+			return null;
+		}
+		this.emit('tick', tick);
+		return tick;
+	}
+
+	normalizeTick(raw) {
+		if (!raw) return null;
+
+		const bid = Number.parseFloat(raw.bid ?? raw.price);
+		const ask = Number.parseFloat(raw.ask ?? raw.price ?? raw.bid);
+		if (Number.isNaN(bid) || Number.isNaN(ask)) {
+			return null;
+		}
+
+		const volume = Number.parseFloat(raw.volume ?? 0);
+		const rawTime = raw.timestamp ?? raw.time ?? Date.now();
+		const timestamp = new Date(typeof rawTime === 'string' && /^\d+$/.test(rawTime) ? Number(rawTime) : rawTime);
+		if (Number.isNaN(timestamp.getTime())) {
+			return null;
+		}
+
+		const symbol = (raw.symbol || this.symbol || '').toUpperCase();
+
+		return {
+			symbol,
+			bid,
+			ask,
+			volume: Number.isNaN(volume) ? 0 : volume,
+			timestamp: timestamp.toISOString()
+		};
+	}
+
+	emitError(error) {
+		const err = error instanceof Error ? error : new Error(String(error));
+		// EventEmitter throws on unhandled 'error' events; only emit when someone listens
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', err);
+		} else {
+			logger.error(`${this.name} error:`, err);
+		}
+	}
+}
+
+module.exports = { BaseDataSource };
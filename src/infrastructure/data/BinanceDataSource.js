@@ -0,0 +1,122 @@
+const WebSocket = require('ws');
+const { BaseDataSource } = require('./BaseDataSource');
+const logger = require('../../utils/logger');
+
+/**
+ * Public Binance market-data feed. Best bid/ask come from the bookTicker stream;
+ * a tick is emitted for every aggregated trade so volume and exchange time are real.
+ * All configured symbols share one combined-stream connection.
+ * This feed is read-only and does not implement the trading methods.
+ */
+class BinanceDataSource extends BaseDataSource {
+	constructor({
+		symbol,
+		symbols = null,
+		baseUrl = 'wss://stream.binance.com:9443',
+		reconnectInterval = 3000
+	} = {}) {
+		super({ symbol, symbols, name: 'BinanceDataSource' });
+		this.baseUrl = baseUrl;
+		this.reconnectInterval = reconnectInterval;
+		this.socket = null;
+		this.reconnectTimer = null;
+		this.bestQuotes = new Map();
+	}
+
+	getStreamUrl() {
+		const streams = this.symbols.map((symbol) => {
+			const stream = symbol.toLowerCase();
+			return `${stream}@bookTicker/${stream}@aggTrade`;
+		});
+		return `${this.baseUrl}/stream?streams=${streams.join('/')}`;
+	}
+
+	start() {
+		if (this.isStarted) return;
+		this.isStarted = true;
+		this.connect();
+	}
+
+	stop() {
+		if (!this.isStarted) return;
+		this.isStarted = false;
+
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		if (this.socket) {
+			this.socket.removeAllListeners();
+			this.socket.on('error', () => {});
+			this.socket.close();
+			this.socket = null;
+		}
+		this.setConnected(false);
+	}
+
+	connect() {
+		const url = this.getStreamUrl();
+		logger.info(`🔌 Connecting to Binance stream ${url}...`);
+		const socket = new WebSocket(url);
+		this.socket = socket;
+
+		socket.on('open', () => {
+			logger.info(`✅ Connected to Binance stream for ${this.symbols.join(', ')}`);
+			this.setConnected(true);
+		});
+
+		socket.on('message', (data) => {
+			this.handleMessage(data);
+		});
+
+		socket.on('close', () => {
+			this.setConnected(false);
+			if (this.isStarted && !this.reconnectTimer) {
+				logger.warn(`🔄 Binance stream closed, reconnecting in ${this.reconnectInterval}ms`);
+				this.reconnectTimer = setTimeout(() => {
+					this.reconnectTimer = null;
+					if (this.isStarted) {
+						this.connect();
+					}
+				}, this.reconnectInterval);
+			}
+		});
+
+		socket.on('error', (error) => {
+			logger.error(`❌ Binance stream error: ${error.message}`);
+			this.emitError(error);
+		});
+	}
+
+	handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			logger.warn('⚠️  Binance stream sent invalid JSON');
+			return;
+		}
+
+		const payload = message.data || message;
+
+		if (payload.e === 'aggTrade') {
+			const price = Number.parseFloat(payload.p);
+			const quote = this.bestQuotes.get(payload.s) || {};
+			this.emitTick({
+				symbol: payload.s,
+				bid: quote.bid ?? price,
+				ask: quote.ask ?? price,
+				volume: payload.q,
+				timestamp: payload.T
+			});
+		} else if (payload.b !== undefined && payload.a !== undefined) {
+			// bookTicker payloads carry no event type
+			this.bestQuotes.set(payload.s, {
+				bid: Number.parseFloat(payload.b),
+				ask: Number.parseFloat(payload.a)
+			});
+		}
+	}
+}
+
+module.exports = { BinanceDataSource };
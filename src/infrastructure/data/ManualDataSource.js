@@ -0,0 +1,145 @@
+const WebSocket = require('ws');
+const { BaseDataSource } = require('./BaseDataSource');
+const logger = require('../../utils/logger');
+
+/**
+ * Development feed. With `simulationServerUrl` it replays ticks from the simulation
+ * server (simulation/server.js); otherwise it generates an independent random walk
+ * around `initialPrice` for each symbol. Read-only: it does not implement the
+ * trading methods.
+ */
+class ManualDataSource extends BaseDataSource {
+	constructor({
+		symbol,
+		symbols = null,
+		initialPrice = 50000,
+		volatility = 100,
+		spread = 0,
+		intervalMs = 1000,
+		simulationServerUrl = null,
+		reconnectInterval = 3000
+	} = {}) {
+		super({ symbol, symbols, name: 'ManualDataSource' });
+		this.prices = new Map(this.symbols.map(value => [value, initialPrice]));
+		this.volatility = volatility;
+		this.spread = spread;
+		this.intervalMs = intervalMs;
+		this.simulationServerUrl = simulationServerUrl;
+		this.reconnectInterval = reconnectInterval;
+
+		this.timer = null;
+		this.socket = null;
+		this.reconnectTimer = null;
+	}
+
+	start() {
+		if (this.isStarted) return;
+		this.isStarted = true;
+
+		if (this.simulationServerUrl) {
+			this.connectToSimulation();
+		} else {
+			this.startRandomWalk();
+		}
+	}
+
+	stop() {
+		if (!this.isStarted) return;
+		this.isStarted = false;
+
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		if (this.socket) {
+			this.socket.removeAllListeners();
+			this.socket.on('error', () => {});
+			this.socket.close();
+			this.socket = null;
+		}
+		this.setConnected(false);
+	}
+
+	startRandomWalk() {
+		this.setConnected(true);
+		this.timer = setInterval(() => {
+			this.prices.forEach((previous, symbol) => {
+				const change = (Math.random() - 0.5) * 2 * this.volatility;
+				const price = Math.max(previous + change, Number.EPSILON);
+				this.prices.set(symbol, price);
+				this.emitTick({
+					symbol,
+					bid: price,
+					ask: price + this.spread,
+					volume: Math.random(),
+					timestamp: Date.now()
+				});
+			});
+		}, this.intervalMs);
+	}
+
+	connectToSimulation() {
+		logger.info(`🔌 Connecting to simulation server at ${this.simulationServerUrl}...`);
+		const socket = new WebSocket(this.simulationServerUrl);
+		this.socket = socket;
+
+		socket.on('open', () => {
+			logger.info('✅ Connected to simulation server');
+			this.setConnected(true);
+			socket.send(JSON.stringify({ type: 'start' }));
+		});
+
+		socket.on('message', (data) => {
+			this.handleSimulationMessage(data);
+		});
+
+		socket.on('close', () => {
+			this.setConnected(false);
+			if (this.isStarted && !this.reconnectTimer) {
+				logger.warn(`🔄 Simulation server disconnected, reconnecting in ${this.reconnectInterval}ms`);
+				this.reconnectTimer = setTimeout(() => {
+					this.reconnectTimer = null;
+					if (this.isStarted) {
+						this.connectToSimulation();
+					}
+				}, this.reconnectInterval);
+			}
+		});
+
+		socket.on('error', (error) => {
+			logger.error(`❌ Simulation server error: ${error.message}`);
+			this.emitError(error);
+		});
+	}
+
+	handleSimulationMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			logger.warn('⚠️  Simulation server sent invalid JSON');
+			return;
+		}
+
+		switch (message.type) {
+			case 'tick':
+				// CSV files without a symbol column replay as the configured symbol
+				this.emitTick({ ...message.data, symbol: message.data.symbol || this.symbol });
+				break;
+			case 'complete':
+				logger.info('🏁 Simulation server finished streaming ticks');
+				break;
+			case 'error':
+				this.emitError(new Error(message.message || 'Simulation server error'));
+				break;
+			default:
+				logger.debug(`Simulation server: ${message.type} ${message.message || ''}`);
+		}
+	}
+}
+
+module.exports = { ManualDataSource };
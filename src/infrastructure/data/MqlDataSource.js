@@ -0,0 +1,293 @@
+const WebSocket = require('ws');
+const { BaseDataSource } = require('./BaseDataSource');
+const logger = require('../../utils/logger');
+
+// Marks failures where the bridge may not have seen the request; callers may retry those
+function transientError(message) {
+	const error = new Error(message);
+	error.transient = true;
+	return error;
+}
+
+/**
+ * WebSocket client for the MT5 MQL bridge.
+ *
+ * Messages are JSON objects with a `type`. Requests carry a `requestId` which the
+ * bridge echoes back on the matching response (`order_ack`, `modify_ack`, `close_ack`, `cancel_ack`,
+ * `open_trades`, `trade_history`, `symbol_info`, `account_info` or `error`). Unsolicited `tick`, `trade_update` and
+ * `symbol_info` messages are re-emitted as events.
+ *
+ * `place_order` carries a `clientOrderId`; a retry after a timeout or reconnect reuses it,
+ * so the bridge must answer a repeated id with the original order instead of opening another.
+ */
+class MqlDataSource extends BaseDataSource {
+	constructor({
+		symbol,
+		symbols = null,
+		host = '127.0.0.1',
+		port = 4242,
+		heartbeatInterval = 5000,
+		reconnectInterval = 3000,
+		maxReconnectAttempts = 10,
+		requestTimeout = 10000,
+		username = '',
+		password = ''
+	} = {}) {
+		super({ symbol, symbols, name: 'MqlDataSource' });
+		this.url = `ws://${host}:${port}`;
+		this.heartbeatInterval = heartbeatInterval;
+		this.reconnectInterval = reconnectInterval;
+		this.maxReconnectAttempts = maxReconnectAttempts;
+		this.requestTimeout = requestTimeout;
+		this.username = username;
+		this.password = password;
+
+		this.socket = null;
+		this.heartbeatTimer = null;
+		this.reconnectTimer = null;
+		this.reconnectAttempts = 0;
+		this.requestCounter = 0;
+		this.pendingRequests = new Map();
+		this.subscriptions = new Set();
+	}
+
+	start() {
+		if (this.isStarted) return;
+		this.isStarted = true;
+		this.reconnectAttempts = 0;
+		this.connect();
+	}
+
+	stop() {
+		if (!this.isStarted) return;
+		this.isStarted = false;
+
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+		this.stopHeartbeat();
+		this.rejectPendingRequests(new Error('MQL data source stopped'));
+
+		if (this.socket) {
+			this.socket.removeAllListeners();
+			this.socket.on('error', () => {});
+			this.socket.close();
+			this.socket = null;
+		}
+		this.setConnected(false);
+	}
+
+	connect() {
+		logger.info(`🔌 Connecting to MQL bridge at ${this.url}...`);
+		const socket = new WebSocket(this.url);
+		this.socket = socket;
+
+		socket.on('open', () => {
+			logger.info('✅ Connected to MQL bridge');
+			this.reconnectAttempts = 0;
+			if (this.username) {
+				this.send({ type: 'auth', username: this.username, password: this.password });
+			}
+			this.subscriptions.forEach((symbol) => this.send({ type: 'subscribe', symbol }));
+			this.startHeartbeat();
+			this.setConnected(true);
+		});
+
+		socket.on('message', (data) => {
+			this.handleMessage(data);
+		});
+
+		socket.on('close', () => {
+			this.stopHeartbeat();
+			this.rejectPendingRequests(transientError('MQL bridge connection closed'));
+			this.setConnected(false);
+			if (this.isStarted) {
+				this.scheduleReconnect();
+			}
+		});
+
+		socket.on('error', (error) => {
+			logger.error(`❌ MQL bridge socket error: ${error.message}`);
+			this.emitError(error);
+		});
+	}
+
+	scheduleReconnect() {
+		if (this.reconnectTimer) return;
+
+		if (this.maxReconnectAttempts > 0 && this.reconnectAttempts >= this.maxReconnectAttempts) {
+			logger.error(`❌ MQL bridge: giving up after ${this.reconnectAttempts} reconnect attempts`);
+			this.emitError(new Error('MQL bridge reconnect attempts exhausted'));
+			return;
+		}
+
+		this.reconnectAttempts++;
+		logger.warn(`🔄 MQL bridge reconnect attempt ${this.reconnectAttempts} in ${this.reconnectInterval}ms`);
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			if (this.isStarted) {
+				this.connect();
+			}
+		}, this.reconnectInterval);
+	}
+
+	startHeartbeat() {
+		this.stopHeartbeat();
+		if (!this.heartbeatInterval) return;
+		this.heartbeatTimer = setInterval(() => {
+			this.send({ type: 'ping', timestamp: Date.now() });
+		}, this.heartbeatInterval);
+	}
+
+	stopHeartbeat() {
+		if (this.heartbeatTimer) {
+			clearInterval(this.heartbeatTimer);
+			this.heartbeatTimer = null;
+		}
+	}
+
+	send(message) {
+		if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+			return false;
+		}
+		this.socket.send(JSON.stringify(message));
+		return true;
+	}
+
+	handleMessage(data) {
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			logger.warn(`⚠️  MQL bridge sent invalid JSON: ${data.toString().slice(0, 200)}`);
+			return;
+		}
+
+		if (message.requestId && this.pendingRequests.has(message.requestId)) {
+			this.resolveRequest(message);
+		}
+
+		switch (message.type) {
+			case 'tick':
+				this.emitTick(message.data || message);
+				break;
+			case 'trade_update':
+				this.emit('trade_update', message);
+				break;
+			case 'order_ack':
+				this.emit('order_ack', message);
+				break;
+			case 'error':
+				if (!message.requestId) {
+					this.emitError(new Error(message.message || 'MQL bridge error'));
+				}
+				break;
+			case 'symbol_info':
+				// Responses go to requestSymbolInfo(); pushed updates (e.g. after a broker spec change) are re-emitted
+				if (!message.requestId) {
+					this.emit('symbol_info', { symbol: message.symbol, ...(message.data || message) });
+				}
+				break;
+			case 'pong':
+			case 'modify_ack':
+			case 'close_ack':
+			case 'cancel_ack':
+			case 'pending_orders':
+			case 'account_info':
+			case 'open_trades':
+			case 'trade_history':
+			case 'subscribed':
+				break;
+			default:
+				logger.debug(`MQL bridge: unhandled message type ${message.type}`);
+		}
+	}
+
+	request(message) {
+		return new Promise((resolve, reject) => {
+			const requestId = `req_${Date.now()}_${++this.requestCounter}`;
+			const timer = setTimeout(() => {
+				this.pendingRequests.delete(requestId);
+				reject(transientError(`MQL bridge request ${message.type} timed out after ${this.requestTimeout}ms`));
+			}, this.requestTimeout);
+
+			this.pendingRequests.set(requestId, { resolve, reject, timer });
+
+			if (!this.send({ ...message, requestId })) {
+				clearTimeout(timer);
+				this.pendingRequests.delete(requestId);
+				reject(transientError('MQL bridge is not connected'));
+			}
+		});
+	}
+
+	resolveRequest(message) {
+		const pending = this.pendingRequests.get(message.requestId);
+		this.pendingRequests.delete(message.requestId);
+		clearTimeout(pending.timer);
+
+		if (message.type === 'error' || message.success === false) {
+			pending.reject(new Error(message.message || message.error || 'MQL bridge request failed'));
+		} else {
+			pending.resolve(message);
+		}
+	}
+
+	rejectPendingRequests(error) {
+		this.pendingRequests.forEach(({ reject, timer }) => {
+			clearTimeout(timer);
+			reject(error);
+		});
+		this.pendingRequests.clear();
+	}
+
+	async subscribeTicks(symbol = this.symbol) {
+		const symbolKey = symbol.toUpperCase();
+		this.subscriptions.add(symbolKey);
+		this.send({ type: 'subscribe', symbol: symbolKey });
+	}
+
+	async placeOrder(payload) {
+		return this.request({ type: 'place_order', ...payload });
+	}
+
+	async cancelOrder({ ticket, symbol }) {
+		return this.request({ type: 'cancel_order', ticket, symbol });
+	}
+
+	async modifyPosition({ ticket, symbol, stopLoss, takeProfit }) {
+		return this.request({ type: 'modify_position', ticket, symbol, stopLoss, takeProfit });
+	}
+
+	async closePosition({ ticket, symbol, volume = null, reason = null }) {
+		return this.request({ type: 'close_position', ticket, symbol, volume, reason });
+	}
+
+	async requestOpenTrades() {
+		const response = await this.request({ type: 'get_open_trades' });
+		return { ...response, trades: response.trades || [] };
+	}
+
+	async requestPendingOrders() {
+		const response = await this.request({ type: 'get_pending_orders' });
+		return { ...response, orders: response.orders || [] };
+	}
+
+	async requestSymbolInfo(symbol = this.symbol) {
+		const response = await this.request({ type: 'get_symbol_info', symbol: symbol.toUpperCase() });
+		return response.data || response;
+	}
+
+	async requestAccountInfo() {
+		const response = await this.request({ type: 'get_account_info' });
+		return response.data || response;
+	}
+
+	async requestTradeHistory(params = {}) {
+		const response = await this.request({ type: 'get_trade_history', ...params });
+		return { ...response, trades: response.trades || [] };
+	}
+}
+
+module.exports = { MqlDataSource };
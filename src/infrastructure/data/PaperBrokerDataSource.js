@@ -0,0 +1,403 @@
+const { BaseDataSource } = require('./BaseDataSource');
+const logger = require('../../utils/logger');
+
+/**
+ * In-process simulated broker. Wraps a read-only feed (Binance, manual/simulation)
+ * and implements the trading half of the BaseDataSource contract on top of it:
+ * orders fill at the latest bid/ask plus slippage, commission is charged per lot
+ * on entry and exit, and stop-loss/take-profit are triggered from the tick stream.
+ * Limit orders wait until the quote reaches their price and fill at that price or
+ * better. P&L is valued per symbol at its tick value from the symbol metadata, the
+ * same value PositionSizer sizes with; `contractSize` only applies without the
+ * metadata. Positions can be modified and closed in full or in part; a partial close
+ * is recorded as a closed trade with its own ticket and `positionTicket` pointing at
+ * the position that keeps running. An order repeating a known `clientOrderId` gets
+ * the original ack back instead of a second fill.
+ * Messages mirror the MQL bridge (`order_ack`, `trade_update`) so TradingService
+ * cannot tell the difference.
+ */
+class PaperBrokerDataSource extends BaseDataSource {
+	constructor({
+		feed,
+		initialBalance = 10000,
+		slippage = 0,
+		commissionPerLot = 0,
+		contractSize = 1,
+		symbolMetadata = null,
+		maxHistory = 5000
+	} = {}) {
+		if (!feed) {
+			throw new Error('PaperBrokerDataSource requires a feed data source');
+		}
+
+		super({ symbols: feed.symbols, name: `PaperBroker(${feed.name})` });
+		this.feed = feed;
+		this.slippage = slippage;
+		this.commissionPerLot = commissionPerLot;
+		this.contractSize = contractSize;
+		this.symbolMetadata = symbolMetadata;
+		this.maxHistory = maxHistory;
+
+		this.balance = initialBalance;
+		this.quotes = new Map();
+		this.openTrades = new Map();
+		this.pendingOrders = new Map();
+		this.closedTrades = [];
+		// clientOrderId -> ack, so retried orders are not filled twice
+		this.clientOrders = new Map();
+		this.nextTicket = 1;
+
+		this.attachFeedListeners();
+	}
+
+	attachFeedListeners() {
+		this.feed.on('connected', () => this.setConnected(true));
+		this.feed.on('disconnected', () => this.setConnected(false));
+		this.feed.on('error', (error) => this.emitError(error));
+		this.feed.on('tick', (tick) => this.handleFeedTick(tick));
+	}
+
+	start() {
+		if (this.isStarted) return;
+		this.isStarted = true;
+		this.feed.start();
+	}
+
+	stop() {
+		if (!this.isStarted) return;
+		this.isStarted = false;
+		this.feed.stop();
+	}
+
+	handleFeedTick(tick) {
+		this.quotes.set(tick.symbol, tick);
+		this.fillPendingOrders(tick);
+		this.updateOpenTrades(tick);
+		this.emit('tick', tick);
+	}
+
+	updateOpenTrades(tick) {
+		for (const trade of Array.from(this.openTrades.values())) {
+			if (trade.symbol !== tick.symbol) continue;
+
+			const exitPrice = this.getExitPrice(trade, tick);
+			const hitStopLoss = trade.stopLoss > 0 && (trade.type === 'buy' ? tick.bid <= trade.stopLoss : tick.ask >= trade.stopLoss);
+			const hitTakeProfit = trade.takeProfit > 0 && (trade.type === 'buy' ? tick.bid >= trade.takeProfit : tick.ask <= trade.takeProfit);
+
+			if (hitStopLoss || hitTakeProfit) {
+				this.closeTrade(trade, exitPrice, tick.timestamp, hitStopLoss ? 'stop_loss' : 'take_profit');
+				continue;
+			}
+
+			trade.currentPrice = exitPrice;
+			trade.profit = this.calculateProfit(trade, exitPrice);
+			this.emitTradeUpdate(trade);
+		}
+	}
+
+	getEntryPrice(type, quote) {
+		return type === 'buy' ? quote.ask + this.slippage : quote.bid - this.slippage;
+	}
+
+	getExitPrice(trade, quote) {
+		return trade.type === 'buy' ? quote.bid - this.slippage : quote.ask + this.slippage;
+	}
+
+	// Account currency per unit of price move per lot
+	getPriceValue(symbol) {
+		if (!this.symbolMetadata) {
+			return this.contractSize;
+		}
+		return this.symbolMetadata.getTickValue(symbol) / this.symbolMetadata.get(symbol).tickSize;
+	}
+
+	calculateProfit(trade, exitPrice) {
+		const direction = trade.type === 'buy' ? 1 : -1;
+		const gross = (exitPrice - trade.openPrice) * direction * trade.volume * this.getPriceValue(trade.symbol);
+		return gross - trade.commission * 2;
+	}
+
+	async subscribeTicks(symbol) {
+		if (typeof this.feed.subscribeTicks === 'function') {
+			await this.feed.subscribeTicks(symbol);
+		}
+	}
+
+	async placeOrder(payload) {
+		if (payload.clientOrderId && this.clientOrders.has(payload.clientOrderId)) {
+			return { ...this.clientOrders.get(payload.clientOrderId), duplicate: true };
+		}
+
+		const ack = await this.executeOrder(payload);
+		if (payload.clientOrderId) {
+			this.clientOrders.set(payload.clientOrderId, ack);
+			if (this.clientOrders.size > this.maxHistory) {
+				this.clientOrders.delete(this.clientOrders.keys().next().value);
+			}
+		}
+		return ack;
+	}
+
+	async executeOrder(payload) {
+		const symbol = (payload.symbol || this.symbol || '').toUpperCase();
+		const type = `${payload.type || ''}`.toLowerCase();
+		const orderType = `${payload.orderType || 'market'}`.toLowerCase();
+		const volume = Number.parseFloat(payload.volume);
+		const quote = this.quotes.get(symbol);
+
+		if (type !== 'buy' && type !== 'sell') {
+			throw new Error(`Paper broker: unsupported order type "${payload.type}"`);
+		}
+		if (orderType !== 'market' && orderType !== 'limit') {
+			throw new Error(`Paper broker: unsupported execution "${payload.orderType}"`);
+		}
+		if (!(volume > 0)) {
+			throw new Error(`Paper broker: invalid volume "${payload.volume}"`);
+		}
+
+		if (orderType === 'limit') {
+			return this.placeLimitOrder({ ...payload, symbol, type, volume });
+		}
+
+		if (!quote) {
+			throw new Error(`Paper broker: no quote received yet for ${symbol}`);
+		}
+
+		const trade = this.openTrade({ ...payload, symbol, type, volume }, this.getEntryPrice(type, quote), quote.timestamp);
+		const ack = {
+			type: 'order_ack',
+			success: true,
+			ticket: trade.ticket,
+			clientOrderId: trade.clientOrderId,
+			symbol,
+			orderType: type,
+			volume,
+			price: trade.openPrice,
+			timestamp: quote.timestamp
+		};
+
+		logger.info(`🧾 Paper ${type.toUpperCase()} ${volume} ${symbol} @ ${trade.openPrice} (ticket ${trade.ticket})`);
+		this.emit('order_ack', ack);
+		this.emitTradeUpdate(trade);
+		return ack;
+	}
+
+	placeLimitOrder({ symbol, type, volume, price, stopLoss, takeProfit, comment, clientOrderId, signalId }) {
+		const limitPrice = Number.parseFloat(price);
+		if (!(limitPrice > 0)) {
+			throw new Error(`Paper broker: limit order needs a price (got "${price}")`);
+		}
+
+		const quote = this.quotes.get(symbol);
+		const order = {
+			ticket: this.nextTicket++,
+			symbol,
+			type,
+			volume,
+			price: limitPrice,
+			stopLoss: Number(stopLoss) || 0,
+			takeProfit: Number(takeProfit) || 0,
+			comment: comment || '',
+			clientOrderId: clientOrderId || null,
+			signalId: signalId || null,
+			createdTime: quote ? quote.timestamp : null
+		};
+		this.pendingOrders.set(order.ticket, order);
+
+		const ack = {
+			type: 'order_ack',
+			success: true,
+			status: 'pending',
+			ticket: order.ticket,
+			clientOrderId: order.clientOrderId,
+			symbol,
+			orderType: type,
+			volume,
+			price: limitPrice,
+			timestamp: order.createdTime
+		};
+
+		logger.info(`🧾 Paper ${type.toUpperCase()} LIMIT ${volume} ${symbol} @ ${limitPrice} (ticket ${order.ticket})`);
+		this.emit('order_ack', ack);
+		return ack;
+	}
+
+	fillPendingOrders(tick) {
+		for (const order of Array.from(this.pendingOrders.values())) {
+			if (order.symbol !== tick.symbol) continue;
+
+			const reached = order.type === 'buy' ? tick.ask <= order.price : tick.bid >= order.price;
+			if (!reached) continue;
+
+			this.pendingOrders.delete(order.ticket);
+			const fillPrice = order.type === 'buy' ? Math.min(order.price, tick.ask) : Math.max(order.price, tick.bid);
+			const trade = this.openTrade(order, fillPrice, tick.timestamp, order.ticket);
+			logger.info(`🧾 Paper limit ticket ${trade.ticket} filled @ ${fillPrice}`);
+			this.emitTradeUpdate(trade);
+		}
+	}
+
+	async cancelOrder({ ticket }) {
+		const order = this.pendingOrders.get(Number(ticket));
+		if (!order) {
+			throw new Error(`Paper broker: no pending order with ticket ${ticket}`);
+		}
+		this.pendingOrders.delete(order.ticket);
+		logger.info(`🧾 Paper cancel ticket ${order.ticket}`);
+		return { type: 'cancel_ack', success: true, ticket: order.ticket };
+	}
+
+	async requestPendingOrders() {
+		return {
+			type: 'pending_orders',
+			orders: Array.from(this.pendingOrders.values()).map(order => ({ ...order }))
+		};
+	}
+
+	openTrade({ symbol, type, volume, stopLoss, takeProfit, comment, clientOrderId, signalId }, openPrice, timestamp, ticket = this.nextTicket++) {
+		const commission = this.commissionPerLot * volume;
+		const trade = {
+			ticket,
+			symbol,
+			type,
+			volume,
+			openPrice,
+			currentPrice: openPrice,
+			profit: -commission * 2,
+			commission,
+			stopLoss: Number(stopLoss) || 0,
+			takeProfit: Number(takeProfit) || 0,
+			openTime: timestamp,
+			closeTime: null,
+			status: 'open',
+			comment: comment || '',
+			clientOrderId: clientOrderId || null,
+			signalId: signalId || null
+		};
+
+		this.openTrades.set(trade.ticket, trade);
+		this.balance -= commission;
+		return trade;
+	}
+
+	getOpenTrade(ticket) {
+		const trade = this.openTrades.get(Number(ticket));
+		if (!trade) {
+			throw new Error(`Paper broker: no open position with ticket ${ticket}`);
+		}
+		return trade;
+	}
+
+	async modifyPosition({ ticket, stopLoss, takeProfit }) {
+		const trade = this.getOpenTrade(ticket);
+		if (stopLoss !== undefined && stopLoss !== null) trade.stopLoss = Number(stopLoss) || 0;
+		if (takeProfit !== undefined && takeProfit !== null) trade.takeProfit = Number(takeProfit) || 0;
+
+		logger.info(`🧾 Paper modify ticket ${trade.ticket}: SL ${trade.stopLoss}, TP ${trade.takeProfit}`);
+		this.emitTradeUpdate(trade);
+		return { type: 'modify_ack', success: true, ticket: trade.ticket, stopLoss: trade.stopLoss, takeProfit: trade.takeProfit };
+	}
+
+	async closePosition({ ticket, volume = null, reason = 'manual' }) {
+		const trade = this.getOpenTrade(ticket);
+		const quote = this.quotes.get(trade.symbol);
+		const exitPrice = this.getExitPrice(trade, quote);
+		const closeVolume = volume === null || volume === undefined ? trade.volume : Number.parseFloat(volume);
+
+		if (!(closeVolume > 0) || closeVolume > trade.volume + 1e-9) {
+			throw new Error(`Paper broker: cannot close ${volume} of ticket ${trade.ticket} (volume ${trade.volume})`);
+		}
+
+		if (closeVolume >= trade.volume - 1e-9) {
+			this.closeTrade(trade, exitPrice, quote.timestamp, reason);
+			return { type: 'close_ack', success: true, ticket: trade.ticket, volume: closeVolume, price: exitPrice };
+		}
+
+		// Split the position: the closed part takes its share of the entry commission
+		const fraction = closeVolume / trade.volume;
+		const part = {
+			...trade,
+			ticket: this.nextTicket++,
+			positionTicket: trade.ticket,
+			volume: closeVolume,
+			commission: trade.commission * fraction
+		};
+		trade.volume = Number((trade.volume - closeVolume).toFixed(8));
+		trade.commission -= part.commission;
+		trade.profit = this.calculateProfit(trade, exitPrice);
+
+		this.closeTrade(part, exitPrice, quote.timestamp, reason);
+		this.emitTradeUpdate(trade);
+		return { type: 'close_ack', success: true, ticket: trade.ticket, closedTicket: part.ticket, volume: closeVolume, price: exitPrice };
+	}
+
+	closeTrade(trade, exitPrice, timestamp, reason) {
+		this.openTrades.delete(trade.ticket);
+
+		trade.currentPrice = exitPrice;
+		trade.closePrice = exitPrice;
+		trade.closeTime = timestamp;
+		trade.closeReason = reason;
+		trade.profit = this.calculateProfit(trade, exitPrice);
+		trade.status = 'closed';
+
+		// Entry commission was already deducted from the balance when the order filled
+		this.balance += trade.profit + trade.commission;
+
+		this.closedTrades.unshift(trade);
+		if (this.closedTrades.length > this.maxHistory) {
+			this.closedTrades.length = this.maxHistory;
+		}
+
+		logger.info(`🧾 Paper close ticket ${trade.ticket} (${reason}) @ ${exitPrice}, P&L ${trade.profit.toFixed(2)}`);
+		this.emitTradeUpdate(trade);
+	}
+
+	emitTradeUpdate(trade) {
+		this.emit('trade_update', { type: 'trade_update', trade: { ...trade } });
+	}
+
+	async requestOpenTrades() {
+		return {
+			type: 'open_trades',
+			trades: Array.from(this.openTrades.values()).map(trade => ({ ...trade }))
+		};
+	}
+
+	async requestTradeHistory({ from, to, symbol } = {}) {
+		const fromTime = from ? new Date(from).getTime() : null;
+		const toTime = to ? new Date(to).getTime() : null;
+		const symbolKey = symbol ? symbol.toUpperCase() : null;
+
+		const trades = this.closedTrades.filter((trade) => {
+			const closeTime = new Date(trade.closeTime).getTime();
+			if (symbolKey && trade.symbol !== symbolKey) return false;
+			if (fromTime !== null && closeTime < fromTime) return false;
+			if (toTime !== null && closeTime > toTime) return false;
+			return true;
+		});
+
+		return {
+			type: 'trade_history',
+			trades: trades.map(trade => ({ ...trade }))
+		};
+	}
+
+	async requestAccountInfo() {
+		return {
+			type: 'account_info',
+			...this.getAccountSummary()
+		};
+	}
+
+	getAccountSummary() {
+		const floating = Array.from(this.openTrades.values()).reduce((sum, trade) => sum + trade.profit + trade.commission, 0);
+		return {
+			balance: this.balance,
+			equity: this.balance + floating,
+			openTrades: this.openTrades.size
+		};
+	}
+}
+
+module.exports = { PaperBrokerDataSource };
@@ -0,0 +1,30 @@
+const { BaseDataSource } = require('./BaseDataSource');
+
+/**
+ * Feed driven by the caller instead of a socket. The backtest runner pushes
+ * recorded ticks through `push()` and waits for the pipeline to settle between
+ * ticks. Read-only: wrap it in PaperBrokerDataSource to trade.
+ */
+class ReplayDataSource extends BaseDataSource {
+	constructor({ symbol } = {}) {
+		super({ symbol, name: 'ReplayDataSource' });
+	}
+
+	start() {
+		if (this.isStarted) return;
+		this.isStarted = true;
+		this.setConnected(true);
+	}
+
+	stop() {
+		if (!this.isStarted) return;
+		this.isStarted = false;
+		this.setConnected(false);
+	}
+
+	push(tick) {
+		return this.emitTick({ ...tick, symbol: tick.symbol || this.symbol });
+	}
+}
+
+module.exports = { ReplayDataSource };
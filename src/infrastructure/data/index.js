@@ -0,0 +1,15 @@
+const { BaseDataSource } = require('./BaseDataSource');
+const { MqlDataSource } = require('./MqlDataSource');
+const { BinanceDataSource } = require('./BinanceDataSource');
+const { ManualDataSource } = require('./ManualDataSource');
+const { PaperBrokerDataSource } = require('./PaperBrokerDataSource');
+const { ReplayDataSource } = require('./ReplayDataSource');
+
+module.exports = {
+	BaseDataSource,
+	MqlDataSource,
+	BinanceDataSource,
+	ManualDataSource,
+	PaperBrokerDataSource,
+	ReplayDataSource
+};
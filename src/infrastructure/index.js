@@ -2,6 +2,8 @@ const { BaseDataSource } = require('./data/BaseDataSource');
 const { MqlDataSource } = require('./data/MqlDataSource');
 const { BinanceDataSource } = require('./data/BinanceDataSource');
 const { ManualDataSource } = require('./data/ManualDataSource');
+const { PaperBrokerDataSource } = require('./data/PaperBrokerDataSource');
+const { ReplayDataSource } = require('./data/ReplayDataSource');
 const { connectAerospike, disconnectAerospike, getClient } = require('./storage/aerospikeClient');
 const { connectRedis, disconnectRedis } = require('./storage/redisClient');
 
@@ -10,7 +12,9 @@ module.exports = {
 		BaseDataSource,
 		MqlDataSource,
 		BinanceDataSource,
-		ManualDataSource
+		ManualDataSource,
+		PaperBrokerDataSource,
+		ReplayDataSource
 	},
 	storage: {
 		connectAerospike,
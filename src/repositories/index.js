@@ -2,11 +2,21 @@ const { CandleRepository } = require('./candleRepository');
 const { SwingLevelRepository } = require('./swingLevelRepository');
 const { ConfigRepository } = require('./configRepository');
 const { CandleRingBuffer } = require('./candleRingBuffer');
+const { SymbolMetadataRepository } = require('./symbolMetadataRepository');
+const { TradingControlRepository } = require('./tradingControlRepository');
+const { TradeJournalRepository } = require('./tradeJournalRepository');
+const { SignalRuleRepository } = require('./signalRuleRepository');
+const { ProcessedLevelRepository } = require('./processedLevelRepository');
 
 module.exports = {
 	CandleRepository,
 	SwingLevelRepository,
 	ConfigRepository,
-	CandleRingBuffer
+	CandleRingBuffer,
+	SymbolMetadataRepository,
+	TradingControlRepository,
+	TradeJournalRepository,
+	SignalRuleRepository,
+	ProcessedLevelRepository
 };
 
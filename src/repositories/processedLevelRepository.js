@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Persists the levels each signal rule has fired on and not yet re-armed, so a restart
+ * neither fires them again nor forgets them. One JSON file per symbol, keyed like
+ * SignalService.processedLevels.
+ */
+class ProcessedLevelRepository {
+	constructor({
+		filePath = path.resolve(process.cwd(), 'data', 'processed-levels.json')
+	} = {}) {
+		this.filePath = filePath;
+		// Saves run one after another so an older state cannot overwrite a newer one
+		this.writes = Promise.resolve();
+	}
+
+	/**
+	 * @returns {Promise<Object>} Processed levels by key, empty when nothing was saved
+	 */
+	async load() {
+		try {
+			const data = await fs.promises.readFile(this.filePath, 'utf8');
+			return JSON.parse(data);
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return {};
+			}
+			logger.error(`Failed to read processed levels from ${this.filePath}:`, error);
+			throw error;
+		}
+	}
+
+	/**
+	 * @param {Object} levels - Processed levels by key
+	 */
+	save(levels) {
+		const write = this.writes.then(async () => {
+			await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+			const tempPath = `${this.filePath}.tmp`;
+			await fs.promises.writeFile(tempPath, JSON.stringify(levels, null, 2), 'utf8');
+			await fs.promises.rename(tempPath, this.filePath);
+		});
+		this.writes = write.catch(() => {});
+		return write;
+	}
+}
+
+module.exports = { ProcessedLevelRepository };
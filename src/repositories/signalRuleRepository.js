@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const bundled = require('../config/signal-rules.json');
+const logger = require('../utils/logger');
+const { buildRule, DEFAULT_RULE } = require('../services/trading/signalRules');
+
+/**
+ * Signal rules per symbol. The bundled file (src/config/signal-rules.json) is overlaid by
+ * the overrides file: named rules are merged by name, `default` is replaced when given and
+ * `symbols` entries are replaced per symbol. A symbol uses its own rule list or `default`.
+ *
+ * List entries name a rule ("breakout") or extend one ({ "use": "breakout",
+ * "breakDistance": 0.002, "name": "wide_breakout" }). Every list is validated on load; a
+ * reload that fails validation keeps the rules in use. Emits 'reloaded' after a reload.
+ */
+class SignalRuleRepository extends EventEmitter {
+	constructor({
+		filePath = path.resolve(process.cwd(), 'data', 'signal-rules.json'),
+		config = bundled
+	} = {}) {
+		super();
+		this.filePath = filePath;
+		this.bundled = config;
+		this.resolved = new Map();
+		this.defaultRules = [DEFAULT_RULE];
+		this.watching = false;
+	}
+
+	async load() {
+		let overrides = {};
+		try {
+			overrides = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+		} catch (error) {
+			// The overrides file is optional
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+		}
+
+		const config = {
+			rules: { ...this.bundled.rules, ...overrides.rules },
+			default: overrides.default || this.bundled.default,
+			symbols: { ...normalizeSymbols(this.bundled.symbols), ...normalizeSymbols(overrides.symbols) }
+		};
+
+		// Resolve everything up front so a bad file fails as a whole
+		const defaultRules = resolveList(config.rules, config.default, 'default');
+		const resolved = new Map();
+		Object.entries(config.symbols).forEach(([symbol, list]) => {
+			resolved.set(symbol, resolveList(config.rules, list, symbol));
+		});
+
+		this.defaultRules = defaultRules;
+		this.resolved = resolved;
+		const custom = Array.from(resolved.keys());
+		logger.info(`📏 Signal rules: ${defaultRules.map(rule => rule.name).join(', ') || 'none'} by default${custom.length > 0 ? `, own rules for ${custom.join(', ')}` : ''}`);
+	}
+
+	/**
+	 * Enabled rules of a symbol, in list order.
+	 */
+	getRules(symbol) {
+		const symbolKey = (symbol || '').toUpperCase();
+		const rules = this.resolved.has(symbolKey) ? this.resolved.get(symbolKey) : this.defaultRules;
+		return rules.filter(rule => rule.enabled);
+	}
+
+	/**
+	 * Reload whenever the overrides file changes.
+	 */
+	watch(intervalMs = 2000) {
+		if (this.watching) return;
+		this.watching = true;
+
+		fs.watchFile(this.filePath, { interval: intervalMs, persistent: false }, async (current, previous) => {
+			if (current.mtimeMs === previous.mtimeMs) return;
+			try {
+				await this.load();
+				this.emit('reloaded');
+			} catch (error) {
+				logger.error(`❌ Keeping previous signal rules, ${this.filePath} is invalid: ${error.message}`);
+			}
+		});
+	}
+
+	unwatch() {
+		if (!this.watching) return;
+		fs.unwatchFile(this.filePath);
+		this.watching = false;
+	}
+}
+
+function normalizeSymbols(symbols = {}) {
+	return Object.entries(symbols).reduce((acc, [symbol, list]) => {
+		acc[symbol.toUpperCase()] = list;
+		return acc;
+	}, {});
+}
+
+function resolveList(definitions, list, owner) {
+	if (!Array.isArray(list)) {
+		throw new Error(`Rule list of ${owner} must be an array`);
+	}
+
+	const rules = list.map((item) => {
+		const reference = typeof item === 'string' ? item : item && item.use;
+		const base = reference ? definitions[reference] : {};
+		if (reference && !base) {
+			throw new Error(`${owner}: unknown rule "${reference}"`);
+		}
+
+		const { use, name, ...overrides } = typeof item === 'string' ? {} : item;
+		const ruleName = name || reference;
+		if (!ruleName) {
+			throw new Error(`${owner}: inline rules need a name`);
+		}
+
+		const { rule, error } = buildRule(ruleName, { ...base, ...overrides });
+		if (error) {
+			throw new Error(`${owner}: ${error}`);
+		}
+		return rule;
+	});
+
+	// Rule names key the levels each rule has fired on
+	const names = rules.map(rule => rule.name);
+	const duplicate = names.find((ruleName, index) => names.indexOf(ruleName) !== index);
+	if (duplicate) {
+		throw new Error(`${owner}: rule "${duplicate}" is listed twice, give one a name`);
+	}
+	return rules;
+}
+
+module.exports = { SignalRuleRepository };
@@ -3,25 +3,55 @@ const aerospike = require('aerospike');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { SymbolMetadataRepository } = require('./symbolMetadataRepository');
 
 class SwingLevelRepository {
 	constructor({
 		filePath = path.resolve(process.cwd(), 'data', 'swing-levels.json'),
 		namespace = 'swing_levels',
-		fallbackToFile = true
+		fallbackToFile = true,
+		useAerospike = true,
+		symbol = null,
+		symbolMetadata = null
 	} = {}) {
 		this.filePath = filePath;
+		// When set, only this symbol's levels are loaded (one repository per symbol pipeline)
+		this.symbol = symbol ? symbol.toUpperCase() : null;
 		this.namespace = namespace;
 		this.fallbackToFile = fallbackToFile;
+		// When false (backtests) levels live only in the in-memory cache (plus the file fallback if enabled)
+		this.useAerospike = useAerospike;
 		this.cache = new Map();
+		// Symbol -> zones built from the levels; rebuilt from the levels after a restart
+		this.zoneCache = new Map();
+		// Symbols whose stored zone keys have been read back from Aerospike since startup
+		this.zoneKeysLoaded = new Set();
 		this.isLoaded = false;
-		// Price precision multiplier: multiply by 10000 to convert float to int (preserves 0.0001 precision)
-		this.PRICE_MULTIPLIER = 10000;
+		// Level keys and the integer price bin use each symbol's digits
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+	}
+
+	isAerospikeAvailable() {
+		if (!this.useAerospike) return false;
+		try {
+			return Boolean(getClient());
+		} catch (error) {
+			return false;
+		}
 	}
 
 	async ensureLoaded() {
 		if (this.isLoaded) return;
 
+		if (!this.useAerospike) {
+			if (this.fallbackToFile) {
+				await this.loadFromFile();
+			} else {
+				this.isLoaded = true;
+			}
+			return;
+		}
+
 		try {
 			const client = getClient();
 			const set = 'levels';
@@ -42,6 +72,10 @@ class SwingLevelRepository {
 					}
 
 					const symbol = record.bins.symbol;
+					if (!this.isOwnSymbol(symbol)) {
+						return true;
+					}
+
 					const levelKey = record.bins.levelKey;
 					const levelData = JSON.parse(record.bins.levelData);
 
@@ -76,9 +110,10 @@ class SwingLevelRepository {
 			const raw = await fs.promises.readFile(this.filePath, 'utf8');
 			const parsed = JSON.parse(raw);
 			Object.entries(parsed).forEach(([symbol, levels]) => {
+				if (!this.isOwnSymbol(symbol)) return;
 				const levelMap = new Map();
 				levels.forEach((level) => {
-					const key = this.levelKey(level);
+					const key = this.levelKey(level, symbol);
 					levelMap.set(key, level);
 				});
 				this.cache.set(symbol, levelMap);
@@ -95,6 +130,10 @@ class SwingLevelRepository {
 		}
 	}
 
+	isOwnSymbol(symbol) {
+		return !this.symbol || symbol === this.symbol;
+	}
+
 	getLevels(symbol) {
 		const levelMap = this.cache.get(symbol);
 		if (!levelMap) return [];
@@ -104,11 +143,18 @@ class SwingLevelRepository {
 	async setLevels(symbol, levels) {
 		const levelMap = new Map();
 		levels.forEach((level) => {
-			const key = this.levelKey(level);
+			const key = this.levelKey(level, symbol);
 			levelMap.set(key, level);
 		});
 		this.cache.set(symbol, levelMap);
 
+		if (!this.isAerospikeAvailable()) {
+			if (this.fallbackToFile) {
+				await this.saveToFile();
+			}
+			return;
+		}
+
 		try {
 			await this.persistLevels(symbol, levels);
 		} catch (error) {
@@ -129,7 +175,7 @@ class SwingLevelRepository {
 
 		const writePromises = levels.map((level) => {
 			return new Promise((resolve, reject) => {
-				const levelKey = this.levelKey(level);
+				const levelKey = this.levelKey(level, symbol);
 				const price = level.commonPointPrice || level.price || 0;
 				
 				if (!price || price === 0) {
@@ -138,8 +184,8 @@ class SwingLevelRepository {
 					return;
 				}
 
-				// Convert price to integer for Aerospike range queries (multiply by precision factor)
-				const priceInt = Math.round(price * this.PRICE_MULTIPLIER);
+				// Convert price to integer for Aerospike range queries (price × 10^digits)
+				const priceInt = this.symbolMetadata.priceToInt(symbol, price);
 				const key = new aerospike.Key(this.namespace, set, `${symbol}_${levelKey}`);
 				const bins = {
 					symbol: symbol,
@@ -186,13 +232,13 @@ class SwingLevelRepository {
 		const nextMap = new Map();
 
 		levels.forEach((level) => {
-			const key = this.levelKey(level);
+			const key = this.levelKey(level, symbol);
 			nextMap.set(key, level);
 		});
 
 		const toRemove = [];
 		existing.forEach((level) => {
-			const key = this.levelKey(level);
+			const key = this.levelKey(level, symbol);
 			if (!nextMap.has(key)) {
 				toRemove.push(key);
 			}
@@ -206,6 +252,11 @@ class SwingLevelRepository {
 	}
 
 	async removeLevels(symbol, levelKeys) {
+		if (!this.isAerospikeAvailable()) {
+			this.removeCachedLevels(symbol, levelKeys);
+			return;
+		}
+
 		const client = getClient();
 		const set = 'levels';
 
@@ -223,7 +274,10 @@ class SwingLevelRepository {
 		});
 
 		await Promise.all(deletePromises);
+		this.removeCachedLevels(symbol, levelKeys);
+	}
 
+	removeCachedLevels(symbol, levelKeys) {
 		const levelMap = this.cache.get(symbol);
 		if (levelMap) {
 			levelKeys.forEach((key) => {
@@ -232,14 +286,17 @@ class SwingLevelRepository {
 		}
 	}
 
-	levelKey(level) {
-		return `${level.commonPointType || level.type || 'UNKNOWN'}_${Math.round((level.commonPointPrice || level.price || 0) * 100000)}`;
+	levelKey(level, symbol = this.symbol) {
+		return this.symbolMetadata.levelKey(symbol, level.commonPointType || level.type, level.commonPointPrice || level.price);
 	}
 
 	async ensurePriceIndex() {
+		await this.createPriceIndex('levels', 'price_idx', 'swing levels');
+		await this.createPriceIndex('zones', 'zone_price_idx', 'zones');
+	}
+
+	async createPriceIndex(set, indexName, label) {
 		const client = getClient();
-		const indexName = 'price_idx';
-		const set = 'levels';
 		const bin = 'price';
 
 		try {
@@ -252,12 +309,12 @@ class SwingLevelRepository {
 				(error) => {
 					if (error) {
 						if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_ALREADY_EXISTS) {
-							logger.info('✅ Price index already exists');
+							logger.info(`✅ Price index for ${label} already exists`);
 						} else {
-							logger.error('Error creating price index:', error);
+							logger.error(`Error creating price index for ${label}:`, error);
 						}
 					} else {
-						logger.info('✅ Created price index for swing levels');
+						logger.info(`✅ Created price index for ${label}`);
 					}
 				}
 			);
@@ -279,9 +336,9 @@ class SwingLevelRepository {
 			}
 		} catch (error) {
 			if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_ALREADY_EXISTS) {
-				logger.info('✅ Price index already exists');
+				logger.info(`✅ Price index for ${label} already exists`);
 			} else {
-				logger.error('Error ensuring price index:', error);
+				logger.error(`Error ensuring price index for ${label}:`, error);
 				throw error;
 			}
 		}
@@ -297,14 +354,19 @@ class SwingLevelRepository {
 			return [];
 		}
 
+		if (!this.isAerospikeAvailable()) {
+			return this.getCachedLevelsInPriceRange(symbol, currentPrice, tolerance);
+		}
+
 		const client = getClient();
 		const set = 'levels';
 		const minPrice = currentPrice * (1 - tolerance);
 		const maxPrice = currentPrice * (1 + tolerance);
 		
 		// Convert to integers for Aerospike range query - use parseInt to ensure true integers
-		const minPriceInt = parseInt(Math.floor(minPrice * this.PRICE_MULTIPLIER), 10);
-		const maxPriceInt = parseInt(Math.ceil(maxPrice * this.PRICE_MULTIPLIER), 10);
+		const priceMultiplier = this.symbolMetadata.getPriceMultiplier(symbol);
+		const minPriceInt = parseInt(Math.floor(minPrice * priceMultiplier), 10);
+		const maxPriceInt = parseInt(Math.ceil(maxPrice * priceMultiplier), 10);
 
 		const results = [];
 
@@ -330,7 +392,10 @@ class SwingLevelRepository {
 					if (record.bins.symbol === symbol) {
 						try {
 							const level = JSON.parse(record.bins.levelData);
-							results.push(level);
+							// Retired levels are kept for their history only
+							if (level.status !== 'retired') {
+								results.push(level);
+							}
 						} catch (error) {
 							logger.warn('Error parsing level data:', error);
 						}
@@ -367,6 +432,203 @@ class SwingLevelRepository {
 		return results;
 	}
 
+	getCachedLevelsInPriceRange(symbol, currentPrice, tolerance = 0.002) {
+		const minPrice = currentPrice * (1 - tolerance);
+		const maxPrice = currentPrice * (1 + tolerance);
+		return this.getLevels(symbol).filter((level) => {
+			const price = level.commonPointPrice || level.price || 0;
+			return level.status !== 'retired' && price >= minPrice && price <= maxPrice;
+		});
+	}
+
+	getZones(symbol) {
+		return this.zoneCache.get(symbol) || [];
+	}
+
+	zoneKey(zone, symbol = this.symbol) {
+		return this.symbolMetadata.levelKey(symbol, zone.type, zone.lower) + '_' + this.symbolMetadata.priceToInt(symbol, zone.upper);
+	}
+
+	/**
+	 * Replace a symbol's zones. The cache is updated before the Aerospike write so queries
+	 * see the new zones straight away. The first sync after a restart also removes the zones
+	 * a previous run stored, since the empty cache cannot name them.
+	 */
+	async syncZones(symbol, zones) {
+		let previousKeys = this.getZones(symbol).map(zone => this.zoneKey(zone, symbol));
+		this.zoneCache.set(symbol, zones);
+
+		if (!this.isAerospikeAvailable()) {
+			return;
+		}
+
+		const client = getClient();
+		const set = 'zones';
+		if (!this.zoneKeysLoaded.has(symbol)) {
+			previousKeys = await this.loadZoneKeys(symbol);
+			this.zoneKeysLoaded.add(symbol);
+		}
+		const nextKeys = new Set(zones.map(zone => this.zoneKey(zone, symbol)));
+		const stale = previousKeys.filter(zoneKey => !nextKeys.has(zoneKey));
+
+		const writes = zones.map(zone => new Promise((resolve) => {
+			const zoneKey = this.zoneKey(zone, symbol);
+			const key = new aerospike.Key(this.namespace, set, `${symbol}_${zoneKey}`);
+			const bins = {
+				symbol: symbol,
+				zoneKey: zoneKey,
+				// Midpoint, lower and upper as integers (price × 10^digits) for range queries
+				price: this.symbolMetadata.priceToInt(symbol, zone.midpoint),
+				lower: this.symbolMetadata.priceToInt(symbol, zone.lower),
+				upper: this.symbolMetadata.priceToInt(symbol, zone.upper),
+				zoneData: JSON.stringify(zone)
+			};
+			const policy = {
+				exists: aerospike.policy.exists.IGNORE
+			};
+
+			client.put(key, bins, { ttl: 0 }, policy, (error) => {
+				if (error) {
+					logger.warn(`Error persisting zone ${zoneKey} to Aerospike: ${error.message}`);
+				}
+				resolve();
+			});
+		}));
+
+		const removals = stale.map(zoneKey => new Promise((resolve) => {
+			const key = new aerospike.Key(this.namespace, set, `${symbol}_${zoneKey}`);
+			client.remove(key, (error) => {
+				if (error && error.code !== aerospike.status.AEROSPIKE_ERR_RECORD_NOT_FOUND) {
+					logger.warn(`Error removing zone ${zoneKey} from Aerospike: ${error.message}`);
+				}
+				resolve();
+			});
+		}));
+
+		await Promise.all([...writes, ...removals]);
+		logger.debug(`Persisted ${zones.length} zones for ${symbol}`);
+	}
+
+	async loadZoneKeys(symbol) {
+		const client = getClient();
+		const zoneKeys = [];
+
+		try {
+			const scan = client.scan(this.namespace, 'zones');
+			scan.select('symbol', 'zoneKey');
+
+			await new Promise((resolve, reject) => {
+				scan.foreach((error, record) => {
+					if (error) {
+						reject(error);
+						return false;
+					}
+					if (record && record.bins && record.bins.symbol === symbol) {
+						zoneKeys.push(record.bins.zoneKey);
+					}
+					return true;
+				}, (error) => {
+					if (error) {
+						reject(error);
+					} else {
+						resolve();
+					}
+				});
+			});
+		} catch (error) {
+			if (!(error.message && error.message.includes('unrecognized set'))) {
+				logger.warn(`Error loading stored zones for ${symbol} from Aerospike: ${error.message}`);
+			}
+		}
+
+		return zoneKeys;
+	}
+
+	/**
+	 * Zones overlapping currentPrice ± tolerance (a fraction of the price).
+	 */
+	async getZonesInPriceRange(symbol, currentPrice, tolerance = 0.002) {
+		const cachedZones = this.getZones(symbol);
+		if (cachedZones.length === 0) {
+			logger.debug(`No cached zones for ${symbol}, skipping Aerospike query`);
+			return [];
+		}
+
+		if (!this.isAerospikeAvailable()) {
+			return this.getCachedZonesInPriceRange(symbol, currentPrice, tolerance);
+		}
+
+		const client = getClient();
+		const set = 'zones';
+		const minPrice = currentPrice * (1 - tolerance);
+		const maxPrice = currentPrice * (1 + tolerance);
+		// The index holds midpoints, so widen the range by half the widest zone
+		const halfWidth = Math.max(...cachedZones.map(zone => zone.upper - zone.lower)) / 2;
+		const priceMultiplier = this.symbolMetadata.getPriceMultiplier(symbol);
+		const minPriceInt = parseInt(Math.floor((minPrice - halfWidth) * priceMultiplier), 10);
+		const maxPriceInt = parseInt(Math.ceil((maxPrice + halfWidth) * priceMultiplier), 10);
+
+		// Records a failed removal left behind are not current zones
+		const currentKeys = new Set(cachedZones.map(zone => this.zoneKey(zone, symbol)));
+		const results = [];
+
+		try {
+			const query = client.query(this.namespace, set);
+			query.where(aerospike.filter.range('price', minPriceInt, maxPriceInt));
+
+			await new Promise((resolve, reject) => {
+				const stream = query.foreach();
+
+				stream.on('data', (record) => {
+					if (!record || !record.bins || record.bins.symbol !== symbol) {
+						return;
+					}
+					if (!currentKeys.has(record.bins.zoneKey)) {
+						return;
+					}
+					try {
+						const zone = JSON.parse(record.bins.zoneData);
+						if (zone.lower <= maxPrice && zone.upper >= minPrice) {
+							results.push(zone);
+						}
+					} catch (error) {
+						logger.warn('Error parsing zone data:', error);
+					}
+				});
+
+				stream.on('end', () => {
+					resolve();
+				});
+
+				stream.on('error', (error) => {
+					if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_NOT_FOUND ||
+					    error.message && error.message.includes('unrecognized set')) {
+						logger.debug('Zone set or index not found yet, returning empty results');
+						resolve();
+					} else {
+						reject(error);
+					}
+				});
+			});
+		} catch (error) {
+			if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_NOT_FOUND ||
+			    (error.message && error.message.includes('unrecognized set'))) {
+				logger.debug('Zone price index or set not found yet, returning empty results');
+				return [];
+			}
+			logger.error('Error querying zones by price range:', error);
+			return [];
+		}
+
+		return results;
+	}
+
+	getCachedZonesInPriceRange(symbol, currentPrice, tolerance = 0.002) {
+		const minPrice = currentPrice * (1 - tolerance);
+		const maxPrice = currentPrice * (1 + tolerance);
+		return this.getZones(symbol).filter(zone => zone.lower <= maxPrice && zone.upper >= minPrice);
+	}
+
 	async saveToFile() {
 		const payload = {};
 		this.cache.forEach((levelMap, symbol) => {
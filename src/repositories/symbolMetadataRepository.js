@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const bundled = require('../config/symbols.json');
+const logger = require('../utils/logger');
+
+const FIELDS = ['digits', 'tickSize', 'tickValue', 'contractSize', 'pip', 'volumeMin', 'volumeMax', 'volumeStep'];
+
+// MT5 SymbolInfo names the bridge may send instead of ours
+const BRIDGE_ALIASES = {
+	digits: ['digits'],
+	tickSize: ['tickSize', 'trade_tick_size', 'point'],
+	tickValue: ['tickValue', 'trade_tick_value'],
+	contractSize: ['contractSize', 'trade_contract_size'],
+	pip: ['pip'],
+	volumeMin: ['volumeMin', 'volume_min'],
+	volumeMax: ['volumeMax', 'volume_max'],
+	volumeStep: ['volumeStep', 'volume_step']
+};
+
+function countDecimals(value) {
+	const text = `${value}`;
+	if (text.includes('e-')) {
+		return Number.parseInt(text.split('e-')[1], 10);
+	}
+	return text.includes('.') ? text.split('.')[1].length : 0;
+}
+
+// Keep digits and tick size consistent when a layer only gives one of them
+function withPrecision(layer = {}) {
+	if (layer.digits === undefined && layer.tickSize !== undefined) {
+		return { ...layer, digits: countDecimals(layer.tickSize) };
+	}
+	if (layer.tickSize === undefined && layer.digits !== undefined) {
+		return { ...layer, tickSize: Number((10 ** -layer.digits).toFixed(layer.digits)) };
+	}
+	return layer;
+}
+
+/**
+ * Per-symbol instrument metadata: price digits, tick size, tick value, contract size,
+ * pip and volume limits. `tickValue` (account currency per tick per lot) is normally only
+ * known from the bridge; without it a tick is worth tickSize × contractSize. Values are layered, later layers winning:
+ * bundled defaults (src/config/symbols.json) → overrides file → MQL bridge `symbol_info` →
+ * `override()`. Bridge values are kept in memory only; the broker is asked again on every connect.
+ */
+class SymbolMetadataRepository {
+	constructor({
+		filePath = path.resolve(process.cwd(), 'data', 'symbol-metadata.json'),
+		defaults = bundled.defaults,
+		symbols = bundled.symbols
+	} = {}) {
+		this.filePath = filePath;
+		this.defaults = defaults;
+		this.bundled = symbols;
+		this.fileOverrides = {};
+		this.bridgeOverrides = new Map();
+		this.overrides = new Map();
+		this.resolved = new Map();
+		this.isLoaded = false;
+	}
+
+	async load() {
+		if (this.isLoaded) return;
+
+		try {
+			const raw = await fs.promises.readFile(this.filePath, 'utf8');
+			const parsed = JSON.parse(raw);
+			this.fileOverrides = Object.entries(parsed).reduce((acc, [symbol, metadata]) => {
+				acc[symbol.toUpperCase()] = metadata;
+				return acc;
+			}, {});
+			logger.info(`📐 Loaded symbol metadata overrides for ${Object.keys(this.fileOverrides).join(', ') || 'no symbols'}`);
+		} catch (error) {
+			// The overrides file is optional
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+		}
+
+		this.resolved.clear();
+		this.isLoaded = true;
+	}
+
+	/**
+	 * Apply metadata reported by the broker. Unknown or invalid fields are ignored.
+	 * @param {string} symbol
+	 * @param {Object} info - Our field names or MT5 names (point, trade_contract_size, volume_step, ...)
+	 * @returns {Object} Resolved metadata for the symbol
+	 */
+	applyBridgeInfo(symbol, info = {}) {
+		const symbolKey = symbol.toUpperCase();
+		const override = {};
+
+		Object.entries(BRIDGE_ALIASES).forEach(([field, names]) => {
+			const name = names.find(candidate => info[candidate] !== undefined && info[candidate] !== null);
+			const value = name ? Number(info[name]) : NaN;
+			if (Number.isFinite(value) && value >= 0) {
+				override[field] = value;
+			}
+		});
+
+		this.bridgeOverrides.set(symbolKey, { ...this.bridgeOverrides.get(symbolKey), ...override });
+		this.resolved.delete(symbolKey);
+
+		const metadata = this.get(symbolKey);
+		logger.info(`📐 ${symbolKey} metadata from bridge: digits=${metadata.digits}, tickSize=${metadata.tickSize}, contractSize=${metadata.contractSize}, volumeStep=${metadata.volumeStep}`);
+		return metadata;
+	}
+
+	/**
+	 * Override fields of one symbol in memory, above every other layer (e.g. the contract
+	 * size of one backtest run).
+	 */
+	override(symbol, metadata = {}) {
+		const symbolKey = symbol.toUpperCase();
+		this.overrides.set(symbolKey, { ...this.overrides.get(symbolKey), ...metadata });
+		this.resolved.delete(symbolKey);
+		return this.get(symbolKey);
+	}
+
+	get(symbol) {
+		const symbolKey = (symbol || '').toUpperCase();
+		if (this.resolved.has(symbolKey)) {
+			return this.resolved.get(symbolKey);
+		}
+
+		const merged = [
+			this.bundled[symbolKey],
+			this.fileOverrides[symbolKey],
+			this.bridgeOverrides.get(symbolKey),
+			this.overrides.get(symbolKey)
+		].reduce((acc, layer) => ({ ...acc, ...withPrecision(layer) }), { ...this.defaults });
+
+		const metadata = FIELDS.reduce((acc, field) => {
+			acc[field] = merged[field] ?? null;
+			return acc;
+		}, { symbol: symbolKey });
+		this.resolved.set(symbolKey, metadata);
+		return metadata;
+	}
+
+	getAll() {
+		const symbols = new Set([
+			...Object.keys(this.bundled),
+			...Object.keys(this.fileOverrides),
+			...this.bridgeOverrides.keys()
+		]);
+		return Array.from(symbols).sort().map(symbol => this.get(symbol));
+	}
+
+	/**
+	 * Round a price to the symbol's tick size.
+	 */
+	roundPrice(symbol, price) {
+		const { digits, tickSize } = this.get(symbol);
+		const ticks = Math.round(Number(price) / tickSize);
+		return Number((ticks * tickSize).toFixed(digits));
+	}
+
+	formatPrice(symbol, price) {
+		return Number(price).toFixed(this.get(symbol).digits);
+	}
+
+	/**
+	 * Integer representation of a price (price × 10^digits), used for level keys
+	 * and the Aerospike price index.
+	 */
+	priceToInt(symbol, price) {
+		return Math.round(this.roundPrice(symbol, price) * (10 ** this.get(symbol).digits));
+	}
+
+	/**
+	 * Account-currency value of one tick move for one lot.
+	 */
+	getTickValue(symbol) {
+		const { tickValue, tickSize, contractSize } = this.get(symbol);
+		return tickValue > 0 ? tickValue : tickSize * contractSize;
+	}
+
+	getPriceMultiplier(symbol) {
+		return 10 ** this.get(symbol).digits;
+	}
+
+	levelKey(symbol, type, price) {
+		return `${type || 'UNKNOWN'}_${this.priceToInt(symbol, price || 0)}`;
+	}
+
+	/**
+	 * @returns {string|null} Why the price cannot be sent, or null when it is on the tick grid
+	 */
+	validatePrice(symbol, price) {
+		const value = Number(price);
+		if (!Number.isFinite(value) || value <= 0) {
+			return `Price must be a positive number (got ${price})`;
+		}
+		const { tickSize } = this.get(symbol);
+		if (Math.abs(this.roundPrice(symbol, value) - value) > tickSize * 1e-6) {
+			return `Price ${value} is not a multiple of the ${symbol} tick size ${tickSize}`;
+		}
+		return null;
+	}
+
+	/**
+	 * Round a volume down to the symbol's volume step.
+	 */
+	normalizeVolume(symbol, volume) {
+		const { volumeStep } = this.get(symbol);
+		const decimals = countDecimals(volumeStep);
+		// Small epsilon so 0.3 / 0.1 style float error doesn't drop a whole step
+		const steps = Math.floor(Number(volume) / volumeStep + 1e-9);
+		return Number((steps * volumeStep).toFixed(decimals));
+	}
+
+	/**
+	 * @returns {string|null} Why the volume cannot be traded, or null when it is valid
+	 */
+	validateVolume(symbol, volume) {
+		const { volumeMin, volumeMax, volumeStep } = this.get(symbol);
+		const value = Number(volume);
+
+		if (!Number.isFinite(value) || value <= 0) {
+			return `Volume must be a positive number (got ${volume})`;
+		}
+		if (value < volumeMin) {
+			return `Volume ${value} is below the ${symbol} minimum of ${volumeMin}`;
+		}
+		if (value > volumeMax) {
+			return `Volume ${value} is above the ${symbol} maximum of ${volumeMax}`;
+		}
+		if (Math.abs(this.normalizeVolume(symbol, value) - value) > volumeStep * 1e-6) {
+			return `Volume ${value} is not a multiple of the ${symbol} volume step ${volumeStep}`;
+		}
+		return null;
+	}
+}
+
+module.exports = { SymbolMetadataRepository };
@@ -0,0 +1,303 @@
+const { getClient } = require('../infrastructure/storage/aerospikeClient');
+const aerospike = require('aerospike');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const logger = require('../utils/logger');
+
+const { exp } = aerospike;
+const SET = 'journal';
+
+/**
+ * Append-only trade journal. Records go to Aerospike (one record per entry, with a
+ * numeric `ts` bin indexed for date-range queries) and to a JSON-lines file when
+ * Aerospike is unavailable or a write fails. Queries read both and return the entries
+ * newest first, one page at a time.
+ */
+class TradeJournalRepository {
+	constructor({
+		filePath = path.resolve(process.cwd(), 'data', 'trade-journal.jsonl'),
+		namespace = 'trade_journal',
+		fallbackToFile = true,
+		useAerospike = true
+	} = {}) {
+		this.filePath = filePath;
+		this.namespace = namespace;
+		this.fallbackToFile = fallbackToFile;
+		this.useAerospike = useAerospike;
+		// Without Aerospike and file the journal lives in memory only
+		this.memory = [];
+		// Appends to the file run one after another so lines cannot interleave
+		this.fileWrites = Promise.resolve();
+	}
+
+	isAerospikeAvailable() {
+		if (!this.useAerospike) return false;
+		try {
+			return Boolean(getClient());
+		} catch (error) {
+			return false;
+		}
+	}
+
+	/**
+	 * @param {Object} entry - Journal entry with a unique `id`, `symbol` and ISO `timestamp`
+	 */
+	async append(entry) {
+		if (this.isAerospikeAvailable()) {
+			try {
+				await this.putRecord(entry);
+				return;
+			} catch (error) {
+				logger.error(`Error writing journal entry ${entry.id} to Aerospike:`, error);
+			}
+		}
+
+		if (this.fallbackToFile) {
+			await this.appendToFile(entry);
+		} else {
+			this.memory.push(entry);
+		}
+	}
+
+	putRecord(entry) {
+		const client = getClient();
+		const key = new aerospike.Key(this.namespace, SET, entry.id);
+		const bins = {
+			symbol: entry.symbol,
+			ts: new Date(entry.timestamp).getTime(),
+			event: entry.event,
+			signalType: entry.signalType || '',
+			entry: JSON.stringify(entry)
+		};
+
+		return new Promise((resolve, reject) => {
+			client.put(key, bins, { ttl: 0 }, { exists: aerospike.policy.exists.IGNORE }, (error) => {
+				if (error) {
+					reject(error);
+				} else {
+					resolve();
+				}
+			});
+		});
+	}
+
+	appendToFile(entry) {
+		const write = this.fileWrites.then(async () => {
+			await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+			await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+		});
+		this.fileWrites = write.catch(() => {});
+		return write;
+	}
+
+	async ensureTimestampIndex() {
+		const client = getClient();
+
+		try {
+			const task = client.indexCreate(
+				this.namespace,
+				SET,
+				'journal_ts_idx',
+				'ts',
+				aerospike.indexType.NUMERIC,
+				(error) => {
+					if (error && error.code !== aerospike.status.AEROSPIKE_ERR_INDEX_ALREADY_EXISTS) {
+						logger.error('Error creating trade journal timestamp index:', error);
+					}
+				}
+			);
+
+			if (task) {
+				await new Promise((resolve, reject) => {
+					task.wait((error) => {
+						if (error && error.code !== aerospike.status.AEROSPIKE_ERR_INDEX_ALREADY_EXISTS) {
+							reject(error);
+						} else {
+							resolve();
+						}
+					});
+				});
+			}
+			logger.info('✅ Trade journal timestamp index verified/created');
+		} catch (error) {
+			if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_ALREADY_EXISTS) {
+				logger.info('✅ Trade journal timestamp index already exists');
+			} else {
+				logger.error('Error ensuring trade journal timestamp index:', error);
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Page through the journal, newest first. The filters (and the cursor, as an upper
+	 * time bound) are applied while the entries are read, Aerospike-side where possible,
+	 * and only the newest `limit + 1` matches are kept, so a page costs one read of the
+	 * matching entries rather than a sort of the whole journal.
+	 * @param {Object} params
+	 * @param {string} [params.symbol]
+	 * @param {string|number} [params.from] - Inclusive start (ISO date or ms)
+	 * @param {string|number} [params.to] - Inclusive end (ISO date or ms)
+	 * @param {string} [params.signalType]
+	 * @param {string[]} [params.events] - Entry types to include
+	 * @param {number} [params.limit]
+	 * @param {string} [params.cursor] - `nextCursor` of the previous page
+	 * @returns {Promise<{ entries: Object[], nextCursor: string|null }>}
+	 */
+	async query({ symbol = null, from = null, to = null, signalType = null, events = null, limit = 100, cursor = null } = {}) {
+		const after = parseCursor(cursor);
+		const filters = {
+			symbol: symbol ? symbol.toUpperCase() : null,
+			signalType: signalType ? signalType.toUpperCase() : null,
+			events: events && events.length > 0 ? events : null,
+			fromMs: from === null || from === undefined ? 0 : new Date(from).getTime(),
+			// Entries after the cursor are older than it
+			toMs: Math.min(
+				to === null || to === undefined ? Number.MAX_SAFE_INTEGER : new Date(to).getTime(),
+				after ? after.ts : Number.MAX_SAFE_INTEGER
+			)
+		};
+
+		const matches = (entry) => {
+			const ts = new Date(entry.timestamp).getTime();
+			if (ts < filters.fromMs || ts > filters.toMs) return false;
+			if (filters.symbol && entry.symbol !== filters.symbol) return false;
+			if (filters.signalType && entry.signalType !== filters.signalType) return false;
+			if (filters.events && !filters.events.includes(entry.event)) return false;
+			// The cursor is the last entry of the previous page; continue below it
+			return !after || ts < after.ts || (ts === after.ts && entry.id < after.id);
+		};
+
+		const page = new NewestEntries(limit + 1);
+		const collect = (entry) => {
+			if (matches(entry)) page.add(entry);
+		};
+
+		if (this.isAerospikeAvailable()) {
+			await this.scanAerospike(filters, collect);
+		}
+		if (this.fallbackToFile) {
+			await this.scanFile(collect);
+		}
+		this.memory.forEach(collect);
+
+		const newest = page.entries;
+		const entries = newest.slice(0, limit);
+		const last = entries[entries.length - 1];
+		const nextCursor = newest.length > limit && last ? `${new Date(last.timestamp).getTime()}_${last.id}` : null;
+		return { entries, nextCursor };
+	}
+
+	async scanAerospike({ fromMs, toMs, symbol, signalType, events }, collect) {
+		const client = getClient();
+
+		// Symbol, signal type and event are checked by the server
+		const conditions = [];
+		if (symbol) conditions.push(exp.eq(exp.binStr('symbol'), exp.str(symbol)));
+		if (signalType) conditions.push(exp.eq(exp.binStr('signalType'), exp.str(signalType)));
+		if (events) {
+			const eventConditions = events.map(event => exp.eq(exp.binStr('event'), exp.str(event)));
+			conditions.push(eventConditions.length > 1 ? exp.or(...eventConditions) : eventConditions[0]);
+		}
+		const policy = conditions.length > 0
+			? { filterExpression: conditions.length > 1 ? exp.and(...conditions) : conditions[0] }
+			: undefined;
+
+		try {
+			const query = client.query(this.namespace, SET);
+			query.where(aerospike.filter.range('ts', fromMs, Math.min(toMs, Number.MAX_SAFE_INTEGER)));
+
+			await new Promise((resolve, reject) => {
+				const stream = query.foreach(policy);
+				stream.on('data', (record) => {
+					if (!record || !record.bins || !record.bins.entry) return;
+					try {
+						collect(JSON.parse(record.bins.entry));
+					} catch (error) {
+						logger.warn('Error parsing journal entry:', error);
+					}
+				});
+				stream.on('end', resolve);
+				stream.on('error', reject);
+			});
+		} catch (error) {
+			// Nothing journalled yet: the set and its index do not exist
+			if (error.code === aerospike.status.AEROSPIKE_ERR_INDEX_NOT_FOUND
+				|| (error.message && error.message.includes('unrecognized set'))) {
+				logger.debug('Trade journal set or index not found yet');
+				return;
+			}
+			throw error;
+		}
+	}
+
+	async scanFile(collect) {
+		let stream;
+		try {
+			await fs.promises.access(this.filePath);
+			stream = fs.createReadStream(this.filePath, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return;
+			throw error;
+		}
+
+		const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+		for await (const line of lines) {
+			if (!line.trim()) continue;
+			try {
+				collect(JSON.parse(line));
+			} catch (error) {
+				logger.warn(`Skipping unreadable journal line in ${this.filePath}`);
+			}
+		}
+	}
+}
+
+/**
+ * The newest `size` distinct entries seen, newest first (ties by id, descending).
+ */
+class NewestEntries {
+	constructor(size) {
+		this.size = size;
+		this.entries = [];
+		this.ids = new Set();
+	}
+
+	static compare(a, b) {
+		const diff = new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime();
+		if (diff !== 0) return diff;
+		return a.id < b.id ? 1 : (a.id > b.id ? -1 : 0);
+	}
+
+	add(entry) {
+		if (this.ids.has(entry.id)) return;
+		const full = this.entries.length >= this.size;
+		if (full && NewestEntries.compare(entry, this.entries[this.entries.length - 1]) >= 0) return;
+
+		let low = 0;
+		let high = this.entries.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (NewestEntries.compare(this.entries[middle], entry) <= 0) low = middle + 1;
+			else high = middle;
+		}
+		this.entries.splice(low, 0, entry);
+		this.ids.add(entry.id);
+		if (full) {
+			this.ids.delete(this.entries.pop().id);
+		}
+	}
+}
+
+function parseCursor(cursor) {
+	if (!cursor) return null;
+	const separator = `${cursor}`.indexOf('_');
+	const ts = Number(`${cursor}`.slice(0, separator));
+	if (separator < 1 || !Number.isFinite(ts)) {
+		throw new Error(`Invalid cursor: ${cursor}`);
+	}
+	return { ts, id: `${cursor}`.slice(separator + 1) };
+}
+
+module.exports = { TradeJournalRepository };
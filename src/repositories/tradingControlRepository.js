@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+/**
+ * Persists the trading control state (halt flag and its history) so a halt
+ * survives a restart.
+ */
+class TradingControlRepository {
+	constructor({
+		filePath = path.resolve(process.cwd(), 'data', 'trading-control.json')
+	} = {}) {
+		this.filePath = filePath;
+	}
+
+	async load() {
+		try {
+			const data = await fs.promises.readFile(this.filePath, 'utf8');
+			return JSON.parse(data);
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return null;
+			}
+			// A corrupt file must not silently clear a halt
+			logger.error(`Failed to read trading control state from ${this.filePath}:`, error);
+			throw error;
+		}
+	}
+
+	async save(state) {
+		await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+		const tempPath = `${this.filePath}.tmp`;
+		await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2), 'utf8');
+		await fs.promises.rename(tempPath, this.filePath);
+	}
+}
+
+module.exports = { TradingControlRepository };
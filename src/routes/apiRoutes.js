@@ -3,30 +3,161 @@ const { getHealth } = require('../controllers/healthController');
 const { createConfigController } = require('../controllers/configController');
 const { createTradesController } = require('../controllers/tradesController');
 const { createSignalsController } = require('../controllers/signalsController');
-const { getStatus } = require('../controllers/statusController');
+const { createIndicatorsController } = require('../controllers/indicatorsController');
+const { createRiskController } = require('../controllers/riskController');
+const { createOrdersController } = require('../controllers/ordersController');
+const { createControlController } = require('../controllers/controlController');
+const { createReconciliationController } = require('../controllers/reconciliationController');
+const { createAnalyticsController } = require('../controllers/analyticsController');
+const { PerformanceAnalytics } = require('../services/trading/performanceAnalytics');
+const { getStatus, getSymbolStatus, getSymbols } = require('../controllers/statusController');
 
-function createApiRoutes(tradingService, analyzerService, configRepository) {
+/**
+ * Attach the symbol's pipeline to `req.pipeline`. The symbol comes from the
+ * `:symbol` path segment or the `?symbol=` query; without either, the only
+ * pipeline is used when exactly one is running.
+ */
+function resolvePipeline(pipelines) {
+	return (req, res, next) => {
+		const symbol = req.params.symbol || req.query.symbol || (req.body && req.body.symbol);
+		const pipeline = pipelines.resolve(symbol);
+
+		if (!pipeline) {
+			if (!symbol) {
+				return res.status(400).json({
+					error: 'symbol is required when running multiple symbols',
+					symbols: pipelines.symbols()
+				});
+			}
+			return res.status(404).json({ error: `No pipeline running for ${symbol.toUpperCase()}` });
+		}
+
+		req.pipeline = pipeline;
+		next();
+	};
+}
+
+/**
+ * Like resolvePipeline for `/trades/:ticket`: without a symbol, the pipeline holding
+ * the open ticket is used.
+ */
+function resolveTradePipeline(pipelines) {
+	const bySymbol = resolvePipeline(pipelines);
+	return (req, res, next) => {
+		if (req.params.symbol || req.query.symbol || (req.body && req.body.symbol) || pipelines.size === 1) {
+			return bySymbol(req, res, next);
+		}
+
+		const pipeline = pipelines.list().find(candidate => candidate.tradingService.findOpenTrade(req.params.ticket));
+		if (!pipeline) {
+			return res.status(404).json({ error: `No open trade with ticket ${req.params.ticket}` });
+		}
+		req.pipeline = pipeline;
+		next();
+	};
+}
+
+function createSymbolRoutes(pipelines, riskController, tradeJournal) {
+	const router = express.Router({ mergeParams: true });
+
+	const tradesController = createTradesController(pipelines, tradeJournal);
+	const signalsController = createSignalsController();
+	const indicatorsController = createIndicatorsController();
+	const ordersController = createOrdersController(pipelines);
+
+	router.use(resolvePipeline(pipelines));
+
+	router.get('/status', getSymbolStatus);
+
+	router.get('/orders', ordersController.list);
+	router.get('/orders/:id', ordersController.get);
+	router.post('/orders', ordersController.place);
+	router.delete('/orders/:ticket', ordersController.cancel);
+
+	router.get('/trades/open', tradesController.getOpen);
+	router.get('/trades/history', tradesController.getHistory);
+	router.post('/trades/close-all', tradesController.closeAll);
+	router.patch('/trades/:ticket', tradesController.modify);
+	router.delete('/trades/:ticket', tradesController.close);
+
+	router.get('/signals/summary', signalsController.getSummary);
+	router.get('/signals/outcomes', signalsController.getOutcomes);
+	router.get('/signals/rules', signalsController.getRules);
+
+	router.get('/indicators', indicatorsController.getIndicators);
+
+	router.get('/risk', riskController.getSymbolState);
+
+	return router;
+}
+
+function createApiRoutes(pipelines, configRepository, riskManager, tradingControl, reconciliationService, tradeJournal) {
 	const router = express.Router();
 
-	const configController = createConfigController(tradingService, configRepository);
-	const tradesController = createTradesController(tradingService);
-	const signalsController = createSignalsController(analyzerService);
+	const configController = createConfigController(pipelines, configRepository);
+	const riskController = createRiskController(riskManager);
+	const controlController = createControlController(tradingControl);
+	const reconciliationController = createReconciliationController(reconciliationService);
+	const analyticsController = createAnalyticsController(new PerformanceAnalytics({ journal: tradeJournal }));
+	const tradesController = createTradesController(pipelines, tradeJournal);
+	const signalsController = createSignalsController();
+	const indicatorsController = createIndicatorsController();
+	const ordersController = createOrdersController(pipelines);
+	const withPipeline = resolvePipeline(pipelines);
+	const withTradePipeline = resolveTradePipeline(pipelines);
+	const withOptionalPipeline = (req, res, next) => (req.query.symbol ? withPipeline(req, res, next) : next());
 
-	router.get('/health', getHealth(tradingService, analyzerService));
-	router.get('/status', getStatus(tradingService, analyzerService));
+	router.get('/health', getHealth(pipelines));
+	router.get('/status', getStatus(pipelines));
+	router.get('/symbols', getSymbols(pipelines));
 
 	router.get('/config/symbols', configController.getAll);
 	router.get('/config/symbols/:symbol', configController.get);
 	router.put('/config/symbols/:symbol', configController.update);
 	router.delete('/config/symbols/:symbol', configController.delete);
 
-	router.get('/trades/open', tradesController.getOpen);
-	router.get('/trades/history', tradesController.getHistory);
+	// Unscoped routes take ?symbol= (optional with a single pipeline)
+	router.get('/trades/open', withPipeline, tradesController.getOpen);
 
-	router.get('/signals/summary', signalsController.getSummary);
+	// Trade journal across all symbols unless ?symbol= is given
+	router.get('/trades/history', withOptionalPipeline, tradesController.getHistory);
+
+	// Order lifecycle across all symbols unless ?symbol= is given; :id is a clientOrderId or ticket
+	router.get('/orders', withOptionalPipeline, ordersController.list);
+	router.get('/orders/:id', withOptionalPipeline, ordersController.get);
+
+	// Manual trading; `symbol` may come from the body, the query or (for tickets) the open trade
+	router.post('/orders', withPipeline, ordersController.place);
+	router.delete('/orders/:ticket', withPipeline, ordersController.cancel);
+	router.post('/trades/close-all', tradesController.closeAll);
+	router.patch('/trades/:ticket', withTradePipeline, tradesController.modify);
+	router.delete('/trades/:ticket', withTradePipeline, tradesController.close);
+
+	router.get('/signals/summary', withPipeline, signalsController.getSummary);
+	router.get('/signals/outcomes', withPipeline, signalsController.getOutcomes);
+	router.get('/signals/rules', withPipeline, signalsController.getRules);
+
+	// Indicator values of the 1s and timeframe series; ?timeframe= for one of them
+	router.get('/indicators', withPipeline, indicatorsController.getIndicators);
+
+	// Win rate, profit factor, drawdown etc. from the trade journal; ?symbol=, ?from=, ?to=
+	router.get('/analytics/performance', withOptionalPipeline, analyticsController.getPerformance);
+
+	// Account-wide risk state; ?symbol= narrows it to one symbol
+	router.get('/risk', riskController.getState);
+
+	// Kill switch
+	router.get('/control', controlController.getState);
+	router.post('/control/halt', controlController.halt);
+	router.post('/control/resume', controlController.resume);
+
+	// Broker reconciliation: latest report, or run it now
+	router.get('/reconciliation', reconciliationController.getReport);
+	router.post('/reconciliation/run', reconciliationController.run);
+
+	router.use('/symbols/:symbol', createSymbolRoutes(pipelines, riskController, tradeJournal));
 
 	return router;
 }
 
 module.exports = { createApiRoutes };
-
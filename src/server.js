@@ -2,21 +2,30 @@ const express = require('express');
 const logger = require('./utils/logger');
 const { createApiRoutes } = require('./routes/apiRoutes');
 
-function createServer({ tradingService, analyzerService, configRepository, port = 8080 }) {
-	if (!tradingService) {
-		throw new Error('API server requires a TradingService instance');
-	}
-	if (!analyzerService) {
-		throw new Error('API server requires an AnalyzerService instance');
+function createServer({ pipelines, configRepository, riskManager, tradingControl, reconciliationService, tradeJournal, port = 8080 }) {
+	if (!pipelines || pipelines.size === 0) {
+		throw new Error('API server requires a PipelineRegistry with at least one pipeline');
 	}
 	if (!configRepository) {
 		throw new Error('API server requires a ConfigRepository instance');
 	}
+	if (!riskManager) {
+		throw new Error('API server requires a RiskManager instance');
+	}
+	if (!tradingControl) {
+		throw new Error('API server requires a TradingControl instance');
+	}
+	if (!reconciliationService) {
+		throw new Error('API server requires a ReconciliationService instance');
+	}
+	if (!tradeJournal) {
+		throw new Error('API server requires a TradeJournal instance');
+	}
 
 	const app = express();
 	app.use(express.json());
 
-	const apiRoutes = createApiRoutes(tradingService, analyzerService, configRepository);
+	const apiRoutes = createApiRoutes(pipelines, configRepository, riskManager, tradingControl, reconciliationService, tradeJournal);
 	app.use('/', apiRoutes);
 
 	app.use((err, req, res, next) => {
@@ -2,9 +2,16 @@ const fs = require('fs');
 const EventEmitter = require('events');
 const { CandleService } = require('./candleService');
 const { SignalService } = require('../trading/signalService');
+const { SignalOutcomeTracker } = require('../trading/signalOutcomeTracker');
 const { MultiTimeframeAnalyzer } = require('./multiTimeframeAnalyzer');
-const { SwingAnalyzer } = require('./swingAnalyzer');
+const { LevelLifecycle } = require('./levelLifecycle');
+const { ZoneBuilder } = require('./zoneBuilder');
+const { IndicatorService } = require('./indicatorService');
+const { CONFIG } = require('../../config/config');
 const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+const { TaskTracker } = require('../../utils/taskTracker');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
 
 class AnalyzerService extends EventEmitter {
 	constructor(symbol = 'BTCUSDT', outputDir = './live_analysis', options = {}) {
@@ -15,8 +22,28 @@ class AnalyzerService extends EventEmitter {
 			candleRepository: options.candleRepository || null,
 			multiTimeframeRepositories: options.multiTimeframeRepositories || null
 		});
-		this.multiAnalyzer = new MultiTimeframeAnalyzer();
-		this.signalService = new SignalService(`${outputDir}/signals.csv`);
+		this.clock = options.clock || systemClock;
+		this.tasks = new TaskTracker();
+		this.exportCommonPoints = options.exportCommonPoints !== false;
+		this.symbolMetadata = options.symbolMetadata || new SymbolMetadataRepository();
+		this.multiAnalyzer = new MultiTimeframeAnalyzer({ symbol, symbolMetadata: this.symbolMetadata });
+		// Indicators on the 1s and every timeframe series, updated before anything reads them
+		this.indicators = new IndicatorService({ symbol });
+		this.signalService = new SignalService(`${outputDir}/signals.csv`, {
+			clock: this.clock,
+			symbol,
+			symbolMetadata: this.symbolMetadata,
+			ruleRepository: options.signalRuleRepository || null,
+			processedLevelRepository: options.processedLevelRepository || null,
+			indicatorService: this.indicators
+		});
+		// Every signal is followed forward, traded or not
+		this.signalOutcomes = new SignalOutcomeTracker({
+			symbol,
+			outputFile: `${outputDir}/signal_outcomes.csv`,
+			symbolMetadata: this.symbolMetadata,
+			analyzer: this
+		});
 		this.isAnalyzing = false;
 		this.lastAnalysisTime = 0;
 		this.analysisInterval = 0; // No interval restriction - analyze after every candle
@@ -25,15 +52,72 @@ class AnalyzerService extends EventEmitter {
 		this.candlesSinceAnalysis = 0;
 		this.minCandlesForAnalysis = 1; // Analyze after just 1 candle
 		this.swingLevelRepository = options.swingLevelRepository || null;
+		// Touches, breaks and decay of the common points, saved with them
+		this.levelLifecycle = new LevelLifecycle({ symbol, symbolMetadata: this.symbolMetadata, clock: this.clock });
+		this.levelWrites = Promise.resolve();
+		// Active levels clustered into support/resistance zones, rebuilt whenever they change
+		this.zoneBuilder = new ZoneBuilder({ analyzer: this });
+		this.zones = [];
+		// Last 1s candle seen, for rules that compare a candle with the one before it
+		this.lastCandle = null;
+		// Timeframe candles closed since the last 1s candle, checked for signals with it
+		this.closedTimeframeCandles = [];
+		this.lastTimeframeCandles = {};
 
 		this.setupOutputDirectory();
 		this.setupCandleSubscription();
 		this.bootstrapSwingLevels();
+		this.restoreProcessedLevels();
 		this.restoreCandles();
 	}
 
+	async restoreProcessedLevels() {
+		try {
+			await this.signalService.restoreProcessedLevels();
+		} catch (error) {
+			logger.error('Failed to restore processed signal levels:', error);
+		}
+	}
+
 	async restoreCandles() {
 		await this.candleService.restoreRecentCandles(1000);
+		this.seedSwingAnalyzers();
+		this.seedIndicators();
+	}
+
+	// Replay restored candles into indicator series that have not seen live candles yet
+	seedIndicators() {
+		const multiTimeframeService = this.candleService.getMultiTimeframeService();
+		const series = {
+			'1s': this.candleService.getAllCandles(),
+			...Object.keys(multiTimeframeService.timeframeIntervals).reduce((candles, timeframe) => {
+				candles[timeframe] = multiTimeframeService.getCandles(timeframe);
+				return candles;
+			}, {})
+		};
+
+		Object.entries(series).forEach(([timeframe, candles]) => {
+			if (this.indicators.getBarCount(timeframe) > 0) return;
+
+			candles.forEach(candle => this.indicators.update(timeframe, candle));
+			if (candles.length > 0) {
+				logger.info(`[${timeframe}] Seeded indicators with ${candles.length} restored candles`);
+			}
+		});
+	}
+
+	// Replay restored timeframe candles into analyzers that have not seen live bars yet
+	seedSwingAnalyzers() {
+		const multiTimeframeService = this.candleService.getMultiTimeframeService();
+		Object.keys(multiTimeframeService.timeframeIntervals).forEach((timeframe) => {
+			if (this.multiAnalyzer.getBarCount(timeframe) > 0) return;
+
+			const candles = multiTimeframeService.getCandles(timeframe);
+			candles.forEach(candle => this.multiAnalyzer.addBar(timeframe, candle));
+			if (candles.length > 0) {
+				logger.info(`[${timeframe}] Seeded swing analyzer with ${candles.length} restored candles`);
+			}
+		});
 	}
 
 	setupOutputDirectory() {
@@ -53,12 +137,33 @@ class AnalyzerService extends EventEmitter {
 		
 		this.candleService.on('candleStored', (candle) => {
 			logger.info(`📥 Received 'candleStored' event in AnalyzerService for candle: ${candle.timestamp}`);
-			this.onCandleStored(candle).catch((error) => {
+			this.indicators.update('1s', candle);
+			this.signalOutcomes.onCandle(candle);
+			this.signalService.rearmLevels(candle);
+			this.updateLevelLifecycle(candle, '1s');
+			const previousCandle = this.lastCandle;
+			this.lastCandle = candle;
+			const timeframeCandles = this.closedTimeframeCandles.splice(0);
+			this.tasks.track(this.onCandleStored(candle, previousCandle, timeframeCandles).catch((error) => {
 				logger.error('Error handling stored candle:', error);
-			});
+			}));
 		});
 		logger.info('✅ Candle subscription listener registered');
 
+		// Timeframe bars close before 'candleStored' fires for the 1s candle that closed them,
+		// so swing points are current when the analysis for that candle runs
+		this.candleService.on('multiTimeframeCandleStored', (candle, timeframe) => {
+			this.indicators.update(timeframe, candle);
+			this.multiAnalyzer.addBar(timeframe, candle);
+			this.updateLevelLifecycle(candle, timeframe);
+			this.closedTimeframeCandles.push({
+				timeframe,
+				candle,
+				previousCandle: this.lastTimeframeCandles[timeframe] || null
+			});
+			this.lastTimeframeCandles[timeframe] = candle;
+		});
+
 		this.candleService.subscribe((candle) => {
 			logger.info(`🕯️ New 1s Candle: O:${candle.open.toFixed(2)} H:${candle.high.toFixed(2)} L:${candle.low.toFixed(2)} C:${candle.close.toFixed(2)} V:${candle.volume.toFixed(2)}`);
 		});
@@ -73,7 +178,9 @@ class AnalyzerService extends EventEmitter {
 			await this.swingLevelRepository.ensureLoaded();
 			const cachedLevels = this.swingLevelRepository.getLevels(this.symbol);
 			if (cachedLevels && cachedLevels.length > 0) {
-				this.commonPoints = cachedLevels;
+				this.levelLifecycle.restore(cachedLevels);
+				this.commonPoints = cachedLevels.filter(level => level.status !== 'retired');
+				this.refreshZones();
 				logger.info(`♻️  Loaded ${cachedLevels.length} cached swing levels for ${this.symbol}`);
 			}
 		} catch (error) {
@@ -81,7 +188,7 @@ class AnalyzerService extends EventEmitter {
 		}
 	}
 
-	async onCandleStored(candle) {
+	async onCandleStored(candle, previousCandle = null, timeframeCandles = []) {
 		this.candlesSinceAnalysis++;
 		const allCandles = this.candleService.getAllCandles();
 		logger.info(`📊 Candle stored. Total candles: ${allCandles.length}, Since last analysis: ${this.candlesSinceAnalysis}`);
@@ -108,32 +215,36 @@ class AnalyzerService extends EventEmitter {
 		} else {
 			// No debounce - trigger immediately
 			logger.info('🚀 Triggering analysis immediately (no debounce)...');
-			this.triggerAnalysis().catch((error) => {
+			this.tasks.track(this.triggerAnalysis().catch((error) => {
 				logger.error('Error in analysis trigger:', error);
-			});
+			}));
 		}
 
 		// Check for signals in parallel (doesn't wait for analysis)
-		this.checkForSignals(candle).catch((error) => {
+		this.tasks.track(this.checkForSignals(candle, previousCandle, timeframeCandles).catch((error) => {
 			logger.error('Error checking signals:', error);
-		});
+		}));
 	}
 
-	async checkForSignals(candle) {
+	async checkForSignals(candle, previousCandle = null, timeframeCandles = []) {
 		if (!this.swingLevelRepository) {
 			logger.debug('No swing level repository available for signal checking');
 			return;
 		}
 
 		const currentPrice = candle.close;
-		const tolerance = 0.002;
+		// Wide enough for every rule's touch, rejection and break distances, and for the
+		// wicks of timeframe candles that closed with this one
+		const wickReach = timeframeCandles.reduce((widest, { candle: timeframeCandle }) => (
+			Math.max(widest, (timeframeCandle.high - currentPrice) / currentPrice, (currentPrice - timeframeCandle.low) / currentPrice)
+		), 0);
+		const tolerance = Math.max(0.002, this.signalService.getLevelSearchTolerance() + wickReach);
 
 		try {
-			const relevantLevels = await this.swingLevelRepository.getLevelsInPriceRange(
-				this.symbol,
-				currentPrice,
-				tolerance
-			);
+			// Rules are checked against zone bounds, or single level prices with zones off
+			const relevantLevels = CONFIG.zones.enabled
+				? await this.swingLevelRepository.getZonesInPriceRange(this.symbol, currentPrice, tolerance)
+				: await this.swingLevelRepository.getLevelsInPriceRange(this.symbol, currentPrice, tolerance);
 
 			logger.info(`🔍 Signal check: Current price: ${currentPrice.toFixed(2)}, Tolerance: ${tolerance}, Found ${relevantLevels.length} relevant levels`);
 
@@ -148,9 +259,10 @@ class AnalyzerService extends EventEmitter {
 				logger.info(`  📍 Level: ${level.type} @ ${level.price.toFixed(2)}, Diff: ${(priceDiff * 100).toFixed(3)}%`);
 			});
 
-			const signals = await this.signalService.checkForSignals(candle, relevantLevels);
+			const signals = await this.signalService.checkForSignals(candle, relevantLevels, previousCandle, timeframeCandles);
 			if (signals.length > 0) {
 				logger.info(`🚨 Generated ${signals.length} signal(s) from ${relevantLevels.length} relevant levels`);
+				signals.forEach(signal => this.signalOutcomes.track(signal));
 				this.emit('signals', signals, candle);
 			} else {
 				logger.info(`✅ Checked ${relevantLevels.length} levels but no signals generated (may be already processed or outside tolerance)`);
@@ -166,7 +278,7 @@ class AnalyzerService extends EventEmitter {
 			return;
 		}
 
-		const currentTime = Date.now();
+		const currentTime = this.clock.now();
 		// Only check interval if it's set (0 means no restriction)
 		if (this.analysisInterval > 0 && currentTime - this.lastAnalysisTime < this.analysisInterval) {
 			const timeSinceLastAnalysis = currentTime - this.lastAnalysisTime;
@@ -187,84 +299,29 @@ class AnalyzerService extends EventEmitter {
 		logger.info('🔍 Performing swing analysis...');
 
 		try {
-			const allCandles = this.candleService.getAllCandles();
-
-			// Minimum candles needed for meaningful swing analysis (need at least some data for aggregation)
-			// Reduced from 100 to allow analysis with fewer candles
-			const minCandlesForSwingAnalysis = 50;
-			if (allCandles.length < minCandlesForSwingAnalysis) {
-				logger.info(`⏳ Not enough candles for swing analysis (${allCandles.length}/${minCandlesForSwingAnalysis}). Waiting for more...`);
-				this.isAnalyzing = false;
+			// Swing points are detected incrementally as timeframe bars close; only publish
+			// when the common points actually changed
+			if (!this.multiAnalyzer.consumeChanges()) {
+				logger.debug('No swing point changes since last analysis');
 				return;
 			}
-			
-			logger.info(`✅ Starting analysis with ${allCandles.length} candles`);
-
-			this.multiAnalyzer = new MultiTimeframeAnalyzer();
-
-			const timeframes = [
-				{ label: '15s', seconds: 15 },
-				{ label: '1m', seconds: 60 },
-				{ label: '3m', seconds: 180 },
-				{ label: '5m', seconds: 300 }
-			];
-
-			// Get multi-timeframe service from candleService
-			const multiTimeframeService = this.candleService.getMultiTimeframeService();
-			
-			for (const { label, seconds } of timeframes) {
-				logger.debug(`Analyzing ${label} timeframe...`);
-
-				// Try to get candles from multi-timeframe service (persisted or in-memory)
-				let timeframeCandles = null;
-				if (multiTimeframeService) {
-					timeframeCandles = multiTimeframeService.getCandles(label);
-					logger.info(`[${label}] Retrieved ${timeframeCandles.length} candles from multi-timeframe service`);
-					
-					// If we have some candles from the service, use them
-					// Otherwise, fall back to aggregation
-					if (timeframeCandles.length > 0) {
-						logger.info(`[${label}] Using ${timeframeCandles.length} persisted candles for analysis`);
-					} else {
-						logger.debug(`[${label}] No persisted candles in ring buffer, will aggregate from 1s candles`);
-					}
-				}
-
-				// Fallback to on-the-fly aggregation if no persisted candles available
-				if (!timeframeCandles || timeframeCandles.length === 0) {
-					logger.debug(`[${label}] Aggregating from 1s candles...`);
-					timeframeCandles = this.aggregateToTimeframe(allCandles, seconds);
-					logger.info(`[${label}] Aggregated ${timeframeCandles.length} bars from ${allCandles.length} 1s candles`);
-				}
-
-				if (!timeframeCandles || timeframeCandles.length === 0) {
-					logger.debug(`Skipping ${label} timeframe due to insufficient candles`);
-					continue;
-				}
-
-				const analyzer = new SwingAnalyzer(label);
-				timeframeCandles.forEach(bar => {
-					analyzer.addPriceData(bar.timestamp, bar.open, bar.high, bar.low, bar.close, bar.volume, bar.originalTimestamp);
-				});
 
-				analyzer.detectSwingPoints();
-				const swingPoints = analyzer.getSwingPoints();
-				logger.info(`[${label}] Detected ${swingPoints.length} swing points`);
-				this.multiAnalyzer.addTimeframe(label, analyzer);
-			}
-
-			const commonPoints = this.multiAnalyzer.findCommonSwingPoints();
+			const commonPoints = this.multiAnalyzer.getCommonSwingPoints();
 			logger.info(`📊 Found ${commonPoints.length} common swing points`);
 
-			this.commonPoints = commonPoints;
+			const levels = this.levelLifecycle.merge(commonPoints);
+			this.commonPoints = this.levelLifecycle.getActiveLevels();
+			this.refreshZones();
 
 			if (this.swingLevelRepository) {
-				await this.swingLevelRepository.syncLevels(this.symbol, commonPoints);
-				logger.info(`💾 Synced ${commonPoints.length} swing levels to Aerospike`);
+				await this.swingLevelRepository.syncLevels(this.symbol, levels);
+				logger.info(`💾 Synced ${levels.length} swing levels to Aerospike`);
 			}
 
-			const commonOutput = `${this.outputDir}/common_swing_points.csv`;
-			await this.multiAnalyzer.exportCommonPointsToCSV(commonOutput);
+			if (this.exportCommonPoints) {
+				const commonOutput = `${this.outputDir}/common_swing_points.csv`;
+				await this.multiAnalyzer.exportCommonPointsToCSV(commonOutput);
+			}
 
 		} catch (error) {
 			logger.error('Error during analysis:', error);
@@ -273,31 +330,37 @@ class AnalyzerService extends EventEmitter {
 		}
 	}
 
-	aggregateToTimeframe(candles, seconds) {
-		const aggregated = [];
-		const barsPerTimeframe = seconds;
+	updateLevelLifecycle(candle, timeframe) {
+		if (!this.levelLifecycle.onCandle(candle, timeframe)) return;
 
-		for (let i = 0; i < candles.length; i += barsPerTimeframe) {
-			const chunk = candles.slice(i, i + barsPerTimeframe);
-			if (chunk.length === 0) continue;
+		this.commonPoints = this.levelLifecycle.getActiveLevels();
+		this.refreshZones();
+		this.tasks.track(this.saveLevels());
+	}
 
-			const firstCandle = chunk[0];
-			const lastCandle = chunk[chunk.length - 1];
+	// The repository takes the zones into its cache at once; only the Aerospike write is async
+	refreshZones() {
+		this.zones = this.zoneBuilder.build(this.commonPoints || []);
+		if (!this.swingLevelRepository) return;
 
-			const aggregatedBar = {
-				timestamp: firstCandle.timestamp,
-				open: firstCandle.open,
-				high: Math.max(...chunk.map(c => c.high)),
-				low: Math.min(...chunk.map(c => c.low)),
-				close: lastCandle.close,
-				volume: chunk.reduce((sum, c) => sum + c.volume, 0),
-				originalTimestamp: lastCandle.originalTimestamp
-			};
+		this.tasks.track(this.swingLevelRepository.syncZones(this.symbol, this.zones).catch((error) => {
+			logger.error('Error saving zones:', error);
+		}));
+	}
 
-			aggregated.push(aggregatedBar);
+	// Lifecycle saves run one after another and write the levels as they are at the time,
+	// so a queued save cannot bring back levels a newer analysis dropped
+	saveLevels() {
+		if (!this.swingLevelRepository) {
+			return Promise.resolve();
 		}
 
-		return aggregated;
+		this.levelWrites = this.levelWrites
+			.then(() => this.swingLevelRepository.syncLevels(this.symbol, this.levelLifecycle.getLevels()))
+			.catch((error) => {
+				logger.error('Error saving swing levels:', error);
+			});
+		return this.levelWrites;
 	}
 
 	async checkForLiveSignals(currentCandle) {
@@ -313,7 +376,12 @@ class AnalyzerService extends EventEmitter {
 	}
 
 	addTradeData(timestamp, price, volume = 0) {
-		this.candleService.addData(timestamp, price, volume);
+		return this.candleService.addData(timestamp, price, volume);
+	}
+
+	async whenIdle() {
+		await this.tasks.whenIdle();
+		await this.signalOutcomes.whenIdle();
 	}
 
 	getStatus() {
@@ -330,13 +398,61 @@ class AnalyzerService extends EventEmitter {
 		};
 	}
 
+	/**
+	 * Average true range over the last `period` closed bars of a timeframe
+	 * ('1s' or any multi-timeframe bar), or null until enough bars exist. Read from the
+	 * indicators when they track the period, computed from the stored candles otherwise.
+	 */
+	getAtr(timeframe = '1m', period = 14) {
+		const tracked = this.indicators.getAtr(timeframe, period);
+		if (tracked !== undefined) {
+			return tracked;
+		}
+
+		const candles = timeframe === '1s'
+			? this.candleService.getCandleHistory(period + 1)
+			: this.candleService.getMultiTimeframeService().getCandles(timeframe, period + 1);
+
+		if (candles.length < period + 1) {
+			return null;
+		}
+
+		let total = 0;
+		for (let i = 1; i < candles.length; i++) {
+			const { high, low } = candles[i];
+			const previousClose = candles[i - 1].close;
+			total += Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+		}
+		return total / period;
+	}
+
 	getSignalService() {
 		return this.signalService;
 	}
 
+	getSignalOutcomeTracker() {
+		return this.signalOutcomes;
+	}
+
 	getCandleService() {
 		return this.candleService;
 	}
+
+	getIndicatorService() {
+		return this.indicators;
+	}
+
+	getMultiTimeframeAnalyzer() {
+		return this.multiAnalyzer;
+	}
+
+	getLevelLifecycle() {
+		return this.levelLifecycle;
+	}
+
+	getZones() {
+		return this.zones;
+	}
 }
 
 module.exports = { AnalyzerService };
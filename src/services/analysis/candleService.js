@@ -15,21 +15,17 @@ class CandleService extends EventEmitter {
 		this.ringBuffer = new CandleRingBuffer(CONFIG.live.maxHistoryBars);
 		this.candleRepository = options.candleRepository || null;
 		
-		// Initialize multi-timeframe service if repositories are provided
-		if (options.multiTimeframeRepositories) {
-			this.multiTimeframeService = new MultiTimeframeCandleService(symbol, options.multiTimeframeRepositories);
-			
-			// Forward multi-timeframe candle events
-			this.multiTimeframeService.on('candleStored', (candle, timeframe) => {
-				this.emit('multiTimeframeCandleStored', candle, timeframe);
-			});
-			
-			this.multiTimeframeService.on('candleStoreError', (error, candle, timeframe) => {
-				this.emit('multiTimeframeCandleStoreError', error, candle, timeframe);
-			});
-		} else {
-			this.multiTimeframeService = null;
-		}
+		// Multi-timeframe candles are always aggregated; repositories only add persistence
+		this.multiTimeframeService = new MultiTimeframeCandleService(symbol, options.multiTimeframeRepositories || {});
+
+		// Forward multi-timeframe candle events
+		this.multiTimeframeService.on('candleStored', (candle, timeframe) => {
+			this.emit('multiTimeframeCandleStored', candle, timeframe);
+		});
+
+		this.multiTimeframeService.on('candleStoreError', (error, candle, timeframe) => {
+			this.emit('multiTimeframeCandleStoreError', error, candle, timeframe);
+		});
 	}
 
 	async addData(timestamp, price, volume = 0) {
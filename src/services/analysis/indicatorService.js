@@ -0,0 +1,156 @@
+const { CONFIG } = require('../../config/config');
+const {
+	SmaIndicator,
+	EmaIndicator,
+	RsiIndicator,
+	AtrIndicator,
+	BollingerBandsIndicator,
+	SessionVwapIndicator
+} = require('./indicators');
+
+/**
+ * A symbol's indicators on the 1s series and every MultiTimeframeCandleService timeframe,
+ * updated with each closed candle. A timeframe's series starts with the first candle it
+ * is given and ignores candles not newer than the last one, so restored candles can be
+ * fed in again without counting twice.
+ *
+ * Tracked per timeframe (CONFIG.indicators): SMA and EMA of each configured period,
+ * RSI, ATR, Bollinger Bands and session VWAP.
+ */
+class IndicatorService {
+	constructor({ symbol = null, settings = CONFIG.indicators } = {}) {
+		this.symbol = symbol;
+		this.settings = settings;
+		// Timeframe -> { lastTime, lastCandle, bars, indicators }
+		this.series = new Map();
+	}
+
+	createSeries() {
+		const { smaPeriods, emaPeriods, rsiPeriod, atrPeriod, bollingerPeriod, bollingerDeviations, vwapSessionStartHour } = this.settings;
+		return {
+			lastTime: null,
+			lastCandle: null,
+			bars: 0,
+			indicators: {
+				sma: new Map(smaPeriods.map(period => [period, new SmaIndicator(period)])),
+				ema: new Map(emaPeriods.map(period => [period, new EmaIndicator(period)])),
+				rsi: new RsiIndicator(rsiPeriod),
+				atr: new AtrIndicator(atrPeriod),
+				bollinger: new BollingerBandsIndicator(bollingerPeriod, bollingerDeviations),
+				vwap: new SessionVwapIndicator(vwapSessionStartHour)
+			}
+		};
+	}
+
+	/**
+	 * @param {string} timeframe - '1s' or a MultiTimeframeCandleService timeframe
+	 * @param {Object} candle - Closed candle
+	 * @returns {boolean} Whether the candle was new to the series
+	 */
+	update(timeframe, candle) {
+		if (!this.series.has(timeframe)) {
+			this.series.set(timeframe, this.createSeries());
+		}
+
+		const series = this.series.get(timeframe);
+		const time = new Date(candle.timestamp).getTime();
+		if (series.lastTime !== null && time <= series.lastTime) {
+			return false;
+		}
+
+		const { sma, ema, ...single } = series.indicators;
+		sma.forEach(indicator => indicator.update(candle));
+		ema.forEach(indicator => indicator.update(candle));
+		Object.values(single).forEach(indicator => indicator.update(candle));
+
+		series.lastTime = time;
+		series.lastCandle = candle;
+		series.bars++;
+		return true;
+	}
+
+	getBarCount(timeframe) {
+		const series = this.series.get(timeframe);
+		return series ? series.bars : 0;
+	}
+
+	getTimeframes() {
+		return Array.from(this.series.keys());
+	}
+
+	/**
+	 * Current value of one indicator. SMA and EMA take the period (default the first
+	 * configured one); the others have one period, which `period` may repeat.
+	 * @returns {number|Object|null|undefined} null while warming up, undefined when the
+	 *   indicator or period is not tracked
+	 */
+	getValue(timeframe, indicator, period = null) {
+		if (!this.isTracked(indicator, period)) {
+			return undefined;
+		}
+		const series = this.series.get(timeframe);
+		if (!series) {
+			return null;
+		}
+
+		const tracked = series.indicators[indicator];
+		if (tracked instanceof Map) {
+			return (period === null ? tracked.values().next().value : tracked.get(period)).value;
+		}
+		return tracked.value;
+	}
+
+	isTracked(indicator, period = null) {
+		if (indicator === 'vwap') return true;
+
+		const periods = {
+			sma: this.settings.smaPeriods,
+			ema: this.settings.emaPeriods,
+			rsi: [this.settings.rsiPeriod],
+			atr: [this.settings.atrPeriod],
+			bollinger: [this.settings.bollingerPeriod]
+		}[indicator];
+		return Boolean(periods) && periods.length > 0 && (period === null || periods.includes(period));
+	}
+
+	/**
+	 * ATR(period) on a timeframe; undefined when that period is not tracked.
+	 */
+	getAtr(timeframe, period) {
+		return this.getValue(timeframe, 'atr', period);
+	}
+
+	/**
+	 * Every indicator of a timeframe, as of its last candle.
+	 */
+	getValues(timeframe) {
+		const series = this.series.get(timeframe);
+		if (!series) return null;
+
+		const byPeriod = indicators => Array.from(indicators.entries()).reduce((values, [period, indicator]) => {
+			values[period] = indicator.value;
+			return values;
+		}, {});
+		const { sma, ema, rsi, atr, bollinger, vwap } = series.indicators;
+		return {
+			timestamp: series.lastCandle.timestamp,
+			close: series.lastCandle.close,
+			bars: series.bars,
+			sma: byPeriod(sma),
+			ema: byPeriod(ema),
+			rsi: rsi.value,
+			atr: atr.value,
+			bollinger: bollinger.value,
+			vwap: vwap.value
+		};
+	}
+
+	getSnapshot() {
+		return this.getTimeframes().reduce((snapshot, timeframe) => {
+			snapshot[timeframe] = this.getValues(timeframe);
+			return snapshot;
+		}, {});
+	}
+}
+
+module.exports = { IndicatorService };
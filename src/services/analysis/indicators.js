@@ -0,0 +1,226 @@
+/**
+ * Streaming indicators, updated with one closed candle at a time. Each value depends only
+ * on the candles fed so far, in order, so the same candles give the same values whether
+ * they arrive live or are replayed. Values are null until enough candles have been seen.
+ */
+
+const INDICATORS = ['sma', 'ema', 'rsi', 'atr', 'bollinger', 'vwap'];
+
+// Sum oldest to newest so every window is added up the same way
+function sum(values) {
+	let total = 0;
+	for (let i = 0; i < values.length; i++) {
+		total += values[i];
+	}
+	return total;
+}
+
+/**
+ * Keeps the last `period` values.
+ */
+class Window {
+	constructor(period) {
+		this.period = period;
+		this.values = [];
+	}
+
+	push(value) {
+		this.values.push(value);
+		if (this.values.length > this.period) {
+			this.values.shift();
+		}
+	}
+
+	isFull() {
+		return this.values.length === this.period;
+	}
+}
+
+/**
+ * Simple moving average of the closes.
+ */
+class SmaIndicator {
+	constructor(period) {
+		this.period = period;
+		this.window = new Window(period);
+		this.value = null;
+	}
+
+	update(candle) {
+		this.window.push(candle.close);
+		this.value = this.window.isFull() ? sum(this.window.values) / this.period : null;
+		return this.value;
+	}
+}
+
+/**
+ * Exponential moving average of the closes, seeded with the SMA of the first `period`.
+ */
+class EmaIndicator {
+	constructor(period) {
+		this.period = period;
+		this.multiplier = 2 / (period + 1);
+		this.seed = [];
+		this.value = null;
+	}
+
+	update(candle) {
+		if (this.value === null) {
+			this.seed.push(candle.close);
+			if (this.seed.length === this.period) {
+				this.value = sum(this.seed) / this.period;
+				this.seed = [];
+			}
+			return this.value;
+		}
+
+		this.value += (candle.close - this.value) * this.multiplier;
+		return this.value;
+	}
+}
+
+/**
+ * Wilder's RSI of the closes: the first averages are plain means of `period` changes,
+ * later ones are smoothed by 1/period.
+ */
+class RsiIndicator {
+	constructor(period) {
+		this.period = period;
+		this.previousClose = null;
+		this.gains = [];
+		this.losses = [];
+		this.averageGain = null;
+		this.averageLoss = null;
+		this.value = null;
+	}
+
+	update(candle) {
+		if (this.previousClose === null) {
+			this.previousClose = candle.close;
+			return this.value;
+		}
+
+		const change = candle.close - this.previousClose;
+		const gain = Math.max(change, 0);
+		const loss = Math.max(-change, 0);
+		this.previousClose = candle.close;
+
+		if (this.averageGain === null) {
+			this.gains.push(gain);
+			this.losses.push(loss);
+			if (this.gains.length < this.period) {
+				return this.value;
+			}
+			this.averageGain = sum(this.gains) / this.period;
+			this.averageLoss = sum(this.losses) / this.period;
+			this.gains = [];
+			this.losses = [];
+		} else {
+			this.averageGain = (this.averageGain * (this.period - 1) + gain) / this.period;
+			this.averageLoss = (this.averageLoss * (this.period - 1) + loss) / this.period;
+		}
+
+		if (this.averageLoss === 0) {
+			this.value = this.averageGain === 0 ? 50 : 100;
+		} else {
+			this.value = 100 - 100 / (1 + this.averageGain / this.averageLoss);
+		}
+		return this.value;
+	}
+}
+
+/**
+ * Average true range: the mean true range of the last `period` candles, the same as
+ * AnalyzerService.getAtr computes from the stored candles.
+ */
+class AtrIndicator {
+	constructor(period) {
+		this.period = period;
+		this.previousClose = null;
+		this.window = new Window(period);
+		this.value = null;
+	}
+
+	update(candle) {
+		if (this.previousClose !== null) {
+			const { high, low } = candle;
+			const previousClose = this.previousClose;
+			this.window.push(Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose)));
+		}
+		this.previousClose = candle.close;
+		this.value = this.window.isFull() ? sum(this.window.values) / this.period : null;
+		return this.value;
+	}
+}
+
+/**
+ * Bollinger Bands: SMA of the closes ± `deviations` population standard deviations.
+ * `width` is the band width as a fraction of the middle band.
+ */
+class BollingerBandsIndicator {
+	constructor(period, deviations = 2) {
+		this.period = period;
+		this.deviations = deviations;
+		this.window = new Window(period);
+		this.value = null;
+	}
+
+	update(candle) {
+		this.window.push(candle.close);
+		if (!this.window.isFull()) {
+			this.value = null;
+			return this.value;
+		}
+
+		const middle = sum(this.window.values) / this.period;
+		const variance = sum(this.window.values.map(close => (close - middle) ** 2)) / this.period;
+		const offset = Math.sqrt(variance) * this.deviations;
+		this.value = {
+			middle,
+			upper: middle + offset,
+			lower: middle - offset,
+			width: middle !== 0 ? (2 * offset) / middle : 0
+		};
+		return this.value;
+	}
+}
+
+/**
+ * Volume-weighted average of the typical price ((high + low + close) / 3) since the
+ * session started. Sessions start every day at `sessionStartHour` UTC, taken from the
+ * candle timestamps. Null until the session has volume.
+ */
+class SessionVwapIndicator {
+	constructor(sessionStartHour = 0) {
+		this.sessionStartMs = sessionStartHour * 3600000;
+		this.session = null;
+		this.priceVolume = 0;
+		this.volume = 0;
+		this.value = null;
+	}
+
+	update(candle) {
+		const session = Math.floor((new Date(candle.timestamp).getTime() - this.sessionStartMs) / 86400000);
+		if (session !== this.session) {
+			this.session = session;
+			this.priceVolume = 0;
+			this.volume = 0;
+		}
+
+		const volume = candle.volume > 0 ? candle.volume : 0;
+		this.priceVolume += ((candle.high + candle.low + candle.close) / 3) * volume;
+		this.volume += volume;
+		this.value = this.volume > 0 ? this.priceVolume / this.volume : null;
+		return this.value;
+	}
+}
+
+module.exports = {
+	INDICATORS,
+	SmaIndicator,
+	EmaIndicator,
+	RsiIndicator,
+	AtrIndicator,
+	BollingerBandsIndicator,
+	SessionVwapIndicator
+};
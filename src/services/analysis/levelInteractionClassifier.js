@@ -0,0 +1,73 @@
+const INTERACTIONS = ['break', 'sweep', 'rejection'];
+
+/**
+ * Edges of a level or zone: price comes to the near edge from the side the level formed
+ * on and breaks it beyond the far edge. A single level has one price for both.
+ */
+function levelEdges(level) {
+	const lower = level.lower ?? level.price;
+	const upper = level.upper ?? level.price;
+	return level.type === 'SWING_LOW'
+		? { near: upper, far: lower }
+		: { near: lower, far: upper };
+}
+
+/**
+ * Classify what a single closed candle (1s or any higher timeframe) did at a swing level
+ * or zone. "Beyond" is the far side of the level from where it formed: above a swing
+ * high, below a swing low; for a zone, beyond its far edge. Distances are fractions of
+ * the edge price.
+ *
+ *   break      - opened on the level's side and closed beyond it by at least breakDistance
+ *   sweep      - the wick pierced the level but the candle closed back on the level's side
+ *   rejection  - the wick reached within tolerance of the level (its near edge) without
+ *                piercing it, the wick towards the level is at least minWickRatio of the
+ *                range and the body at most maxBodyRatio of it
+ *
+ * @param {Object} candle - { open, high, low, close }
+ * @param {Object} level - Common point or zone ({ type, price, lower?, upper? })
+ * @param {Object} options - { tolerance, breakDistance, minWickRatio, maxBodyRatio }
+ * @returns {Object|null} { type, penetration, wickRatio, bodyRatio }, or null when the
+ *   candle did none of these
+ */
+function classifyInteraction(candle, level, { tolerance, breakDistance = 0, minWickRatio = 0.5, maxBodyRatio = 0.3 }) {
+	const range = candle.high - candle.low;
+	// Flat candles, e.g. the ones filling skipped intervals, say nothing about the level
+	if (!(range > 0)) {
+		return null;
+	}
+
+	const { near, far } = levelEdges(level);
+	// Beyond is up through a swing high, down through a swing low
+	const beyond = level.type === 'SWING_HIGH' ? 1 : -1;
+	const past = value => ((value - far) / far) * beyond;
+	const pastNear = value => ((value - near) / near) * beyond;
+	const extreme = beyond === 1 ? candle.high : candle.low;
+	const wick = beyond === 1
+		? candle.high - Math.max(candle.open, candle.close)
+		: Math.min(candle.open, candle.close) - candle.low;
+
+	const details = {
+		penetration: past(extreme),
+		wickRatio: wick / range,
+		bodyRatio: Math.abs(candle.close - candle.open) / range
+	};
+
+	if (past(candle.open) <= 0 && past(candle.close) >= breakDistance && past(candle.close) > 0) {
+		return { type: 'break', ...details };
+	}
+	if (past(extreme) > 0 && past(candle.close) < 0) {
+		return { type: 'sweep', ...details };
+	}
+	if (past(extreme) <= 0 && pastNear(extreme) >= -tolerance
+		&& details.wickRatio >= minWickRatio && details.bodyRatio <= maxBodyRatio) {
+		return { type: 'rejection', ...details };
+	}
+	return null;
+}
+
+module.exports = {
+	INTERACTIONS,
+	levelEdges,
+	classifyInteraction
+};
@@ -0,0 +1,179 @@
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+
+const OPPOSITE_TYPE = {
+	SWING_HIGH: 'SWING_LOW',
+	SWING_LOW: 'SWING_HIGH'
+};
+
+/**
+ * History of a symbol's swing levels across analyses. Each level keeps, next to the
+ * common point fields:
+ *
+ *   originalType     - the swing type it was found as; `type` is its current role
+ *   status           - active, flipped (broken once and now trading the other role) or retired
+ *   firstSeen        - when an analysis first reported it
+ *   touches          - 1s visits within touchTolerance of the price, counted once per visit
+ *   lastTouch        - time of the latest touch
+ *   broken/brokenAt  - closed breakDistance beyond the level on breakTimeframe
+ *   decayedStrength  - confirmationCount halved every strengthHalfLifeHours since the last
+ *                      touch (or first seen)
+ *
+ * Levels are matched between analyses by their original type and price. Times come from
+ * the candles and the injected clock, so a replay gives the same history.
+ */
+class LevelLifecycle {
+	constructor({ symbol, symbolMetadata, clock = systemClock, settings = CONFIG.levels }) {
+		this.symbol = symbol;
+		this.symbolMetadata = symbolMetadata;
+		this.clock = clock;
+		this.settings = settings;
+		// Key of the level as analysed -> level with its lifecycle fields
+		this.levels = new Map();
+		// Keys of levels the price is touching now, so a visit counts once
+		this.touching = new Set();
+	}
+
+	originKey(level) {
+		return this.symbolMetadata.levelKey(this.symbol, level.originalType || level.type, level.price);
+	}
+
+	/**
+	 * Take over levels persisted before a restart. Levels saved without a lifecycle start
+	 * a new one at the next analysis.
+	 */
+	restore(levels) {
+		levels.forEach((level) => {
+			const key = this.originKey(level);
+			if (level.status && !this.levels.has(key)) {
+				this.levels.set(key, level);
+			}
+		});
+	}
+
+	/**
+	 * Merge the common points of a new analysis with the history of the same levels.
+	 * Levels the analysis no longer reports are dropped with their history.
+	 * @returns {Object[]} Every level, retired ones included
+	 */
+	merge(commonPoints, now = this.clock.now()) {
+		const next = new Map();
+
+		commonPoints.forEach((point) => {
+			const key = this.originKey(point);
+			const previous = this.levels.get(key);
+			const level = previous ? {
+				...point,
+				originalType: previous.originalType,
+				type: previous.type,
+				status: previous.status,
+				firstSeen: previous.firstSeen,
+				touches: previous.touches,
+				lastTouch: previous.lastTouch,
+				broken: previous.broken,
+				brokenAt: previous.brokenAt
+			} : {
+				...point,
+				originalType: point.type,
+				status: 'active',
+				firstSeen: new Date(now).toISOString(),
+				touches: 0,
+				lastTouch: null,
+				broken: false,
+				brokenAt: null
+			};
+			level.decayedStrength = this.strengthAt(level, now);
+			next.set(key, level);
+		});
+
+		this.levels = next;
+		Array.from(this.touching).forEach((key) => {
+			if (!next.has(key)) this.touching.delete(key);
+		});
+		return this.getLevels();
+	}
+
+	/**
+	 * Count touches on 1s candles and breaks on breakTimeframe candles.
+	 * @returns {boolean} Whether any level changed
+	 */
+	onCandle(candle, timeframe) {
+		const time = new Date(candle.timestamp).getTime();
+		let changed = false;
+
+		this.levels.forEach((level, key) => {
+			if (level.status === 'retired') return;
+
+			let levelChanged = timeframe === '1s' && this.recordTouch(level, key, candle);
+			if (timeframe === this.settings.breakTimeframe && this.isBrokenBy(level, candle)) {
+				this.recordBreak(level, key, candle);
+				levelChanged = true;
+			}
+			if (levelChanged) {
+				level.decayedStrength = this.strengthAt(level, time);
+				changed = true;
+			}
+		});
+
+		return changed;
+	}
+
+	recordTouch(level, key, candle) {
+		const tolerance = this.settings.touchTolerance;
+		const near = candle.low <= level.price * (1 + tolerance) && candle.high >= level.price * (1 - tolerance);
+		if (!near) {
+			this.touching.delete(key);
+			return false;
+		}
+		if (this.touching.has(key)) {
+			return false;
+		}
+
+		this.touching.add(key);
+		level.touches++;
+		level.lastTouch = new Date(candle.timestamp).toISOString();
+		return true;
+	}
+
+	// A close beyond the level in its current role: above resistance, below support
+	isBrokenBy(level, candle) {
+		const distance = this.settings.breakDistance;
+		return level.type === 'SWING_HIGH'
+			? candle.close > level.price * (1 + distance)
+			: candle.close < level.price * (1 - distance);
+	}
+
+	recordBreak(level, key, candle) {
+		const role = level.type;
+		level.broken = true;
+		level.brokenAt = new Date(candle.timestamp).toISOString();
+		this.touching.delete(key);
+
+		if (this.settings.brokenPolicy === 'flip' && level.status === 'active') {
+			level.type = OPPOSITE_TYPE[level.type];
+			level.status = 'flipped';
+		} else {
+			level.status = 'retired';
+		}
+		logger.info(`💥 ${this.symbol} ${role} @ ${level.price} broken at ${level.brokenAt}: ${level.status === 'flipped' ? `now ${level.type}` : 'retired'}`);
+	}
+
+	strengthAt(level, now) {
+		const since = new Date(level.lastTouch || level.firstSeen).getTime();
+		const hours = Math.max(0, now - since) / 3600000;
+		const halfLife = this.settings.strengthHalfLifeHours;
+		const base = level.confirmationCount || 0;
+		return halfLife > 0 ? base * (0.5 ** (hours / halfLife)) : base;
+	}
+
+	getLevels() {
+		return Array.from(this.levels.values());
+	}
+
+	getActiveLevels() {
+		return this.getLevels().filter(level => level.status !== 'retired');
+	}
+}
+
+module.exports = { LevelLifecycle };
@@ -2,67 +2,249 @@ const fs = require('fs');
 const path = require('path');
 const { CONFIG } = require('../../config/config');
 const logger = require('../../utils/logger');
+const { SwingAnalyzer } = require('./swingAnalyzer');
+const { createSwingDetector, resolveSwingDetectors, validateSwingDetection } = require('./swingDetectors');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
 
 class MultiTimeframeAnalyzer {
-	constructor() {
+	constructor(options = {}) {
+		this.symbol = options.symbol || null;
+		this.symbolMetadata = options.symbolMetadata || new SymbolMetadataRepository();
+		// Detectors per timeframe and symbol (CONFIG.swingDetection)
+		this.detection = options.swingDetection || CONFIG.swingDetection;
+		validateSwingDetection(this.detection);
+		// Timeframe -> its SwingAnalyzers, one per detector run on the timeframe's bars
 		this.timeframes = new Map();
 		this.commonSwingPoints = [];
+		// Every current swing point, in the order the batch pass feeds them (comparePoints)
+		this.points = [];
+		// Each group collects swing points similar to its seed (the earliest point that
+		// matched no earlier group), in seed order; groups spanning 2+ timeframes are common points
+		this.groups = [];
+		this.changed = false;
 	}
 
 	addTimeframe(name, analyzer) {
-		this.timeframes.set(name, analyzer);
+		if (!this.timeframes.has(name)) {
+			this.timeframes.set(name, []);
+		}
+		this.timeframes.get(name).push(analyzer);
 	}
 
-	findCommonSwingPoints() {
-		const allSwingPoints = [];
-
-		// Collect all swing points from all timeframes
-		for (const [timeframe, analyzer] of this.timeframes) {
-			if (typeof analyzer.getSwingPoints !== 'function') continue;
-			const points = analyzer.getSwingPoints() || [];
-			const swings = points.map(s => ({ ...s, timeframe }));
-			allSwingPoints.push(...swings);
+	/**
+	 * Feed a closed bar to the timeframe's SwingAnalyzers and fold any swing points they
+	 * confirm (or drop from their history window) into the common point groups. Points of
+	 * every detector are grouped together, so detectors can be combined and compared on the
+	 * same bars.
+	 * @param {string} timeframe - Timeframe label ('15s', '1m', ...)
+	 * @param {Object} bar - Closed candle for that timeframe
+	 * @returns {boolean} Whether the swing points changed
+	 */
+	addBar(timeframe, bar) {
+		if (!this.timeframes.has(timeframe)) {
+			resolveSwingDetectors(this.symbol, timeframe, this.detection).forEach((name) => {
+				this.addTimeframe(timeframe, new SwingAnalyzer(timeframe, { detector: createSwingDetector(name) }));
+			});
 		}
 
-		// Sort by timestamp
-		allSwingPoints.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+		let changed = false;
+		this.timeframes.get(timeframe).forEach((analyzer) => {
+			const { added, removed } = analyzer.addBar(bar);
+			removed.forEach(point => this.removeSwingPoint({ ...point, timeframe }));
+			added.forEach(point => this.addSwingPoint({ ...point, timeframe }));
+
+			if (added.length > 0) {
+				logger.debug(`[${timeframe}] ${added.length} new swing point(s) confirmed by ${analyzer.detector.name}`);
+			}
+			changed = changed || added.length > 0 || removed.length > 0;
+		});
+		return changed;
+	}
+
+	getBarCount(timeframe) {
+		const [analyzer] = this.timeframes.get(timeframe) || [];
+		return analyzer && typeof analyzer.getBarCount === 'function' ? analyzer.getBarCount() : 0;
+	}
+
+	/**
+	 * Swing points each detector found per timeframe and how many of them are part of a
+	 * common point, to compare detectors run on the same bars.
+	 */
+	getDetectorSummary() {
+		const summary = [];
+		this.timeframes.forEach((analyzers, timeframe) => {
+			analyzers.forEach((analyzer) => {
+				const points = analyzer.getSwingPoints().map(point => ({ ...point, timeframe }));
+				const inCommonPoints = points.filter(point => this.groups.some(group => (
+					group.commonPoint && group.points.some(other => this.isSameSwingPoint(other, point))
+				)));
+				summary.push({
+					timeframe,
+					detector: analyzer.detector.name,
+					swingHighs: analyzer.swingHighs.length,
+					swingLows: analyzer.swingLows.length,
+					inCommonPoints: inCommonPoints.length
+				});
+			});
+		});
+		return summary;
+	}
+
+	/**
+	 * Order in which points are grouped: by timestamp, then timeframe and detector in the
+	 * order they were added, then bar index and type.
+	 */
+	comparePoints(point1, point2) {
+		const timeDiff = new Date(point1.timestamp).getTime() - new Date(point2.timestamp).getTime();
+		if (timeDiff !== 0) return timeDiff;
 
-		const commonPoints = [];
-		const processed = new Set();
+		const timeframes = Array.from(this.timeframes.keys());
+		const timeframeDiff = timeframes.indexOf(point1.timeframe) - timeframes.indexOf(point2.timeframe);
+		if (timeframeDiff !== 0) return timeframeDiff;
 
-		// Find similar points across timeframes
-		for (let i = 0; i < allSwingPoints.length; i++) {
-			if (processed.has(i)) continue;
+		const detectors = (this.timeframes.get(point1.timeframe) || []).map(analyzer => analyzer.detector.name);
+		const detectorDiff = detectors.indexOf(point1.detector) - detectors.indexOf(point2.detector);
+		if (detectorDiff !== 0) return detectorDiff;
 
-			const currentPoint = allSwingPoints[i];
-			const similarPoints = [currentPoint];
-			const timeframesFound = new Set([currentPoint.timeframe]);
+		return point1.index - point2.index || point1.type.localeCompare(point2.type);
+	}
 
-			// Look for similar points
-			for (let j = i + 1; j < allSwingPoints.length; j++) {
-				if (processed.has(j)) continue;
+	addSwingPoint(point) {
+		// New points are mostly the latest, so search from the end
+		let position = this.points.length;
+		while (position > 0 && this.comparePoints(this.points[position - 1], point) > 0) {
+			position--;
+		}
+		this.points.splice(position, 0, point);
+		this.regroupFrom(position);
+	}
 
-				const otherPoint = allSwingPoints[j];
+	removeSwingPoint(point) {
+		const position = this.points.findIndex(other => this.isSameSwingPoint(other, point));
+		if (position === -1) return;
+		this.points.splice(position, 1);
+		this.regroupFrom(position);
+	}
 
-				if (this.arePointsSimilarEnhanced(currentPoint, otherPoint)) {
-					similarPoints.push(otherPoint);
-					timeframesFound.add(otherPoint.timeframe);
-					processed.add(j);
-				}
+	/**
+	 * Regroup the points from `position` on exactly as the batch pass would. The points
+	 * before it were grouped seeing only earlier points, so their groups (and seeds) stand;
+	 * the later points are taken out and fed again in order. Every group that gains or
+	 * loses a point has its common point rebuilt from its members.
+	 */
+	regroupFrom(position) {
+		const earlier = new Set(this.points.slice(0, position));
+		const affected = new Set();
+
+		this.groups = this.groups.filter((group) => {
+			const kept = group.points.filter(point => earlier.has(point));
+			if (kept.length !== group.points.length) {
+				group.points = kept;
+				affected.add(group);
 			}
+			return kept.length > 0;
+		});
+
+		this.points.slice(position).forEach((point) => {
+			affected.add(this.assignPoint(point));
+		});
+
+		affected.forEach((group) => {
+			if (group.points.length > 0) this.refreshGroup(group);
+		});
+		this.changed = true;
+		this.updateCommonPoints();
+	}
+
+	// Add a point to the first group whose seed it matches, or seed a new group
+	assignPoint(point) {
+		const time = new Date(point.timestamp).getTime();
+		// Seeds further back than any timeframe pair allows cannot match
+		const earliest = time - this.getMaxTimeDiffMinutes(point.timeframe) * 60000;
+		let low = 0;
+		let high = this.groups.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
+			if (this.groups[middle].time < earliest) low = middle + 1;
+			else high = middle;
+		}
 
-			// Only create common point if found in 2+ timeframes
-			if (timeframesFound.size > 1) {
-				const commonPoint = this.createCommonPointEnhanced(similarPoints, timeframesFound);
-				commonPoints.push(commonPoint);
+		for (let i = low; i < this.groups.length; i++) {
+			if (this.arePointsSimilarEnhanced(this.groups[i].seed, point)) {
+				this.groups[i].points.push(point);
+				return this.groups[i];
 			}
+		}
+
+		const group = { seed: point, time, points: [point], commonPoint: null };
+		this.groups.push(group);
+		return group;
+	}
+
+	// Longest time apart a point of this timeframe can be from one it groups with
+	getMaxTimeDiffMinutes(timeframe) {
+		return [timeframe, ...this.timeframes.keys()]
+			.reduce((max, other) => Math.max(max, this.getMaxTimeDiffForTimeframes(timeframe, other)), 0);
+	}
+
+	isSameSwingPoint(point1, point2) {
+		return point1.timeframe === point2.timeframe && point1.detector === point2.detector
+			&& point1.index === point2.index && point1.type === point2.type;
+	}
+
+	refreshGroup(group) {
+		const timeframesFound = new Set(group.points.map(point => point.timeframe));
+		// Only create common point if found in 2+ timeframes
+		group.commonPoint = timeframesFound.size > 1 ?
+			this.createCommonPointEnhanced(group.points, timeframesFound) :
+			null;
+	}
 
-			processed.add(i);
+	updateCommonPoints() {
+		this.commonSwingPoints = this.groups
+			.filter(group => group.commonPoint)
+			.map(group => group.commonPoint);
+	}
+
+	getCommonSwingPoints() {
+		return this.commonSwingPoints;
+	}
+
+	/**
+	 * Whether common points changed since the last call; resets the flag.
+	 * @returns {boolean}
+	 */
+	consumeChanges() {
+		const changed = this.changed;
+		this.changed = false;
+		return changed;
+	}
+
+	/**
+	 * Rebuild the groups from every analyzer's current swing points, fed in comparePoints
+	 * order. addBar() keeps the groups equal to what this would build.
+	 */
+	findCommonSwingPoints() {
+		const allSwingPoints = [];
+
+		// Collect all swing points from all timeframes
+		for (const [timeframe, analyzers] of this.timeframes) {
+			analyzers.forEach((analyzer) => {
+				if (typeof analyzer.getSwingPoints !== 'function') return;
+				const points = analyzer.getSwingPoints() || [];
+				const swings = points.map(s => ({ ...s, timeframe }));
+				allSwingPoints.push(...swings);
+			});
 		}
 
-		this.commonSwingPoints = commonPoints;
-		logger.info(`Found ${commonPoints.length} common swing points across ${this.timeframes.size} timeframes`);
-		return commonPoints;
+		allSwingPoints.sort((a, b) => this.comparePoints(a, b));
+
+		this.points = allSwingPoints;
+		this.groups = [];
+		this.regroupFrom(0);
+
+		logger.info(`Found ${this.commonSwingPoints.length} common swing points across ${this.timeframes.size} timeframes`);
+		return this.commonSwingPoints;
 	}
 
 	arePointsSimilarEnhanced(point1, point2) {
@@ -183,6 +365,7 @@ class MultiTimeframeAnalyzer {
 			timestamp: this.findMostCommonTimestamp(timestamps),
 			originalTimestamp: this.findMostCommonTimestamp(originalTimestamps),
 			timeframes: Array.from(timeframesFound),
+			detectors: Array.from(new Set(similarPoints.map(p => p.detector).filter(Boolean))),
 			confirmationCount: timeframesFound.size,
 			qualityScore: qualityScore,
 			openPrice: this.calculateAveragePrice(opens),
@@ -262,12 +445,11 @@ class MultiTimeframeAnalyzer {
 	getPointKey(point) {
 		const type = point.type || point.commonPointType || 'UNKNOWN';
 		const price = typeof point.price === 'number' ? point.price : point.commonPointPrice;
-		const roundedPrice = Math.round((price || 0) * 100000);
-		return `${type}_${roundedPrice}`;
+		return this.symbolMetadata.levelKey(this.symbol, type, price);
 	}
 
 	async exportCommonPointsToCSV(outputFile) {
-		const commonPoints = this.findCommonSwingPoints();
+		const commonPoints = this.commonSwingPoints;
 		const header = [
 			'TYPE',
 			'TIMESTAMP',
@@ -287,16 +469,17 @@ class MultiTimeframeAnalyzer {
 		];
 
 		const lines = [header.join(',')];
+		const formatPrice = price => (typeof price === 'number' ? this.symbolMetadata.formatPrice(this.symbol, price) : '');
 		commonPoints.forEach(point => {
 			const line = [
 				point.type || '',
 				point.timestamp || '',
 				point.originalTimestamp || '',
-				typeof point.price === 'number' ? point.price.toFixed(6) : '',
-				typeof point.openPrice === 'number' ? point.openPrice.toFixed(6) : '',
-				typeof point.closePrice === 'number' ? point.closePrice.toFixed(6) : '',
-				typeof point.highPrice === 'number' ? point.highPrice.toFixed(6) : '',
-				typeof point.lowPrice === 'number' ? point.lowPrice.toFixed(6) : '',
+				formatPrice(point.price),
+				formatPrice(point.openPrice),
+				formatPrice(point.closePrice),
+				formatPrice(point.highPrice),
+				formatPrice(point.lowPrice),
 				typeof point.volume === 'number' ? point.volume.toFixed(2) : '0.00',
 				typeof point.strength === 'number' ? point.strength.toFixed(4) : '',
 				typeof point.qualityScore === 'number' ? point.qualityScore.toFixed(2) : '',
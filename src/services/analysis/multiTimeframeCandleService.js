@@ -174,7 +174,7 @@ class MultiTimeframeCandleService extends EventEmitter {
 				this.emit('candleStoreError', error, candle, timeframe);
 			}
 		} else {
-			logger.warn(`[${timeframe}] ⚠️  No repository available for persistence`);
+			logger.debug(`[${timeframe}] No repository available for persistence`);
 		}
 
 		// Emit event for this timeframe candle
@@ -224,7 +224,7 @@ class MultiTimeframeCandleService extends EventEmitter {
 	async restoreRecentCandles(timeframe, count = 1000) {
 		const repository = this.repositories[timeframe];
 		if (!repository) {
-			logger.warn(`[${timeframe}] No repository available for restore`);
+			logger.debug(`[${timeframe}] No repository available for restore`);
 			return;
 		}
 
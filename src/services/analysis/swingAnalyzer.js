@@ -1,16 +1,25 @@
 const { CONFIG } = require('../../config/config');
 const logger = require('../../utils/logger');
+const { createSwingDetector } = require('./swingDetectors');
 
+/**
+ * Bars of one timeframe and the swing points its detector confirmed on them (the
+ * left/right-bar fractal unless `options.detector` is given, see swingDetectors).
+ */
 class SwingAnalyzer {
-	constructor(timeframe) {
+	constructor(timeframe, options = {}) {
 		this.timeframe = timeframe;
 		this.priceData = [];
 		this.swingPoints = [];
 		this.swingHighs = [];
 		this.swingLows = [];
-		this.swingLeftBars = CONFIG.swingLeftBars || 5;
-		this.swingRightBars = CONFIG.swingRightBars || 5;
-		this.minSwingStrength = CONFIG.minSwingStrength || 0.1;
+		this.detector = options.detector || createSwingDetector('fractal');
+		this.maxBars = options.maxBars || CONFIG.live.maxHistoryBars;
+
+		// Bars are indexed from the first bar ever added; `offset` is the index of priceData[0]
+		this.offset = 0;
+		this.totalBars = 0;
+		this.detector.reset(this);
 	}
 
 	addPriceData(timestamp, open, high, low, close, volume, originalTimestamp) {
@@ -21,118 +30,103 @@ class SwingAnalyzer {
 			low: parseFloat(low),
 			close: parseFloat(close),
 			volume: parseFloat(volume),
-			index: this.priceData.length,
+			index: this.totalBars,
 			originalTimestamp: originalTimestamp || timestamp
 		});
+		this.totalBars++;
 	}
 
-	calculateSwingStrength(index, type) {
-		const current = this.priceData[index];
-		let totalMovement = 0;
-		let count = 0;
-
-		// Calculate average movement of surrounding bars (20 bars: index-10 to index+10)
-		for (let i = Math.max(0, index - 10); i < Math.min(this.priceData.length, index + 10); i++) {
-			if (i !== index && i > 0) {
-				totalMovement += Math.abs(this.priceData[i].close - this.priceData[i - 1].close);
-				count++;
-			}
+	/**
+	 * Append a closed bar and hand it to the detector. Earlier bars are never revisited.
+	 * @param {Object} bar - { timestamp, open, high, low, close, volume, originalTimestamp }
+	 * @returns {{ added: Array, removed: Array }} Swing points confirmed by this bar and
+	 * swing points dropped because their bars fell out of the history window
+	 */
+	addBar(bar) {
+		this.addPriceData(bar.timestamp, bar.open, bar.high, bar.low, bar.close, bar.volume, bar.originalTimestamp);
+
+		const added = this.confirmSwings(this.detector.onBar(this, this.totalBars - 1));
+
+		const removed = this.trimHistory();
+		if (added.length > 0 || removed.length > 0) {
+			this.swingPoints = [...this.swingHighs, ...this.swingLows];
 		}
 
-		const avgMovement = totalMovement / count || 0.01;
-		
-		// Calculate swing movement
-		const swingMovement = type === 'high' ?
-			current.high - Math.min(current.low, this.priceData[index - 1]?.low || current.low) :
-			Math.max(current.high, this.priceData[index - 1]?.high || current.high) - current.low;
+		return { added, removed };
+	}
+
+	// Swings whose bar already left the history window are dropped
+	confirmSwings(swings) {
+		return swings.reduce((confirmed, { index, type, price, strength }) => {
+			const bar = this.getBar(index);
+			if (!bar) return confirmed;
+
+			const swing = this.createSwingPoint(bar, type, price, strength);
+			(type === 'SWING_HIGH' ? this.swingHighs : this.swingLows).push(swing);
+			confirmed.push(swing);
+			return confirmed;
+		}, []);
+	}
+
+	getBar(index) {
+		return this.priceData[index - this.offset];
+	}
+
+	trimHistory() {
+		const excess = this.priceData.length - this.maxBars;
+		if (excess <= 0) return [];
+
+		this.priceData.splice(0, excess);
+		this.offset += excess;
+
+		const isExpired = swing => swing.index < this.offset;
+		const removed = [...this.swingHighs.filter(isExpired), ...this.swingLows.filter(isExpired)];
+		if (removed.length > 0) {
+			this.swingHighs = this.swingHighs.filter(swing => !isExpired(swing));
+			this.swingLows = this.swingLows.filter(swing => !isExpired(swing));
+		}
+		return removed;
+	}
 
-		return swingMovement / avgMovement;
+	createSwingPoint(bar, type, price, strength) {
+		return {
+			timestamp: bar.timestamp,
+			price,
+			type,
+			strength,
+			index: bar.index,
+			timeframe: this.timeframe,
+			detector: this.detector.name,
+			bar: {
+				open: bar.open,
+				high: bar.high,
+				low: bar.low,
+				close: bar.close,
+				volume: bar.volume,
+				originalTimestamp: bar.originalTimestamp
+			},
+			barRange: bar.high - bar.low,
+			bodySize: Math.abs(bar.close - bar.open),
+			isBullish: bar.close > bar.open
+		};
 	}
 
+	/**
+	 * Batch detection over all stored bars. Feeds the bars to the detector as addBar()
+	 * does, so it yields the same swing points as feeding them one at a time.
+	 */
 	detectSwingPoints() {
 		this.swingHighs = [];
 		this.swingLows = [];
 		this.swingPoints = [];
+		this.detector.reset(this);
 
-		if (this.priceData.length < this.swingLeftBars + this.swingRightBars + 1) {
-			logger.info(`[${this.timeframe}] Not enough data for swing detection: ${this.priceData.length} bars (need ${this.swingLeftBars + this.swingRightBars + 1})`);
-			return;
-		}
+		logger.info(`[${this.timeframe}] Detecting swing points from ${this.priceData.length} bars with the ${this.detector.name} detector`);
 
-		logger.info(`[${this.timeframe}] Detecting swing points from ${this.priceData.length} bars (left: ${this.swingLeftBars}, right: ${this.swingRightBars}, minStrength: ${this.minSwingStrength})`);
-
-		// Detect swing highs and lows
-		for (let i = this.swingLeftBars; i < this.priceData.length - this.swingRightBars; i++) {
-			const current = this.priceData[i];
-			let isSwingHigh = true;
-			let isSwingLow = true;
-
-			// Check left bars
-			for (let j = 1; j <= this.swingLeftBars; j++) {
-				if (current.high <= this.priceData[i - j].high) isSwingHigh = false;
-				if (current.low >= this.priceData[i - j].low) isSwingLow = false;
-			}
-
-			// Check right bars
-			for (let j = 1; j <= this.swingRightBars; j++) {
-				if (current.high <= this.priceData[i + j].high) isSwingHigh = false;
-				if (current.low >= this.priceData[i + j].low) isSwingLow = false;
-			}
-
-			if (isSwingHigh) {
-				const strength = this.calculateSwingStrength(i, 'high');
-				if (strength >= this.minSwingStrength) {
-					this.swingHighs.push({
-						timestamp: current.timestamp,
-						price: current.high,
-						type: 'SWING_HIGH',
-						strength: strength,
-						index: i,
-						timeframe: this.timeframe,
-						bar: {
-							open: current.open,
-							high: current.high,
-							low: current.low,
-							close: current.close,
-							volume: current.volume,
-							originalTimestamp: current.originalTimestamp
-						},
-						barRange: current.high - current.low,
-						bodySize: Math.abs(current.close - current.open),
-						isBullish: current.close > current.open
-					});
-				}
-			}
-
-			if (isSwingLow) {
-				const strength = this.calculateSwingStrength(i, 'low');
-				if (strength >= this.minSwingStrength) {
-					this.swingLows.push({
-						timestamp: current.timestamp,
-						price: current.low,
-						type: 'SWING_LOW',
-						strength: strength,
-						index: i,
-						timeframe: this.timeframe,
-						bar: {
-							open: current.open,
-							high: current.high,
-							low: current.low,
-							close: current.close,
-							volume: current.volume,
-							originalTimestamp: current.originalTimestamp
-						},
-						barRange: current.high - current.low,
-						bodySize: Math.abs(current.close - current.open),
-						isBullish: current.close > current.open
-					});
-				}
-			}
+		for (let index = this.offset; index < this.totalBars; index++) {
+			this.confirmSwings(this.detector.onBar(this, index));
 		}
 
-		// Filter consecutive swings
-		this.filterConsecutiveSwings();
-
 		// Combine swing highs and lows into swingPoints array
 		this.swingPoints = [...this.swingHighs, ...this.swingLows];
 
@@ -140,28 +134,19 @@ class SwingAnalyzer {
 		logger.info(`[${this.timeframe}] Swing detection complete: found ${this.swingPoints.length} swing points`);
 	}
 
-	filterConsecutiveSwings() {
-		this.swingHighs = this.swingHighs.filter((swing, index, array) => {
-			if (index === 0) return true;
-			const prevSwing = array[index - 1];
-			return swing.index - prevSwing.index > this.swingLeftBars;
-		});
-
-		this.swingLows = this.swingLows.filter((swing, index, array) => {
-			if (index === 0) return true;
-			const prevSwing = array[index - 1];
-			return swing.index - prevSwing.index > this.swingLeftBars;
-		});
-	}
-
 	getSwingPoints() {
 		return this.swingPoints;
 	}
 
+	getBarCount() {
+		return this.priceData.length;
+	}
+
 	getAnalysisResults() {
 		return {
 			summary: {
 				timeframe: this.timeframe,
+				detector: this.detector.name,
 				totalSwingPoints: this.swingHighs.length + this.swingLows.length,
 				totalSwingHighs: this.swingHighs.length,
 				totalSwingLows: this.swingLows.length,
@@ -174,4 +159,3 @@ class SwingAnalyzer {
 }
 
 module.exports = { SwingAnalyzer };
-
@@ -0,0 +1,326 @@
+const { CONFIG } = require('../../config/config');
+
+/**
+ * Swing detectors decide which bars of a SwingAnalyzer are swing points. The analyzer
+ * keeps the bars and the confirmed swings; a detector is given each bar index as it
+ * closes and returns the swings that bar confirmed as { index, type, price, strength }.
+ * Detectors only look at bars up to the one given, so batch and incremental detection
+ * agree. reset() starts over for a batch pass.
+ */
+
+/**
+ * Left/right-bar fractal: a bar whose high (low) exceeds the swingLeftBars bars before it
+ * and the swingRightBars bars after it, with a strength of at least minSwingStrength.
+ */
+class FractalDetector {
+	constructor({
+		leftBars = CONFIG.swingLeftBars || 5,
+		rightBars = CONFIG.swingRightBars || 5,
+		minStrength = CONFIG.minSwingStrength || 0.1
+	} = {}) {
+		this.name = 'fractal';
+		this.leftBars = leftBars;
+		this.rightBars = rightBars;
+		this.minStrength = minStrength;
+		this.reset();
+	}
+
+	reset(analyzer = null) {
+		this.nextBarToConfirm = (analyzer ? analyzer.offset : 0) + this.leftBars;
+		this.lastCandidateIndex = { high: null, low: null };
+	}
+
+	// Evaluate every bar that just gained its full set of right-hand bars
+	onBar(analyzer, index) {
+		const confirmed = [];
+		const lastConfirmable = index - this.rightBars;
+		for (; this.nextBarToConfirm <= lastConfirmable; this.nextBarToConfirm++) {
+			confirmed.push(...this.evaluateBar(analyzer, this.nextBarToConfirm));
+		}
+		return confirmed;
+	}
+
+	// Price of a bar compared on each side
+	value(bar, side) {
+		return side === 'high' ? bar.high : bar.low;
+	}
+
+	evaluateBar(analyzer, index) {
+		const current = analyzer.getBar(index);
+		if (!current || index - this.leftBars < analyzer.offset) {
+			return [];
+		}
+
+		const high = this.value(current, 'high');
+		const low = this.value(current, 'low');
+		let isSwingHigh = true;
+		let isSwingLow = true;
+
+		// Check left bars
+		for (let j = 1; j <= this.leftBars; j++) {
+			const bar = analyzer.getBar(index - j);
+			if (high <= this.value(bar, 'high')) isSwingHigh = false;
+			if (low >= this.value(bar, 'low')) isSwingLow = false;
+		}
+
+		// Check right bars
+		for (let j = 1; j <= this.rightBars; j++) {
+			const bar = analyzer.getBar(index + j);
+			if (high <= this.value(bar, 'high')) isSwingHigh = false;
+			if (low >= this.value(bar, 'low')) isSwingLow = false;
+		}
+
+		const confirmed = [];
+
+		if (isSwingHigh) {
+			const strength = this.calculateSwingStrength(analyzer, index, 'high');
+			if (strength >= this.minStrength && this.acceptCandidate('high', index)) {
+				confirmed.push({ index, type: 'SWING_HIGH', price: high, strength });
+			}
+		}
+
+		if (isSwingLow) {
+			const strength = this.calculateSwingStrength(analyzer, index, 'low');
+			if (strength >= this.minStrength && this.acceptCandidate('low', index)) {
+				confirmed.push({ index, type: 'SWING_LOW', price: low, strength });
+			}
+		}
+
+		return confirmed;
+	}
+
+	/**
+	 * Strength of the move into the swing relative to the average close-to-close move
+	 * around it. Only bars up to `index + rightBars` are used: that is all the data
+	 * that exists when the swing is confirmed.
+	 */
+	calculateSwingStrength(analyzer, index, side) {
+		const current = analyzer.getBar(index);
+		const previous = index - 1 >= analyzer.offset ? analyzer.getBar(index - 1) : null;
+		const lastIndex = Math.min(analyzer.totalBars, index + this.rightBars + 1, index + 10);
+		let totalMovement = 0;
+		let count = 0;
+
+		// Average movement of surrounding bars (index-10 up to the confirmation bar)
+		for (let i = Math.max(analyzer.offset + 1, index - 10); i < lastIndex; i++) {
+			if (i !== index) {
+				totalMovement += Math.abs(analyzer.getBar(i).close - analyzer.getBar(i - 1).close);
+				count++;
+			}
+		}
+
+		const avgMovement = totalMovement / count || 0.01;
+
+		// Calculate swing movement
+		const swingMovement = side === 'high' ?
+			this.value(current, 'high') - Math.min(this.value(current, 'low'), (previous && this.value(previous, 'low')) || this.value(current, 'low')) :
+			Math.max(this.value(current, 'high'), (previous && this.value(previous, 'high')) || this.value(current, 'high')) - this.value(current, 'low');
+
+		return swingMovement / avgMovement;
+	}
+
+	// Filter consecutive swings: a candidate within leftBars of the previous candidate
+	// of the same type is dropped (compared against candidates, not survivors)
+	acceptCandidate(side, index) {
+		const previous = this.lastCandidateIndex[side];
+		this.lastCandidateIndex[side] = index;
+		return previous === null || index - previous > this.leftBars;
+	}
+}
+
+/**
+ * The fractal on closes: a bar whose close exceeds the closes around it, at its close.
+ * Ignores wicks, so a level is where price settled rather than where it spiked.
+ */
+class ClosePivotDetector extends FractalDetector {
+	constructor(options) {
+		super(options);
+		this.name = 'close_pivot';
+	}
+
+	value(bar) {
+		return bar.close;
+	}
+}
+
+/**
+ * ZigZag: follows the current leg's extreme and confirms it as a swing once price has
+ * reversed from it by the threshold, a fraction `deviation` of the extreme's price.
+ * Swings alternate between highs and lows. The strength is the leg into the swing in
+ * multiples of the threshold.
+ */
+class ZigZagDetector {
+	constructor({ deviation = CONFIG.swingDetection.zigzagDeviation } = {}) {
+		this.name = 'zigzag';
+		this.deviation = deviation;
+		this.reset();
+	}
+
+	reset() {
+		// 'up' follows a high, 'down' a low; null until the first reversal
+		this.trend = null;
+		this.high = null;
+		this.low = null;
+		this.lastPivotPrice = null;
+	}
+
+	threshold(analyzer, index, price) {
+		return price * this.deviation;
+	}
+
+	onBar(analyzer, index) {
+		const bar = analyzer.getBar(index);
+
+		if (this.trend === null) {
+			if (!this.high || bar.high > this.high.price) this.high = { index, price: bar.high };
+			if (!this.low || bar.low < this.low.price) this.low = { index, price: bar.low };
+			if (this.high.price - this.low.price < this.threshold(analyzer, index, this.high.price)) {
+				return [];
+			}
+			// The range opened up by the threshold: its older end is the first swing
+			if (this.low.index < this.high.index) {
+				this.trend = 'up';
+				return [this.confirm(analyzer, index, this.low, 'SWING_LOW', this.high.price)];
+			}
+			this.trend = 'down';
+			return [this.confirm(analyzer, index, this.high, 'SWING_HIGH', this.low.price)];
+		}
+
+		if (this.trend === 'up') {
+			if (bar.high > this.high.price) {
+				this.high = { index, price: bar.high };
+			} else if (this.high.price - bar.low >= this.threshold(analyzer, index, this.high.price)) {
+				this.trend = 'down';
+				this.low = { index, price: bar.low };
+				return [this.confirm(analyzer, index, this.high, 'SWING_HIGH')];
+			}
+			return [];
+		}
+
+		if (bar.low < this.low.price) {
+			this.low = { index, price: bar.low };
+		} else if (bar.high - this.low.price >= this.threshold(analyzer, index, this.low.price)) {
+			this.trend = 'up';
+			this.high = { index, price: bar.high };
+			return [this.confirm(analyzer, index, this.low, 'SWING_LOW')];
+		}
+		return [];
+	}
+
+	// `from` is the other end of the leg when there is no previous swing yet
+	confirm(analyzer, index, extreme, type, from = this.lastPivotPrice) {
+		const leg = Math.abs(extreme.price - from);
+		this.lastPivotPrice = extreme.price;
+		return {
+			index: extreme.index,
+			type,
+			price: extreme.price,
+			strength: leg / this.threshold(analyzer, index, extreme.price)
+		};
+	}
+}
+
+/**
+ * ZigZag with the reversal threshold at `multiplier` × ATR(`period`) of the analyzer's
+ * bars, so it adapts to volatility. No swing is confirmed until the ATR exists.
+ */
+class AtrZigZagDetector extends ZigZagDetector {
+	constructor({
+		multiplier = CONFIG.swingDetection.atrZigzagMultiplier,
+		period = CONFIG.swingDetection.atrZigzagPeriod
+	} = {}) {
+		super();
+		this.name = 'atr_zigzag';
+		this.multiplier = multiplier;
+		this.period = period;
+	}
+
+	threshold(analyzer, index) {
+		if (index - this.period < analyzer.offset) {
+			return Infinity;
+		}
+
+		let total = 0;
+		for (let i = index - this.period + 1; i <= index; i++) {
+			const { high, low } = analyzer.getBar(i);
+			const previousClose = analyzer.getBar(i - 1).close;
+			total += Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+		}
+		return this.multiplier * (total / this.period);
+	}
+}
+
+const SWING_DETECTORS = {
+	fractal: FractalDetector,
+	zigzag: ZigZagDetector,
+	atr_zigzag: AtrZigZagDetector,
+	close_pivot: ClosePivotDetector
+};
+
+function createSwingDetector(name, options = {}) {
+	const Detector = SWING_DETECTORS[name];
+	if (!Detector) {
+		throw new Error(`Unknown swing detector "${name}". Available: ${Object.keys(SWING_DETECTORS).join(', ')}`);
+	}
+	return new Detector(options);
+}
+
+/**
+ * Parse a detector spec: comma-separated entries, each a detector list for every
+ * timeframe ("fractal") or for one ("5m=zigzag"). "+" runs several detectors on the same
+ * bars, e.g. "fractal,1m=fractal+close_pivot".
+ * @returns {{ all: string[]|null, timeframes: Object<string, string[]> }}
+ */
+function parseDetectorSpec(spec) {
+	return `${spec || ''}`.split(',').map(entry => entry.trim()).filter(Boolean).reduce((parsed, entry) => {
+		const separator = entry.indexOf('=');
+		const names = entry.slice(separator + 1).split('+').map(name => name.trim()).filter(Boolean);
+		if (separator === -1) {
+			parsed.all = names;
+		} else {
+			parsed.timeframes[entry.slice(0, separator).trim()] = names;
+		}
+		return parsed;
+	}, { all: null, timeframes: {} });
+}
+
+/**
+ * Detectors to run on a symbol's timeframe: the symbol's spec first, then the default
+ * spec, entries for the timeframe before entries for every timeframe.
+ */
+function resolveSwingDetectors(symbol, timeframe, settings = CONFIG.swingDetection) {
+	const symbolSpec = parseDetectorSpec((settings.symbols || {})[(symbol || '').toUpperCase()]);
+	const defaultSpec = parseDetectorSpec(settings.detectors);
+	return symbolSpec.timeframes[timeframe]
+		|| symbolSpec.all
+		|| defaultSpec.timeframes[timeframe]
+		|| defaultSpec.all
+		|| ['fractal'];
+}
+
+/**
+ * Check every detector named in the settings, so a typo fails at startup rather than
+ * when the timeframe's first bar closes.
+ */
+function validateSwingDetection(settings = CONFIG.swingDetection) {
+	const specs = [settings.detectors, ...Object.values(settings.symbols || {})].map(parseDetectorSpec);
+	specs.forEach((spec) => {
+		[spec.all || [], ...Object.values(spec.timeframes)].flat().forEach((name) => {
+			if (!SWING_DETECTORS[name]) {
+				throw new Error(`Unknown swing detector "${name}". Available: ${Object.keys(SWING_DETECTORS).join(', ')}`);
+			}
+		});
+	});
+}
+
+module.exports = {
+	SWING_DETECTORS,
+	FractalDetector,
+	ClosePivotDetector,
+	ZigZagDetector,
+	AtrZigZagDetector,
+	createSwingDetector,
+	parseDetectorSpec,
+	resolveSwingDetectors,
+	validateSwingDetection
+};
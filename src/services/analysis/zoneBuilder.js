@@ -0,0 +1,107 @@
+const { CONFIG } = require('../../config/config');
+
+/**
+ * Merges swing levels of the same role lying close together into support/resistance
+ * zones. Levels are taken in price order and join the current zone while the zone stays
+ * within the width: a fraction of the price (`percent`) or a multiple of ATR(`atrPeriod`)
+ * on `atrTimeframe` (`atr`; without an ATR yet every level is its own zone).
+ *
+ * A zone looks like a common point to the signal rules (type, price, confirmationCount,
+ * qualityScore, timeframes, timestamps) plus:
+ *
+ *   lower/upper   - lowest and highest member price
+ *   midpoint      - centre of the zone, also its `price`
+ *   memberCount   - number of levels merged
+ *   members       - the merged levels' type, price and lifecycle counts
+ *
+ * confirmationCount is the highest of the members, qualityScore their combination
+ * (a + b - ab/100, so extra members raise it towards 100), decayedStrength their sum and
+ * the timestamps the latest member's, so a zone is not used before its newest level formed.
+ */
+class ZoneBuilder {
+	constructor({ analyzer = null, settings = CONFIG.zones } = {}) {
+		this.analyzer = analyzer;
+		this.settings = settings;
+	}
+
+	/**
+	 * Absolute zone width at a price, or 0 when it cannot be known yet.
+	 */
+	widthAt(price) {
+		const { widthMode, width, atrTimeframe, atrPeriod } = this.settings;
+		if (widthMode === 'atr') {
+			const atr = this.analyzer ? this.analyzer.getAtr(atrTimeframe, atrPeriod) : null;
+			return atr ? atr * width : 0;
+		}
+		return price * width;
+	}
+
+	/**
+	 * @param {Object[]} levels - Active swing levels ({ type, price, confirmationCount, ... })
+	 * @returns {Object[]} Zones sorted by type and price
+	 */
+	build(levels) {
+		const zones = [];
+
+		['SWING_HIGH', 'SWING_LOW'].forEach((type) => {
+			const sorted = levels
+				.filter(level => level.type === type && level.price > 0)
+				.sort((a, b) => a.price - b.price);
+
+			let members = [];
+			sorted.forEach((level) => {
+				if (members.length > 0 && level.price - members[0].price > this.widthAt(members[0].price)) {
+					zones.push(createZone(type, members));
+					members = [];
+				}
+				members.push(level);
+			});
+			if (members.length > 0) {
+				zones.push(createZone(type, members));
+			}
+		});
+
+		return zones;
+	}
+}
+
+function createZone(type, members) {
+	const lower = members[0].price;
+	const upper = members[members.length - 1].price;
+	const midpoint = members.length === 1 ? lower : (lower + upper) / 2;
+	const newest = members.reduce((latest, member) => (
+		timeOf(member) > timeOf(latest) ? member : latest
+	));
+	const timeframes = Array.from(new Set(members.flatMap(member => member.timeframes || [])));
+
+	return {
+		type,
+		price: midpoint,
+		midpoint,
+		lower,
+		upper,
+		memberCount: members.length,
+		confirmationCount: Math.max(...members.map(member => member.confirmationCount || 0)),
+		qualityScore: members
+			.map(member => member.qualityScore || 0)
+			.reduce((combined, score) => combined + score - (combined * score) / 100),
+		timeframes,
+		timestamp: newest.timestamp,
+		originalTimestamp: newest.originalTimestamp || newest.timestamp,
+		decayedStrength: members.reduce((sum, member) => sum + (member.decayedStrength || 0), 0),
+		members: members.map(member => ({
+			type: member.type,
+			originalType: member.originalType || member.type,
+			price: member.price,
+			confirmationCount: member.confirmationCount,
+			touches: member.touches || 0,
+			status: member.status || 'active'
+		}))
+	};
+}
+
+function timeOf(level) {
+	return new Date(level.originalTimestamp || level.timestamp).getTime();
+}
+
+module.exports = { ZoneBuilder };
@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+const { AnalyzerService } = require('../analysis/analyzerService');
+const { TradingService } = require('../trading/tradingService');
+const { RiskManager } = require('../trading/riskManager');
+const { TradeJournal } = require('../trading/tradeJournal');
+const { computeTradeStats, buildPerformanceReport, groupByPosition } = require('../trading/performanceAnalytics');
+const { SwingLevelRepository } = require('../../repositories/swingLevelRepository');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+const { TradeJournalRepository } = require('../../repositories/tradeJournalRepository');
+const { ReplayDataSource } = require('../../infrastructure/data/ReplayDataSource');
+const { PaperBrokerDataSource } = require('../../infrastructure/data/PaperBrokerDataSource');
+const { TickStreamer } = require('../../../simulation/tickStreamer');
+const { SimulatedClock } = require('../../utils/clock');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+
+const REPORT_FILE = 'backtest-report.json';
+const JOURNAL_FILE = 'trade-journal.jsonl';
+
+/**
+ * Load ticks from any CSV layout TickStreamer.parseRow understands.
+ * @param {string} csvFilePath - Path to the tick file
+ * @returns {Promise<Array>} Parsed ticks in file order
+ */
+async function loadTicks(csvFilePath) {
+	const streamer = new TickStreamer(csvFilePath);
+	streamer.on('error', (error) => logger.warn(`Skipping tick row: ${error.message}`));
+	return streamer.loadTicks();
+}
+
+/**
+ * Replays recorded ticks through the live pipeline
+ * (CandleService → AnalyzerService → SignalService → TradingService) against the
+ * paper broker. Time comes from a SimulatedClock and every tick is fully processed
+ * before the next one is pushed, so identical input yields an identical report.
+ */
+class BacktestRunner {
+	constructor({
+		symbol,
+		ticks,
+		outputDir = './backtest_output',
+		source = null,
+		parameters = {},
+		settings = {},
+		paper = {},
+		priceType = 'bid',
+		equitySampleMs = 60000,
+		symbolMetadata = null,
+		signalRuleRepository = null,
+		risk = {}
+	}) {
+		if (!symbol) {
+			throw new Error('BacktestRunner requires a symbol');
+		}
+		if (!Array.isArray(ticks)) {
+			throw new Error('BacktestRunner requires an array of ticks');
+		}
+
+		this.symbol = symbol.toUpperCase();
+		this.ticks = ticks;
+		this.outputDir = outputDir;
+		this.source = source;
+		this.parameters = parameters;
+		this.settings = settings;
+		this.paper = {
+			initialBalance: CONFIG.paper.initialBalance,
+			slippage: CONFIG.paper.slippage,
+			commissionPerLot: CONFIG.paper.commissionPerLot,
+			...paper
+		};
+		this.priceType = priceType;
+		this.equitySampleMs = equitySampleMs;
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+		// Signal rules for the run; the plain revisit rule without one
+		this.signalRuleRepository = signalRuleRepository;
+		// RiskManager options ({ limits, symbolLimits, enabled }); CONFIG.risk otherwise
+		this.risk = risk;
+
+		this.candleCount = 0;
+		this.signals = [];
+		this.fills = [];
+		this.equityCurve = [];
+		this.errors = [];
+		this.seenTickets = new Set();
+		this.lastEquitySample = null;
+	}
+
+	async prepareOutputDirectory() {
+		await fs.promises.mkdir(this.outputDir, { recursive: true });
+		// SignalService appends to an existing CSV; start clean so reruns are identical
+		for (const file of ['signals.csv', 'signal_outcomes.csv', REPORT_FILE, JOURNAL_FILE]) {
+			await fs.promises.rm(path.join(this.outputDir, file), { force: true });
+		}
+	}
+
+	async run() {
+		// Analysis classes read CONFIG directly, so parameter overrides are applied for the
+		// duration of the run and restored afterwards
+		const previous = {};
+		Object.keys(this.parameters).forEach((key) => {
+			previous[key] = CONFIG[key];
+			CONFIG[key] = this.parameters[key];
+		});
+
+		try {
+			return await this.replay();
+		} finally {
+			Object.assign(CONFIG, previous);
+		}
+	}
+
+	async replay() {
+		await this.prepareOutputDirectory();
+
+		const replayTicks = this.ticks.filter(tick => !tick.symbol || tick.symbol.toUpperCase() === this.symbol);
+		const skippedTicks = this.ticks.length - replayTicks.length;
+		if (skippedTicks > 0) {
+			logger.warn(`⏭️  Skipping ${skippedTicks} ticks for other symbols`);
+		}
+
+		this.clock = new SimulatedClock(replayTicks.length > 0 ? new Date(replayTicks[0].timestamp).getTime() : 0);
+		this.feed = new ReplayDataSource({ symbol: this.symbol });
+		await this.symbolMetadata.load();
+		// P&L follows the symbol metadata; an explicit contract size replaces the symbol's for the run
+		const { contractSize, ...paper } = this.paper;
+		if (contractSize !== undefined) {
+			this.symbolMetadata.override(this.symbol, { contractSize, tickValue: null });
+		}
+		this.broker = new PaperBrokerDataSource({ feed: this.feed, ...paper, symbolMetadata: this.symbolMetadata });
+
+		if (this.signalRuleRepository) {
+			await this.signalRuleRepository.load();
+		}
+		const swingLevelRepository = new SwingLevelRepository({
+			useAerospike: false,
+			fallbackToFile: false,
+			symbol: this.symbol,
+			symbolMetadata: this.symbolMetadata
+		});
+		await swingLevelRepository.ensureLoaded();
+
+		this.analyzer = new AnalyzerService(this.symbol, this.outputDir, {
+			swingLevelRepository,
+			symbolMetadata: this.symbolMetadata,
+			signalRuleRepository: this.signalRuleRepository,
+			clock: this.clock,
+			exportCommonPoints: false
+		});
+		this.riskManager = new RiskManager({ ...this.risk, clock: this.clock });
+		this.trading = new TradingService({
+			symbol: this.symbol,
+			analyzer: this.analyzer,
+			dataSource: this.broker,
+			priceType: this.priceType,
+			defaultVolume: this.settings.volume ?? CONFIG.defaultVolume,
+			symbolMetadata: this.symbolMetadata,
+			riskManager: this.riskManager,
+			clock: this.clock
+		});
+		this.trading.setSymbolSettings(this.symbol, {
+			stopLoss: CONFIG.defaultStopLoss,
+			takeProfit: CONFIG.defaultTakeProfit,
+			volume: CONFIG.defaultVolume,
+			...this.settings,
+			autoTrade: this.settings.autoTrade ?? true
+		});
+
+		// Same journal as live trading, kept in memory and written out with the report
+		this.journalRepository = new TradeJournalRepository({ useAerospike: false, fallbackToFile: false });
+		new TradeJournal({ repository: this.journalRepository, clock: this.clock })
+			.attach({ tradingService: this.trading, analyzerService: this.analyzer });
+
+		this.attachCollectors();
+		this.trading.start();
+
+		logger.info(`⏩ Backtesting ${this.symbol} over ${replayTicks.length} ticks`);
+		for (const tick of replayTicks) {
+			this.clock.set(tick.timestamp);
+			this.feed.push(tick);
+			await this.settle();
+			this.sampleEquity(false);
+		}
+
+		this.closeRemainingTrades();
+		await this.settle();
+		this.sampleEquity(true);
+		this.trading.stop();
+
+		const { entries: journal } = await this.journalRepository.query({ limit: Infinity });
+		journal.reverse();
+		const report = this.buildReport(replayTicks, skippedTicks, journal);
+		await fs.promises.writeFile(path.join(this.outputDir, REPORT_FILE), `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+		await fs.promises.writeFile(path.join(this.outputDir, JOURNAL_FILE), journal.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf8');
+		logger.info(`📄 Backtest report written to ${path.join(this.outputDir, REPORT_FILE)}`);
+		return report;
+	}
+
+	async settle() {
+		do {
+			await this.trading.whenIdle();
+			await this.analyzer.whenIdle();
+		} while (this.trading.tasks.size > 0 || this.analyzer.tasks.size > 0);
+	}
+
+	attachCollectors() {
+		this.analyzer.getCandleService().on('candleStored', () => {
+			this.candleCount++;
+		});
+
+		this.analyzer.on('signals', (signals) => {
+			this.signals.push(...signals);
+		});
+
+		this.broker.on('trade_update', ({ trade }) => {
+			// Partial closes carry their own ticket but were opened with the position
+			if (!trade.positionTicket && !this.seenTickets.has(trade.ticket)) {
+				this.seenTickets.add(trade.ticket);
+				this.recordFill('open', trade, trade.openPrice, trade.openTime);
+			}
+			if (trade.status === 'closed') {
+				this.recordFill('close', trade, trade.closePrice, trade.closeTime);
+			}
+		});
+
+		this.trading.on('error', (error) => {
+			this.errors.push({ timestamp: new Date(this.clock.now()).toISOString(), message: error.message });
+		});
+	}
+
+	recordFill(action, trade, price, timestamp) {
+		this.fills.push({
+			timestamp,
+			ticket: trade.ticket,
+			action,
+			side: trade.type,
+			volume: trade.volume,
+			price,
+			reason: action === 'close' ? trade.closeReason : null,
+			profit: action === 'close' ? trade.profit : null,
+			comment: trade.comment
+		});
+		this.sampleEquity(true);
+	}
+
+	sampleEquity(force) {
+		const now = this.clock.now();
+		if (!force && this.lastEquitySample !== null && now - this.lastEquitySample < this.equitySampleMs) {
+			return;
+		}
+
+		const { balance, equity } = this.broker.getAccountSummary();
+		const timestamp = new Date(now).toISOString();
+		const last = this.equityCurve[this.equityCurve.length - 1];
+		if (last && last.timestamp === timestamp) {
+			last.balance = balance;
+			last.equity = equity;
+		} else {
+			this.equityCurve.push({ timestamp, balance, equity });
+		}
+		this.lastEquitySample = now;
+	}
+
+	closeRemainingTrades() {
+		const quote = this.broker.quotes.get(this.symbol);
+		if (!quote) return;
+
+		Array.from(this.broker.openTrades.values()).forEach((trade) => {
+			this.broker.closeTrade(trade, this.broker.getExitPrice(trade, quote), quote.timestamp, 'end_of_data');
+		});
+	}
+
+	buildReport(replayTicks, skippedTicks, journal) {
+		const trades = [...this.broker.closedTrades].reverse();
+
+		return {
+			symbol: this.symbol,
+			source: this.source,
+			period: {
+				start: replayTicks.length > 0 ? replayTicks[0].timestamp : null,
+				end: replayTicks.length > 0 ? replayTicks[replayTicks.length - 1].timestamp : null
+			},
+			ticks: replayTicks.length,
+			skippedTicks,
+			candles: this.candleCount,
+			parameters: {
+				swingLeftBars: CONFIG.swingLeftBars,
+				swingRightBars: CONFIG.swingRightBars,
+				minSwingStrength: CONFIG.minSwingStrength,
+				commonPointTolerance: CONFIG.commonPointTolerance,
+				openCloseTolerance: CONFIG.openCloseTolerance,
+				volumeSimilarityThreshold: CONFIG.volumeSimilarityThreshold,
+				signalRevisitTolerance: CONFIG.signalRevisitTolerance,
+				minSignalStrength: CONFIG.minSignalStrength,
+				signalExpiryBars: CONFIG.signalExpiryBars,
+				signalRearmDistance: CONFIG.signalRearmDistance,
+				signalRearmBars: CONFIG.signalRearmBars,
+				swingDetection: CONFIG.swingDetection
+			},
+			settings: this.trading.getSymbolSettings(this.symbol),
+			paper: {
+				...this.paper,
+				contractSize: this.symbolMetadata.get(this.symbol).contractSize,
+				tickValue: this.symbolMetadata.getTickValue(this.symbol)
+			},
+			risk: {
+				enabled: this.riskManager.enabled,
+				limits: this.riskManager.limits,
+				symbolLimits: this.riskManager.getSymbolLimits(this.symbol)
+			},
+			summary: this.buildSummary(trades),
+			performance: buildPerformanceReport(journal),
+			signalOutcomes: this.analyzer.getSignalOutcomeTracker().getSummary(),
+			swingDetectors: this.analyzer.getMultiTimeframeAnalyzer().getDetectorSummary(),
+			signals: this.signals,
+			fills: this.fills,
+			trades,
+			equityCurve: this.equityCurve,
+			rejectedOrders: this.riskManager.getRejections().reverse(),
+			errors: this.errors
+		};
+	}
+
+	buildSummary(trades) {
+		// A position counts once, with its partial closes; trades are in close order
+		const positions = groupByPosition(trades)
+			.map(closes => ({
+				profit: closes.reduce((sum, trade) => sum + trade.profit, 0),
+				closedAt: new Date(closes[closes.length - 1].closeTime).getTime()
+			}))
+			.sort((a, b) => a.closedAt - b.closedAt);
+		const stats = computeTradeStats(positions);
+		const { netProfit } = stats;
+
+		// Drawdown here is on the sampled equity curve, open positions included
+		let peak = this.paper.initialBalance;
+		let maxDrawdown = 0;
+		let maxDrawdownPercent = 0;
+		this.equityCurve.forEach(({ equity }) => {
+			peak = Math.max(peak, equity);
+			const drawdown = peak - equity;
+			if (drawdown > maxDrawdown) {
+				maxDrawdown = drawdown;
+				maxDrawdownPercent = peak > 0 ? (drawdown / peak) * 100 : 0;
+			}
+		});
+
+		const finalBalance = this.broker.getAccountSummary().balance;
+
+		return {
+			totalSignals: this.signals.length,
+			buySignals: this.signals.filter(signal => signal.buySignal).length,
+			sellSignals: this.signals.filter(signal => signal.sellSignal).length,
+			totalTrades: stats.totalTrades,
+			wins: stats.wins,
+			losses: stats.losses,
+			winRate: stats.winRate,
+			grossProfit: stats.grossProfit,
+			grossLoss: stats.grossLoss,
+			netProfit,
+			profitFactor: stats.profitFactor,
+			expectancy: stats.expectancy,
+			averageWin: stats.averageWin,
+			averageLoss: stats.averageLoss,
+			maxDrawdown,
+			maxDrawdownPercent,
+			initialBalance: this.paper.initialBalance,
+			finalBalance,
+			returnPercent: this.paper.initialBalance > 0 ? (netProfit / this.paper.initialBalance) * 100 : 0,
+			sharpeRatio: stats.sharpeRatio,
+			longestLosingStreak: stats.longestLosingStreak
+		};
+	}
+}
+
+module.exports = {
+	BacktestRunner,
+	loadTicks
+};
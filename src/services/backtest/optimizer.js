@@ -0,0 +1,250 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const { loadTicks } = require('./backtestRunner');
+const {
+	expandGrid,
+	sampleRandom,
+	buildWalkForwardWindows,
+	rankResults
+} = require('./parameterSearch');
+const logger = require('../../utils/logger');
+
+const RESULTS_FILE = 'optimization-results.json';
+
+/**
+ * Grid or random search over the analysis CONFIG, backtesting every combination
+ * in a pool of worker processes. With in-sample/out-of-sample lengths it runs a
+ * rolling walk-forward: each window's best in-sample combination is replayed on
+ * the following out-of-sample block.
+ */
+class Optimizer {
+	constructor({
+		ticksFile,
+		symbol,
+		space,
+		mode = 'grid',
+		samples = 50,
+		seed = 1,
+		metric = 'profitFactor',
+		minTrades = 1,
+		workers = Math.max(1, os.cpus().length - 1),
+		inSampleMs = null,
+		outOfSampleMs = null,
+		outputDir = './optimization_output',
+		settings = {},
+		paper = {}
+	}) {
+		if (!ticksFile) throw new Error('Optimizer requires a ticks file');
+		if (!symbol) throw new Error('Optimizer requires a symbol');
+
+		this.ticksFile = path.resolve(ticksFile);
+		this.symbol = symbol.toUpperCase();
+		this.space = space;
+		this.mode = mode;
+		this.samples = samples;
+		this.seed = seed;
+		this.metric = metric;
+		this.minTrades = minTrades;
+		this.workerCount = Math.max(1, workers);
+		this.inSampleMs = inSampleMs;
+		this.outOfSampleMs = outOfSampleMs;
+		this.outputDir = outputDir;
+		this.settings = settings;
+		this.paper = paper;
+	}
+
+	buildCombinations() {
+		switch (this.mode) {
+			case 'grid':
+				return expandGrid(this.space);
+			case 'random':
+				return sampleRandom(this.space, this.samples, this.seed);
+			default:
+				throw new Error(`Unknown search mode "${this.mode}" (expected grid or random)`);
+		}
+	}
+
+	async run() {
+		const combinations = this.buildCombinations();
+		const ticks = await loadTicks(this.ticksFile);
+		if (ticks.length === 0) {
+			throw new Error(`No ticks found in ${this.ticksFile}`);
+		}
+
+		const times = ticks.map(tick => new Date(tick.timestamp).getTime());
+		const startMs = times.reduce((min, time) => Math.min(min, time), Number.POSITIVE_INFINITY);
+		const endMs = times.reduce((max, time) => Math.max(max, time), Number.NEGATIVE_INFINITY);
+		const windows = buildWalkForwardWindows(startMs, endMs, {
+			inSampleMs: this.inSampleMs,
+			outOfSampleMs: this.outOfSampleMs
+		});
+
+		logger.info(`🔬 Optimizing ${this.symbol}: ${combinations.length} combinations × ${windows.length} window(s) on ${this.workerCount} worker(s)`);
+
+		const runsDir = path.join(this.outputDir, 'runs');
+		await fs.promises.mkdir(runsDir, { recursive: true });
+
+		const inSampleJobs = [];
+		windows.forEach((window) => {
+			combinations.forEach((parameters, index) => {
+				inSampleJobs.push(this.createJob(`w${window.index}-is-${index}`, window.index, 'in-sample', window.inSample, parameters, runsDir));
+			});
+		});
+
+		const inSampleResults = await this.runJobs(inSampleJobs);
+
+		const windowReports = windows.map((window) => {
+			const ranked = rankResults(
+				inSampleResults.filter(result => result.window === window.index),
+				this.metric,
+				this.minTrades
+			);
+			return { window, ranked };
+		});
+
+		const outOfSampleJobs = windowReports
+			.filter(({ window, ranked }) => window.outOfSample && ranked.length > 0)
+			.map(({ window, ranked }) => this.createJob(`w${window.index}-oos`, window.index, 'out-of-sample', window.outOfSample, ranked[0].parameters, runsDir));
+		const outOfSampleResults = await this.runJobs(outOfSampleJobs);
+
+		const report = this.buildReport(combinations, windowReports, outOfSampleResults);
+		await fs.promises.writeFile(path.join(this.outputDir, RESULTS_FILE), `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+		logger.info(`📄 Optimization results written to ${path.join(this.outputDir, RESULTS_FILE)}`);
+		return report;
+	}
+
+	createJob(id, window, phase, range, parameters, outputDir) {
+		return {
+			id,
+			window,
+			phase,
+			range,
+			parameters,
+			outputDir,
+			source: path.basename(this.ticksFile),
+			settings: this.settings,
+			paper: this.paper
+		};
+	}
+
+	async runJobs(jobs) {
+		if (jobs.length === 0) return [];
+
+		const queue = [...jobs];
+		const results = new Map();
+		const workerCount = Math.min(this.workerCount, jobs.length);
+
+		await Promise.all(Array.from({ length: workerCount }, () => this.runWorker(queue, results, jobs.length)));
+
+		// Return in job order regardless of which worker finished first
+		return jobs.map(job => results.get(job.id));
+	}
+
+	runWorker(queue, results, total) {
+		return new Promise((resolve, reject) => {
+			const child = fork(path.join(__dirname, 'optimizerWorker.js'), [], {
+				env: { ...process.env, LOG_LEVEL: process.env.LOG_LEVEL || 'warn' }
+			});
+			let finished = false;
+
+			const finish = (error) => {
+				if (finished) return;
+				finished = true;
+				child.kill();
+				if (error) reject(error);
+				else resolve();
+			};
+
+			const next = () => {
+				const job = queue.shift();
+				if (!job) {
+					finish();
+					return;
+				}
+				child.send({ type: 'job', job });
+			};
+
+			child.on('message', (message) => {
+				switch (message.type) {
+					case 'ready':
+						next();
+						break;
+					case 'result':
+						results.set(message.result.id, message.result);
+						logger.info(`✅ ${results.size}/${total} ${message.result.id} ${this.metric}=${message.result.summary[this.metric]}`);
+						next();
+						break;
+					case 'error':
+						finish(new Error(`Backtest ${message.jobId || 'worker'} failed: ${message.message}`));
+						break;
+					default:
+						break;
+				}
+			});
+
+			child.on('exit', (code) => {
+				if (!finished) {
+					finish(new Error(`Optimizer worker exited unexpectedly with code ${code}`));
+				}
+			});
+
+			child.send({ type: 'init', ticksFile: this.ticksFile, symbol: this.symbol });
+		});
+	}
+
+	buildReport(combinations, windowReports, outOfSampleResults) {
+		const windows = windowReports.map(({ window, ranked }) => {
+			const outOfSample = outOfSampleResults.find(result => result.window === window.index) || null;
+			return {
+				index: window.index,
+				inSample: {
+					from: new Date(window.inSample.from).toISOString(),
+					to: new Date(window.inSample.to).toISOString()
+				},
+				outOfSample: window.outOfSample ? {
+					from: new Date(window.outOfSample.from).toISOString(),
+					to: new Date(window.outOfSample.to).toISOString()
+				} : null,
+				best: ranked[0] || null,
+				outOfSampleResult: outOfSample,
+				ranking: ranked
+			};
+		});
+
+		return {
+			symbol: this.symbol,
+			source: path.basename(this.ticksFile),
+			mode: this.mode,
+			metric: this.metric,
+			minTrades: this.minTrades,
+			seed: this.mode === 'random' ? this.seed : null,
+			space: this.space,
+			combinations: combinations.length,
+			windows,
+			walkForward: outOfSampleResults.length > 0 ? this.summarizeOutOfSample(outOfSampleResults) : null
+		};
+	}
+
+	summarizeOutOfSample(results) {
+		const totals = results.reduce((acc, { summary }) => {
+			acc.totalTrades += summary.totalTrades;
+			acc.wins += summary.wins;
+			acc.grossProfit += summary.grossProfit;
+			acc.grossLoss += summary.grossLoss;
+			acc.netProfit += summary.netProfit;
+			return acc;
+		}, { totalTrades: 0, wins: 0, grossProfit: 0, grossLoss: 0, netProfit: 0 });
+
+		return {
+			windows: results.length,
+			...totals,
+			winRate: totals.totalTrades > 0 ? totals.wins / totals.totalTrades : 0,
+			profitFactor: totals.grossLoss > 0 ? totals.grossProfit / totals.grossLoss : (totals.grossProfit > 0 ? null : 0),
+			expectancy: totals.totalTrades > 0 ? totals.netProfit / totals.totalTrades : 0
+		};
+	}
+}
+
+module.exports = { Optimizer };
@@ -0,0 +1,62 @@
+// Child process entry for Optimizer: loads the tick file once, then runs one
+// backtest per 'job' message and replies with its summary.
+const path = require('path');
+const { BacktestRunner, loadTicks } = require('./backtestRunner');
+
+let ticks = null;
+let tickTimes = null;
+let symbol = null;
+
+function ticksInRange({ from, to }) {
+	const result = [];
+	for (let i = 0; i < ticks.length; i++) {
+		if (tickTimes[i] >= from && tickTimes[i] < to) {
+			result.push(ticks[i]);
+		}
+	}
+	return result;
+}
+
+async function handleInit(message) {
+	symbol = message.symbol;
+	ticks = await loadTicks(message.ticksFile);
+	tickTimes = ticks.map(tick => new Date(tick.timestamp).getTime());
+	process.send({ type: 'ready' });
+}
+
+async function handleJob({ job }) {
+	const runner = new BacktestRunner({
+		symbol,
+		ticks: ticksInRange(job.range),
+		outputDir: path.join(job.outputDir, job.id),
+		source: job.source,
+		parameters: job.parameters,
+		settings: job.settings,
+		paper: job.paper
+	});
+
+	const report = await runner.run();
+	process.send({
+		type: 'result',
+		result: {
+			id: job.id,
+			window: job.window,
+			phase: job.phase,
+			range: {
+				from: new Date(job.range.from).toISOString(),
+				to: new Date(job.range.to).toISOString()
+			},
+			parameters: job.parameters,
+			summary: report.summary
+		}
+	});
+}
+
+process.on('message', (message) => {
+	const handler = message.type === 'init' ? handleInit : (message.type === 'job' ? handleJob : null);
+	if (!handler) return;
+
+	handler(message).catch((error) => {
+		process.send({ type: 'error', jobId: message.job ? message.job.id : null, message: error.message });
+	});
+});
@@ -0,0 +1,213 @@
+// Analysis settings from CONFIG that the optimizer is allowed to vary
+const OPTIMIZABLE_PARAMETERS = [
+	'swingLeftBars',
+	'swingRightBars',
+	'minSwingStrength',
+	'commonPointTolerance',
+	'openCloseTolerance',
+	'volumeSimilarityThreshold',
+	'signalRevisitTolerance',
+	'minSignalStrength',
+	'signalExpiryBars',
+	'signalRearmDistance',
+	'signalRearmBars'
+];
+
+// Metrics where a smaller value ranks higher
+const ASCENDING_METRICS = new Set(['maxDrawdown', 'maxDrawdownPercent', 'longestLosingStreak']);
+
+const DURATION_UNITS = {
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000
+};
+
+function validateSpace(space) {
+	const keys = Object.keys(space || {});
+	if (keys.length === 0) {
+		throw new Error('Parameter space is empty');
+	}
+	keys.forEach((key) => {
+		if (!OPTIMIZABLE_PARAMETERS.includes(key)) {
+			throw new Error(`Unknown parameter "${key}". Allowed: ${OPTIMIZABLE_PARAMETERS.join(', ')}`);
+		}
+	});
+	return keys;
+}
+
+/**
+ * Expand a range definition ({ min, max, step }) or a list into explicit values.
+ * @param {Array|Object} definition - Values list or range
+ * @returns {Array<number>} Candidate values
+ */
+function expandValues(definition) {
+	if (Array.isArray(definition)) {
+		return definition;
+	}
+
+	const { min, max, step } = definition || {};
+	if (![min, max, step].every(Number.isFinite) || step <= 0 || max < min) {
+		throw new Error(`Invalid range ${JSON.stringify(definition)}; expected { min, max, step }`);
+	}
+
+	const values = [];
+	const count = Math.floor((max - min) / step + 1e-9);
+	for (let i = 0; i <= count; i++) {
+		// Round to the step's precision so 0.1 + 0.2 style drift doesn't leak into reports
+		values.push(Number((min + i * step).toPrecision(12)));
+	}
+	return values;
+}
+
+/**
+ * Cartesian product of every parameter's values, in key order.
+ * @param {Object} space - { parameter: values|range }
+ * @returns {Array<Object>} Parameter combinations
+ */
+function expandGrid(space) {
+	const keys = validateSpace(space);
+	return keys.reduce((combinations, key) => {
+		const values = expandValues(space[key]);
+		const next = [];
+		combinations.forEach((combination) => {
+			values.forEach((value) => {
+				next.push({ ...combination, [key]: value });
+			});
+		});
+		return next;
+	}, [{}]);
+}
+
+// mulberry32: small seeded PRNG so random searches are reproducible
+function createRandom(seed = 1) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6D2B79F5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Draw `count` distinct combinations at random from the space.
+ * @param {Object} space - { parameter: values|range }
+ * @param {number} count - Number of combinations to draw
+ * @param {number} seed - PRNG seed
+ * @returns {Array<Object>} Parameter combinations
+ */
+function sampleRandom(space, count, seed = 1) {
+	const keys = validateSpace(space);
+	const valuesByKey = keys.map(key => expandValues(space[key]));
+	const total = valuesByKey.reduce((product, values) => product * values.length, 1);
+	const target = Math.min(count, total);
+	const random = createRandom(seed);
+	const seen = new Set();
+	const combinations = [];
+
+	while (combinations.length < target) {
+		const combination = {};
+		keys.forEach((key, index) => {
+			const values = valuesByKey[index];
+			combination[key] = values[Math.floor(random() * values.length)];
+		});
+		const id = JSON.stringify(combination);
+		if (!seen.has(id)) {
+			seen.add(id);
+			combinations.push(combination);
+		}
+	}
+
+	return combinations;
+}
+
+function parseDuration(value) {
+	if (value === undefined || value === null || value === '') return null;
+	if (typeof value === 'number') return value;
+
+	const match = `${value}`.trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])?$/i);
+	if (!match) {
+		throw new Error(`Invalid duration "${value}" (examples: 90s, 30m, 6h, 2d)`);
+	}
+	return Number.parseFloat(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+/**
+ * Rolling walk-forward windows: each in-sample block is followed by an
+ * out-of-sample block, and the window advances by the out-of-sample length.
+ * Without an in-sample length the whole range is a single in-sample window.
+ * @param {number} startMs - First tick time
+ * @param {number} endMs - Last tick time
+ * @param {Object} options - { inSampleMs, outOfSampleMs }
+ * @returns {Array<Object>} Windows with inSample/outOfSample { from, to } (to exclusive)
+ */
+function buildWalkForwardWindows(startMs, endMs, { inSampleMs = null, outOfSampleMs = null } = {}) {
+	if (!inSampleMs) {
+		return [{ index: 0, inSample: { from: startMs, to: endMs + 1 }, outOfSample: null }];
+	}
+	if (!outOfSampleMs) {
+		throw new Error('Walk-forward runs need an out-of-sample length');
+	}
+
+	const windows = [];
+	for (let from = startMs; from + inSampleMs < endMs; from += outOfSampleMs) {
+		const splitAt = from + inSampleMs;
+		windows.push({
+			index: windows.length,
+			inSample: { from, to: splitAt },
+			outOfSample: { from: splitAt, to: Math.min(splitAt + outOfSampleMs, endMs + 1) }
+		});
+	}
+
+	if (windows.length === 0) {
+		throw new Error('Data range is shorter than the in-sample window');
+	}
+	return windows;
+}
+
+function metricValue(summary, metric) {
+	const value = summary[metric];
+	// profitFactor is null when there were profits but no losses
+	if (value === null && metric === 'profitFactor') {
+		return summary.grossProfit > 0 ? Number.POSITIVE_INFINITY : 0;
+	}
+	return Number.isFinite(value) ? value : Number.NEGATIVE_INFINITY;
+}
+
+/**
+ * Order results best-first by metric. Runs with fewer than `minTrades` trades rank last.
+ * Ties keep their original order, so rankings are stable.
+ */
+function rankResults(results, metric, minTrades = 0) {
+	if (!results.every(result => metric in result.summary)) {
+		throw new Error(`Unknown metric "${metric}"`);
+	}
+	const direction = ASCENDING_METRICS.has(metric) ? 1 : -1;
+
+	return results
+		.map((result, order) => ({ result, order }))
+		.sort((a, b) => {
+			const qualifiedA = a.result.summary.totalTrades >= minTrades;
+			const qualifiedB = b.result.summary.totalTrades >= minTrades;
+			if (qualifiedA !== qualifiedB) return qualifiedA ? -1 : 1;
+
+			const valueA = metricValue(a.result.summary, metric);
+			const valueB = metricValue(b.result.summary, metric);
+			if (valueA !== valueB) return valueA < valueB ? -direction : direction;
+			return a.order - b.order;
+		})
+		.map(({ result }) => result);
+}
+
+module.exports = {
+	OPTIMIZABLE_PARAMETERS,
+	expandValues,
+	expandGrid,
+	sampleRandom,
+	createRandom,
+	parseDuration,
+	buildWalkForwardWindows,
+	rankResults
+};
@@ -1,16 +1,42 @@
 const { TradingService } = require('./trading/tradingService');
 const { SignalService } = require('./trading/signalService');
+const { RiskManager } = require('./trading/riskManager');
+const { PositionSizer } = require('./trading/positionSizer');
+const { StopLevelResolver } = require('./trading/stopLevels');
+const { PositionManager } = require('./trading/positionManager');
+const { TradingControl } = require('./trading/tradingControl');
+const { OrderTracker } = require('./trading/orderTracker');
+const { ReconciliationService } = require('./trading/reconciliationService');
+const { TradeJournal } = require('./trading/tradeJournal');
+const { PerformanceAnalytics } = require('./trading/performanceAnalytics');
+const { SignalOutcomeTracker } = require('./trading/signalOutcomeTracker');
 const { AnalyzerService } = require('./analysis/analyzerService');
 const { CandleService } = require('./analysis/candleService');
 const { SwingAnalyzer } = require('./analysis/swingAnalyzer');
 const { MultiTimeframeAnalyzer } = require('./analysis/multiTimeframeAnalyzer');
+const { IndicatorService } = require('./analysis/indicatorService');
+const { SymbolPipeline } = require('./pipeline/symbolPipeline');
+const { PipelineRegistry } = require('./pipeline/pipelineRegistry');
 
 module.exports = {
 	TradingService,
 	SignalService,
+	RiskManager,
+	PositionSizer,
+	StopLevelResolver,
+	PositionManager,
+	TradingControl,
+	OrderTracker,
+	ReconciliationService,
+	TradeJournal,
+	PerformanceAnalytics,
+	SignalOutcomeTracker,
 	AnalyzerService,
 	CandleService,
 	SwingAnalyzer,
-	MultiTimeframeAnalyzer
+	MultiTimeframeAnalyzer,
+	IndicatorService,
+	SymbolPipeline,
+	PipelineRegistry
 };
 
@@ -0,0 +1,74 @@
+/**
+ * Symbol → SymbolPipeline lookup for the process. REST controllers resolve the
+ * pipeline for each request through here.
+ */
+class PipelineRegistry {
+	constructor() {
+		this.pipelines = new Map();
+	}
+
+	register(pipeline) {
+		if (this.pipelines.has(pipeline.symbol)) {
+			throw new Error(`A pipeline for ${pipeline.symbol} is already registered`);
+		}
+		this.pipelines.set(pipeline.symbol, pipeline);
+		return pipeline;
+	}
+
+	get(symbol) {
+		if (!symbol) return null;
+		return this.pipelines.get(symbol.toUpperCase()) || null;
+	}
+
+	has(symbol) {
+		return Boolean(this.get(symbol));
+	}
+
+	/**
+	 * Pipeline for an optional symbol. Without a symbol the only pipeline is
+	 * returned, so single-symbol deployments keep working without `?symbol=`.
+	 * @param {string} [symbol]
+	 * @returns {SymbolPipeline|null}
+	 */
+	resolve(symbol) {
+		if (symbol) {
+			return this.get(symbol);
+		}
+		return this.pipelines.size === 1 ? this.list()[0] : null;
+	}
+
+	list() {
+		return Array.from(this.pipelines.values());
+	}
+
+	symbols() {
+		return Array.from(this.pipelines.keys());
+	}
+
+	get size() {
+		return this.pipelines.size;
+	}
+
+	startAll() {
+		this.list().forEach(pipeline => pipeline.start());
+	}
+
+	stopAll() {
+		this.list().forEach(pipeline => pipeline.stop());
+	}
+
+	async shutdownAll() {
+		for (const pipeline of this.list()) {
+			await pipeline.shutdown();
+		}
+	}
+
+	getStatus() {
+		return this.list().reduce((status, pipeline) => {
+			status[pipeline.symbol] = pipeline.getStatus();
+			return status;
+		}, {});
+	}
+}
+
+module.exports = { PipelineRegistry };
@@ -0,0 +1,94 @@
+const { AnalyzerService } = require('../analysis/analyzerService');
+const { TradingService } = require('../trading/tradingService');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+
+/**
+ * Everything that runs for one symbol: CandleService, AnalyzerService (with its
+ * SignalService), TradingService, output directory and repositories. Pipelines share
+ * the data source, so TradingService only consumes ticks and trades for its symbol.
+ */
+class SymbolPipeline {
+	constructor({
+		symbol,
+		dataSource,
+		outputDir,
+		swingLevelRepository = null,
+		candleRepository = null,
+		multiTimeframeRepositories = null,
+		priceType = 'bid',
+		symbolMetadata = null,
+		signalRuleRepository = null,
+		processedLevelRepository = null,
+		riskManager = null,
+		settings = {}
+	}) {
+		if (!symbol) {
+			throw new Error('SymbolPipeline requires a symbol');
+		}
+		if (!dataSource) {
+			throw new Error('SymbolPipeline requires a data source instance');
+		}
+
+		this.symbol = symbol.toUpperCase();
+		this.outputDir = outputDir;
+		this.dataSource = dataSource;
+		this.swingLevelRepository = swingLevelRepository;
+
+		this.analyzerService = new AnalyzerService(this.symbol, outputDir, {
+			swingLevelRepository,
+			candleRepository,
+			multiTimeframeRepositories,
+			symbolMetadata,
+			signalRuleRepository,
+			processedLevelRepository
+		});
+
+		this.tradingService = new TradingService({
+			symbol: this.symbol,
+			analyzer: this.analyzerService,
+			dataSource,
+			priceType,
+			defaultVolume: CONFIG.defaultVolume,
+			symbolMetadata,
+			riskManager
+		});
+		this.tradingService.setSymbolSettings(this.symbol, {
+			stopLoss: CONFIG.defaultStopLoss,
+			takeProfit: CONFIG.defaultTakeProfit,
+			volume: CONFIG.defaultVolume,
+			...settings
+		});
+
+		// TradingService re-emits data source and order errors; without a listener
+		// EventEmitter would throw and take every pipeline down
+		this.tradingService.on('error', (error) => {
+			logger.error(`❌ [${this.symbol}] Trading error:`, error);
+		});
+	}
+
+	start() {
+		this.tradingService.start();
+	}
+
+	stop() {
+		this.tradingService.stop();
+	}
+
+	async shutdown() {
+		this.stop();
+		await this.analyzerService.getCandleService().shutdown();
+	}
+
+	getStatus() {
+		return {
+			symbol: this.symbol,
+			outputDir: this.outputDir,
+			analyzer: this.analyzerService.getStatus(),
+			openTrades: this.tradingService.getOpenTrades().length,
+			tradeHistory: this.tradingService.getTradeHistory().length
+		};
+	}
+}
+
+module.exports = { SymbolPipeline };
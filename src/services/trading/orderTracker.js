@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+const { stableId } = require('../../utils/ids');
+
+const ORDER_STATUSES = ['pending', 'acknowledged', 'filled', 'rejected', 'expired', 'cancelled'];
+
+// Allowed moves of the order state machine; a late fill may still revive an expired order
+const TRANSITIONS = {
+	pending: ['acknowledged', 'filled', 'rejected', 'expired'],
+	acknowledged: ['filled', 'rejected', 'expired', 'cancelled'],
+	expired: ['filled'],
+	filled: [],
+	rejected: [],
+	cancelled: []
+};
+
+/**
+ * Order lifecycle of one symbol, keyed by client order id:
+ *
+ *   pending → acknowledged → filled | rejected | expired | cancelled
+ *
+ * Signal orders get an id derived from the signal id, so the same signal is never sent
+ * twice. placeOrder is retried with the same id after transient bridge errors (timeout,
+ * disconnect); an order that never gets an answer ends up expired, as does an acknowledged
+ * market order whose fill is not reported within `fillTimeoutMs`. Trade updates are matched
+ * by clientOrderId or ticket and the trade is tagged with the order's signalId.
+ */
+class OrderTracker extends EventEmitter {
+	constructor({
+		symbol,
+		dataSource,
+		clock = systemClock,
+		fillTimeoutMs = CONFIG.orders.fillTimeoutMs,
+		maxRetries = CONFIG.orders.maxRetries,
+		retryDelayMs = CONFIG.orders.retryDelayMs,
+		maxOrders = 500
+	}) {
+		super();
+		this.symbol = symbol;
+		this.dataSource = dataSource;
+		this.clock = clock;
+		this.fillTimeoutMs = fillTimeoutMs;
+		this.maxRetries = maxRetries;
+		this.retryDelayMs = retryDelayMs;
+		this.maxOrders = maxOrders;
+		// clientOrderId -> order record, oldest first
+		this.orders = new Map();
+		this.manualCounter = 0;
+	}
+
+	createClientOrderId({ signalId = null, source }) {
+		if (signalId) {
+			return stableId('co', this.symbol, signalId);
+		}
+		return stableId('co', this.symbol, source, this.clock.now(), ++this.manualCounter);
+	}
+
+	get(clientOrderId) {
+		return this.orders.get(clientOrderId) || null;
+	}
+
+	/**
+	 * Find an order by client order id or broker ticket.
+	 */
+	find(id) {
+		const key = `${id}`;
+		return this.get(key) || this.list().find(order => order.ticket !== null && `${order.ticket}` === key) || null;
+	}
+
+	list({ status = null } = {}) {
+		const orders = Array.from(this.orders.values()).reverse();
+		return status ? orders.filter(order => order.status === status) : orders;
+	}
+
+	transition(order, status, note = null) {
+		if (order.status === status) return false;
+		if (!TRANSITIONS[order.status].includes(status)) {
+			logger.debug(`Order ${order.clientOrderId}: ignoring ${order.status} → ${status}`);
+			return false;
+		}
+
+		const at = new Date(this.clock.now()).toISOString();
+		order.status = status;
+		order.updatedAt = at;
+		order[`${status}At`] = at;
+		if (note) order.error = note;
+		order.history.push({ status, at, note });
+
+		this.emit('order_updated', { ...order });
+		return true;
+	}
+
+	track(order) {
+		this.orders.set(order.clientOrderId, order);
+		if (this.orders.size <= this.maxOrders) return;
+
+		// Drop the oldest finished orders first
+		for (const [clientOrderId, candidate] of this.orders) {
+			if (this.orders.size <= this.maxOrders) break;
+			if (candidate.status !== 'pending' && candidate.status !== 'acknowledged') {
+				this.orders.delete(clientOrderId);
+			}
+		}
+	}
+
+	/**
+	 * Send an order through the data source and follow it.
+	 * @param {Object} payload - placeOrder payload
+	 * @param {Object} meta
+	 * @param {string} [meta.signalId] - Originating signal
+	 * @param {string} [meta.source] - 'signal' or 'manual'
+	 * @param {string} [meta.clientOrderId] - Caller-chosen id (idempotency key)
+	 * @returns {Promise<{ order: Object, response: Object|null, duplicate: boolean }>}
+	 */
+	async submit(payload, { signalId = null, source = 'signal', clientOrderId = null } = {}) {
+		const id = clientOrderId || this.createClientOrderId({ signalId, source });
+		const existing = this.get(id);
+		if (existing) {
+			return { order: existing, response: null, duplicate: true };
+		}
+
+		const now = new Date(this.clock.now()).toISOString();
+		const order = {
+			clientOrderId: id,
+			signalId,
+			source,
+			symbol: this.symbol,
+			type: payload.type,
+			orderType: payload.orderType || 'market',
+			volume: payload.volume,
+			price: payload.price ?? null,
+			stopLoss: payload.stopLoss || 0,
+			takeProfit: payload.takeProfit || 0,
+			status: 'pending',
+			ticket: null,
+			fillPrice: null,
+			attempts: 0,
+			error: null,
+			createdAt: now,
+			updatedAt: now,
+			history: [{ status: 'pending', at: now, note: null }]
+		};
+		this.track(order);
+		this.emit('order_updated', { ...order });
+
+		for (;;) {
+			order.attempts++;
+			try {
+				const response = await this.dataSource.placeOrder({ ...payload, clientOrderId: id });
+				this.handleAck(order, response);
+				return { order, response, duplicate: false };
+			} catch (error) {
+				// The fill may have been reported while the request was failing
+				if (order.status === 'filled') {
+					return { order, response: null, duplicate: false };
+				}
+				if (!error.transient) {
+					this.transition(order, 'rejected', error.message);
+					throw error;
+				}
+				if (order.attempts > this.maxRetries) {
+					this.transition(order, 'expired', `No answer after ${order.attempts} attempts: ${error.message}`);
+					throw error;
+				}
+
+				logger.warn(`🔁 [${this.symbol}] Order ${id} attempt ${order.attempts} failed (${error.message}); retrying`);
+				// Waits on the injected clock, so a backtest retries without a real-time pause
+				const wait = this.retryDelayMs * order.attempts;
+				await (typeof this.clock.delay === 'function' ? this.clock.delay(wait) : systemClock.delay(wait));
+			}
+		}
+	}
+
+	handleAck(order, response = {}) {
+		if (response.ticket !== undefined && response.ticket !== null) {
+			order.ticket = response.ticket;
+		}
+		if (response.success === false) {
+			this.transition(order, 'rejected', response.message || response.error || 'Rejected by broker');
+			return;
+		}
+		this.transition(order, 'acknowledged');
+	}
+
+	/**
+	 * Match a trade update to its order, mark the order filled and tag the trade.
+	 * @returns {Object|null} The matched order
+	 */
+	handleTrade(trade) {
+		const order = (trade.clientOrderId && this.get(trade.clientOrderId))
+			|| this.find(trade.positionTicket || trade.ticket);
+		if (!order) {
+			return null;
+		}
+
+		if (order.ticket === null) {
+			order.ticket = trade.positionTicket || trade.ticket;
+		}
+		if (order.status !== 'filled' && !trade.positionTicket) {
+			if (order.status === 'expired') {
+				logger.warn(`⚠️  [${this.symbol}] Order ${order.clientOrderId} filled after it had expired (ticket ${order.ticket})`);
+			}
+			order.fillPrice = trade.openPrice ?? null;
+			this.transition(order, 'filled');
+		}
+
+		trade.clientOrderId = order.clientOrderId;
+		trade.signalId = order.signalId || trade.signalId || null;
+		return order;
+	}
+
+	markCancelled(ticket) {
+		const order = this.find(ticket);
+		if (order) {
+			this.transition(order, 'cancelled');
+		}
+	}
+
+	/**
+	 * Expire acknowledged market orders whose fill never arrived. Driven by the tick
+	 * stream so backtests expire orders on simulated time.
+	 */
+	expireStale() {
+		const now = this.clock.now();
+		for (const order of this.orders.values()) {
+			if (order.status !== 'acknowledged' || order.orderType !== 'market' || this.fillTimeoutMs <= 0) continue;
+			if (now - new Date(order.acknowledgedAt).getTime() >= this.fillTimeoutMs) {
+				this.transition(order, 'expired', `No fill reported within ${this.fillTimeoutMs}ms`);
+			}
+		}
+	}
+}
+
+module.exports = { OrderTracker, ORDER_STATUSES };
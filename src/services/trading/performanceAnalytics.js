@@ -0,0 +1,180 @@
+const CLOSE_EVENTS = ['close', 'partial_close'];
+
+/**
+ * Statistics over closed trades in the order they closed. A trade with a profit of
+ * zero or less counts as a loss. Drawdown is measured on the cumulative realised P&L and
+ * the Sharpe ratio is per trade (mean over standard deviation of the profits), not
+ * annualised.
+ * @param {Array<{ profit: number }>} trades
+ */
+function computeTradeStats(trades) {
+	const wins = trades.filter(trade => trade.profit > 0);
+	const losses = trades.filter(trade => trade.profit <= 0);
+	const grossProfit = wins.reduce((sum, trade) => sum + trade.profit, 0);
+	const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.profit, 0));
+	const netProfit = grossProfit - grossLoss;
+
+	let cumulative = 0;
+	let peak = 0;
+	let maxDrawdown = 0;
+	let streak = 0;
+	let longestLosingStreak = 0;
+	trades.forEach(({ profit }) => {
+		cumulative += profit;
+		peak = Math.max(peak, cumulative);
+		maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+		streak = profit <= 0 ? streak + 1 : 0;
+		longestLosingStreak = Math.max(longestLosingStreak, streak);
+	});
+
+	let sharpeRatio = null;
+	if (trades.length > 1) {
+		const mean = netProfit / trades.length;
+		const variance = trades.reduce((sum, { profit }) => sum + (profit - mean) ** 2, 0) / (trades.length - 1);
+		sharpeRatio = variance > 0 ? mean / Math.sqrt(variance) : null;
+	}
+
+	return {
+		totalTrades: trades.length,
+		wins: wins.length,
+		losses: losses.length,
+		winRate: trades.length > 0 ? wins.length / trades.length : 0,
+		grossProfit,
+		grossLoss,
+		netProfit,
+		profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? null : 0),
+		expectancy: trades.length > 0 ? netProfit / trades.length : 0,
+		averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+		averageLoss: losses.length > 0 ? grossLoss / losses.length : 0,
+		maxDrawdown,
+		sharpeRatio,
+		longestLosingStreak
+	};
+}
+
+const GROUPS = {
+	bySymbol: trade => trade.symbol,
+	bySignalType: trade => trade.signalType,
+	bySwingType: trade => trade.swingType,
+	byConfirmations: trade => trade.confirmations,
+	byHour: trade => trade.hour
+};
+
+/**
+ * Closes grouped per position: a partial close joins the position it came from
+ * (`positionTicket`), in the order the positions were first closed.
+ * @param {Array<{ symbol, ticket, positionTicket }>} closes
+ * @returns {Array<Object[]>}
+ */
+function groupByPosition(closes) {
+	const positions = new Map();
+	closes.forEach((close) => {
+		const key = `${close.symbol}|${close.positionTicket || close.ticket}`;
+		if (!positions.has(key)) positions.set(key, []);
+		positions.get(key).push(close);
+	});
+	return Array.from(positions.values());
+}
+
+/**
+ * Turn journal entries into closed trades with their grouping keys. A position's partial
+ * closes and its final close make one trade with their combined profit, closed at the
+ * latest of them. Close entries written without signal context (e.g. after a restart)
+ * take it from their order entry.
+ * @param {Object[]} entries - Close entries and, optionally, the order entries they came from
+ */
+function tradesFromJournal(entries) {
+	const orders = new Map();
+	entries
+		.filter(entry => entry.event === 'order' && entry.clientOrderId)
+		.forEach(entry => orders.set(entry.clientOrderId, entry));
+
+	const closeEntries = entries.filter(entry => CLOSE_EVENTS.includes(entry.event) && Number.isFinite(entry.profit));
+
+	return groupByPosition(closeEntries)
+		.map((closes) => {
+			const pick = field => closes.map(entry => entry[field]).find(value => value !== null && value !== undefined);
+			const clientOrderId = pick('clientOrderId');
+			const order = clientOrderId ? orders.get(clientOrderId) : null;
+			const signal = pick('signal') || (order && order.signal) || null;
+			const level = pick('level') || (order && order.level) || null;
+			const openedAt = [pick('openTime'), order && order.timestamp, closes[0].timestamp]
+				.map(value => new Date(value))
+				.find(date => !Number.isNaN(date.getTime()));
+			const closedAt = closes
+				.map(entry => entry.timestamp)
+				.reduce((latest, timestamp) => (new Date(timestamp) > new Date(latest) ? timestamp : latest));
+			return {
+				symbol: closes[0].symbol,
+				signalType: signal ? signal.signalType : 'MANUAL',
+				swingType: level ? level.type : 'NONE',
+				confirmations: level && level.strength !== undefined && level.strength !== null ? `${level.strength}` : 'NONE',
+				hour: `${openedAt.getUTCHours()}`.padStart(2, '0'),
+				profit: closes.reduce((sum, entry) => sum + entry.profit, 0),
+				closedAt
+			};
+		})
+		.sort((a, b) => new Date(a.closedAt).getTime() - new Date(b.closedAt).getTime());
+}
+
+/**
+ * Overall statistics plus the same statistics per symbol, signal type, swing type,
+ * confirmation count and hour of day (UTC, of the entry).
+ */
+function buildPerformanceReport(entries) {
+	const trades = tradesFromJournal(entries);
+	const report = { overall: computeTradeStats(trades) };
+
+	Object.entries(GROUPS).forEach(([name, keyOf]) => {
+		const groups = new Map();
+		trades.forEach((trade) => {
+			const key = keyOf(trade);
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(trade);
+		});
+		report[name] = {};
+		Array.from(groups.keys()).sort().forEach((key) => {
+			report[name][key] = computeTradeStats(groups.get(key));
+		});
+	});
+
+	return report;
+}
+
+/**
+ * Performance of the trades in a trade journal, live, paper or backtest alike.
+ */
+class PerformanceAnalytics {
+	constructor({ journal }) {
+		this.journal = journal;
+	}
+
+	/**
+	 * @param {Object} [params]
+	 * @param {string} [params.symbol]
+	 * @param {string} [params.from] - Trades closed at or after (ISO date)
+	 * @param {string} [params.to] - Trades closed at or before (ISO date)
+	 */
+	async getPerformance({ symbol = null, from = null, to = null } = {}) {
+		const { entries: closes } = await this.journal.query({ symbol, from, to, events: CLOSE_EVENTS, limit: Infinity });
+		// Orders may predate the range; they are only needed for closes without context
+		const needsOrders = closes.some(entry => !entry.settings && entry.clientOrderId);
+		const { entries: orders } = needsOrders
+			? await this.journal.query({ symbol, to, events: ['order'], limit: Infinity })
+			: { entries: [] };
+
+		return {
+			symbol,
+			from,
+			to,
+			...buildPerformanceReport([...orders, ...closes])
+		};
+	}
+}
+
+module.exports = {
+	PerformanceAnalytics,
+	computeTradeStats,
+	buildPerformanceReport,
+	groupByPosition
+};
@@ -0,0 +1,236 @@
+const EventEmitter = require('events');
+const logger = require('../../utils/logger');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+
+const TRAILING_MODES = ['off', 'points', 'atr'];
+
+/**
+ * Manages open positions of one symbol from the tick stream. Per-symbol settings:
+ *
+ *   breakEvenPoints          - once this many points in profit, move SL to the entry
+ *   breakEvenLockPoints      - ...plus this many points (default 0)
+ *   trailingStopMode         - 'off' | 'points' | 'atr'
+ *   trailingStopDistance     - trail this far behind the price (points, or ATR multiple
+ *                              on atrTimeframe/atrPeriod); SL only ever tightens
+ *   partialTakeProfitPoints  - TP1 distance from the entry in points
+ *   partialCloseFraction     - share of the position closed at TP1 (0-1); the rest runs
+ *
+ * Commands go through the data source's modifyPosition/closePosition. Only one command
+ * per position is in flight at a time. TP1 and break-even count as done only once the
+ * broker accepted the command, so a failed one is tried again on a later tick. Before the
+ * first TP1 on a position the broker's trade history is checked for a partial close of it,
+ * so a position that took TP1 before a restart is not split again.
+ */
+class PositionManager extends EventEmitter {
+	constructor({ symbol, dataSource, analyzer = null, symbolMetadata = null }) {
+		super();
+		this.symbol = symbol;
+		this.dataSource = dataSource;
+		this.analyzer = analyzer;
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+		// ticket -> { stopLoss, breakEvenDone, partialDone, partialChecked, pending }
+		this.positions = new Map();
+	}
+
+	isSupported() {
+		return typeof this.dataSource.modifyPosition === 'function'
+			&& typeof this.dataSource.closePosition === 'function';
+	}
+
+	isEnabled(settings = {}) {
+		return settings.breakEvenPoints > 0
+			|| (settings.trailingStopMode && settings.trailingStopMode !== 'off' && settings.trailingStopDistance > 0)
+			|| (settings.partialTakeProfitPoints > 0 && settings.partialCloseFraction > 0);
+	}
+
+	getState(trade) {
+		if (!this.positions.has(trade.ticket)) {
+			this.positions.set(trade.ticket, {
+				stopLoss: Number(trade.stopLoss) || 0,
+				breakEvenDone: false,
+				partialDone: false,
+				partialChecked: false,
+				pending: false
+			});
+		}
+		return this.positions.get(trade.ticket);
+	}
+
+	/**
+	 * Follow a trade update; closed positions are dropped, and an SL changed elsewhere
+	 * (broker, REST) becomes the new reference.
+	 */
+	syncTrade(trade) {
+		if (trade.positionTicket && `${trade.positionTicket}` !== `${trade.ticket}`) {
+			// A partial close: the position it came from keeps running with TP1 taken
+			const position = this.positions.get(trade.positionTicket);
+			if (position) {
+				position.partialDone = true;
+			}
+			return;
+		}
+		if (trade.status === 'closed' || trade.isClosed) {
+			this.positions.delete(trade.ticket);
+			return;
+		}
+		const state = this.positions.get(trade.ticket);
+		if (state && !state.pending) {
+			state.stopLoss = Number(trade.stopLoss) || 0;
+		}
+	}
+
+	/**
+	 * Evaluate every open position against the latest tick.
+	 * @param {Object} tick - { bid, ask }
+	 * @param {Array} trades - Open trades of this symbol
+	 * @param {Object} settings - Symbol settings
+	 */
+	async onTick(tick, trades, settings) {
+		if (!this.isSupported() || !this.isEnabled(settings)) {
+			return;
+		}
+
+		for (const trade of trades) {
+			const state = this.getState(trade);
+			if (state.pending) continue;
+
+			try {
+				state.pending = true;
+				await this.manage(trade, state, tick, settings);
+			} catch (error) {
+				logger.warn(`⚠️  Position management failed for ticket ${trade.ticket}: ${error.message}`);
+				this.emit('error', error);
+			} finally {
+				state.pending = false;
+			}
+		}
+	}
+
+	async manage(trade, state, tick, settings) {
+		const direction = trade.type === 'buy' ? 1 : -1;
+		const exitPrice = trade.type === 'buy' ? Number(tick.bid) : Number(tick.ask);
+		const openPrice = Number(trade.openPrice);
+		const { tickSize } = this.symbolMetadata.get(this.symbol);
+		const profitPoints = ((exitPrice - openPrice) * direction) / tickSize;
+
+		if (!state.partialDone && settings.partialTakeProfitPoints > 0 && settings.partialCloseFraction > 0
+			&& profitPoints >= settings.partialTakeProfitPoints) {
+			if (!state.partialChecked) {
+				state.partialDone = await this.hasPartialClose(trade);
+				state.partialChecked = true;
+			}
+			if (!state.partialDone) {
+				await this.closePartial(trade, settings.partialCloseFraction);
+				state.partialDone = true;
+			}
+		}
+
+		let stopLoss = null;
+		let breakEven = false;
+		if (!state.breakEvenDone && settings.breakEvenPoints > 0 && profitPoints >= settings.breakEvenPoints) {
+			breakEven = true;
+			stopLoss = openPrice + direction * (Number(settings.breakEvenLockPoints) || 0) * tickSize;
+		}
+
+		const trailDistance = this.getTrailingDistance(settings);
+		if (trailDistance > 0) {
+			const trailed = exitPrice - direction * trailDistance;
+			if (stopLoss === null || (trailed - stopLoss) * direction > 0) {
+				stopLoss = trailed;
+			}
+		}
+
+		if (stopLoss === null) return;
+		stopLoss = this.symbolMetadata.roundPrice(this.symbol, stopLoss);
+
+		// Only tighten, and never onto or past the current price
+		const tightens = state.stopLoss <= 0 || (stopLoss - state.stopLoss) * direction >= tickSize - 1e-12;
+		const belowPrice = (exitPrice - stopLoss) * direction > 0;
+		if (!tightens) {
+			// The stop is already at least this tight
+			state.breakEvenDone = state.breakEvenDone || breakEven;
+			return;
+		}
+		if (belowPrice) {
+			await this.moveStopLoss(trade, state, stopLoss);
+			state.breakEvenDone = state.breakEvenDone || breakEven;
+		}
+	}
+
+	getTrailingDistance(settings) {
+		const distance = Number(settings.trailingStopDistance) || 0;
+		if (distance <= 0) return 0;
+
+		if (settings.trailingStopMode === 'points') {
+			return distance * this.symbolMetadata.get(this.symbol).tickSize;
+		}
+		if (settings.trailingStopMode === 'atr' && this.analyzer && typeof this.analyzer.getAtr === 'function') {
+			const atr = this.analyzer.getAtr(settings.atrTimeframe || '1m', settings.atrPeriod || 14);
+			return atr > 0 ? distance * atr : 0;
+		}
+		return 0;
+	}
+
+	async moveStopLoss(trade, state, stopLoss) {
+		const response = await this.dataSource.modifyPosition({
+			ticket: trade.ticket,
+			symbol: this.symbol,
+			stopLoss,
+			takeProfit: trade.takeProfit
+		});
+		if (response && response.success === false) {
+			throw new Error(`Moving the SL of ticket ${trade.ticket} was rejected: ${response.message || response.error || 'no reason given'}`);
+		}
+		state.stopLoss = stopLoss;
+		logger.info(`🎯 [${this.symbol}] Ticket ${trade.ticket} SL → ${this.symbolMetadata.formatPrice(this.symbol, stopLoss)}`);
+		this.emit('position_modified', { ticket: trade.ticket, stopLoss, response });
+	}
+
+	/**
+	 * Whether the broker's trade history holds a partial close of this position. Without a
+	 * history the position is assumed untouched.
+	 */
+	async hasPartialClose(trade) {
+		if (typeof this.dataSource.requestTradeHistory !== 'function') {
+			return false;
+		}
+
+		const params = { symbol: this.symbol };
+		const openTime = new Date(trade.openTime).getTime();
+		if (Number.isFinite(openTime)) {
+			params.from = new Date(openTime).toISOString();
+		}
+
+		const response = await this.dataSource.requestTradeHistory(params);
+		const partialClose = (response.trades || []).find(record => `${record.positionTicket}` === `${trade.ticket}` && `${record.ticket}` !== `${trade.ticket}`);
+		if (partialClose) {
+			logger.info(`🎯 [${this.symbol}] Ticket ${trade.ticket} already closed ${partialClose.volume} lots at TP1`);
+		}
+		return Boolean(partialClose);
+	}
+
+	async closePartial(trade, fraction) {
+		const { volumeMin } = this.symbolMetadata.get(this.symbol);
+		const volume = this.symbolMetadata.normalizeVolume(this.symbol, Number(trade.volume) * fraction);
+		const remaining = Number(trade.volume) - volume;
+
+		if (volume < volumeMin || remaining < volumeMin - 1e-9) {
+			logger.warn(`⚠️  [${this.symbol}] Skipping partial close of ticket ${trade.ticket}: ${trade.volume} lots cannot be split at ${fraction}`);
+			return;
+		}
+
+		const response = await this.dataSource.closePosition({
+			ticket: trade.ticket,
+			symbol: this.symbol,
+			volume,
+			reason: 'partial_take_profit'
+		});
+		if (response && response.success === false) {
+			throw new Error(`Partial close of ticket ${trade.ticket} was rejected: ${response.message || response.error || 'no reason given'}`);
+		}
+		logger.info(`🎯 [${this.symbol}] Ticket ${trade.ticket} closed ${volume} lots at TP1`);
+		this.emit('position_partially_closed', { ticket: trade.ticket, volume, response });
+	}
+}
+
+module.exports = { PositionManager, TRAILING_MODES };
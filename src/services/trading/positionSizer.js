@@ -0,0 +1,75 @@
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+
+const SIZING_MODES = ['fixed', 'riskPercent', 'fixedRiskAmount'];
+
+/**
+ * Turns symbol settings into an order volume.
+ *
+ *   fixed            - `volume` lots
+ *   riskPercent      - lose `riskPercent`% of account equity if the stop is hit
+ *   fixedRiskAmount  - lose `riskAmount` (account currency) if the stop is hit
+ *
+ * Risk modes need a stop loss and the account equity. The volume is rounded down to
+ * the symbol's volume step, so the realised risk never exceeds the budget.
+ */
+class PositionSizer {
+	constructor({ symbolMetadata = null } = {}) {
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+	}
+
+	requiresEquity(settings = {}) {
+		return settings.sizingMode === 'riskPercent';
+	}
+
+	/**
+	 * @param {Object} params
+	 * @param {string} params.symbol
+	 * @param {Object} params.settings - Symbol settings (sizingMode, volume, riskPercent, riskAmount)
+	 * @param {number} params.entryPrice
+	 * @param {number} params.stopLoss - Stop price; 0 when the order has no stop
+	 * @param {number} [params.equity] - Account equity, required for riskPercent
+	 * @returns {{ volume: number, riskAmount?: number, error?: string }}
+	 */
+	calculate({ symbol, settings = {}, entryPrice, stopLoss, equity = null }) {
+		const mode = settings.sizingMode || 'fixed';
+
+		if (mode === 'fixed') {
+			return { volume: this.symbolMetadata.normalizeVolume(symbol, settings.volume) };
+		}
+		if (!SIZING_MODES.includes(mode)) {
+			return { volume: 0, error: `Unknown sizing mode "${mode}"` };
+		}
+
+		const stopDistance = Math.abs(Number(entryPrice) - Number(stopLoss));
+		if (!(stopLoss > 0) || !(stopDistance > 0)) {
+			return { volume: 0, error: `${mode} sizing needs a stop loss away from the entry price` };
+		}
+
+		let riskAmount = Number(settings.riskAmount);
+		if (mode === 'riskPercent') {
+			if (!(equity > 0)) {
+				return { volume: 0, error: 'riskPercent sizing needs the account equity' };
+			}
+			riskAmount = equity * Number(settings.riskPercent) / 100;
+		}
+		if (!(riskAmount > 0)) {
+			return { volume: 0, error: `${mode} sizing produced no risk budget` };
+		}
+
+		const { tickSize, volumeMin, volumeMax } = this.symbolMetadata.get(symbol);
+		const lossPerLot = (stopDistance / tickSize) * this.symbolMetadata.getTickValue(symbol);
+		const volume = Math.min(this.symbolMetadata.normalizeVolume(symbol, riskAmount / lossPerLot), volumeMax);
+
+		if (volume < volumeMin) {
+			return {
+				volume: 0,
+				riskAmount,
+				error: `Risking ${riskAmount.toFixed(2)} over a ${this.symbolMetadata.formatPrice(symbol, stopDistance)} stop is below the ${symbol} minimum volume of ${volumeMin}`
+			};
+		}
+
+		return { volume, riskAmount };
+	}
+}
+
+module.exports = { PositionSizer, SIZING_MODES };
@@ -0,0 +1,121 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+
+/**
+ * Runs TradingService.reconcile for every pipeline every `intervalMs` (0 disables the
+ * schedule) and collects the results of all runs, including the ones each
+ * TradingService starts after a reconnect. The latest result per symbol and the most
+ * recent mismatches are written to `reportPath` after every run.
+ */
+class ReconciliationService extends EventEmitter {
+	constructor({
+		pipelines,
+		intervalMs = CONFIG.reconciliation.intervalMs,
+		reportPath = path.resolve(process.cwd(), 'data', 'reconciliation-report.json'),
+		maxMismatches = 200,
+		clock = systemClock
+	}) {
+		super();
+		this.pipelines = pipelines;
+		this.intervalMs = intervalMs;
+		this.reportPath = reportPath;
+		this.maxMismatches = maxMismatches;
+		this.clock = clock;
+		this.timer = null;
+		this.isRunning = false;
+		// Report writes run one after another so they cannot interleave
+		this.writes = Promise.resolve();
+		this.report = {
+			updatedAt: null,
+			intervalMs,
+			symbols: {},
+			mismatches: []
+		};
+
+		this.pipelines.list().forEach((pipeline) => {
+			pipeline.tradingService.on('reconciled', result => this.record(result));
+		});
+	}
+
+	start() {
+		if (this.timer || !(this.intervalMs > 0)) return;
+		this.timer = setInterval(() => {
+			this.runAll('schedule').catch((error) => {
+				logger.error('❌ Scheduled reconciliation failed:', error);
+			});
+		}, this.intervalMs);
+		logger.info(`🔍 Reconciling with the broker every ${Math.round(this.intervalMs / 1000)}s`);
+	}
+
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Reconcile every pipeline now; a run that is still going is not started twice.
+	 * @returns {Promise<Object>} The report
+	 */
+	async runAll(trigger = 'request') {
+		if (this.isRunning) {
+			return this.getReport();
+		}
+
+		this.isRunning = true;
+		try {
+			for (const pipeline of this.pipelines.list()) {
+				try {
+					await pipeline.tradingService.reconcile(trigger);
+				} catch (error) {
+					logger.error(`❌ [${pipeline.symbol}] Reconciliation failed:`, error);
+					this.report.symbols[pipeline.symbol] = {
+						...this.report.symbols[pipeline.symbol],
+						lastError: error.message,
+						failedAt: new Date(this.clock.now()).toISOString()
+					};
+				}
+			}
+		} finally {
+			this.isRunning = false;
+		}
+		return this.getReport();
+	}
+
+	record(result) {
+		const { mismatches, ...summary } = result;
+		this.report.updatedAt = new Date(this.clock.now()).toISOString();
+		this.report.symbols[result.symbol] = { ...summary, mismatchCount: mismatches.length };
+
+		if (mismatches.length > 0) {
+			this.report.mismatches = [...mismatches, ...this.report.mismatches].slice(0, this.maxMismatches);
+			mismatches.forEach(mismatch => this.emit('reconciliation_mismatch', mismatch));
+		}
+
+		this.writes = this.writes
+			.then(() => this.writeReport())
+			.catch((error) => {
+				logger.error('❌ Failed to write reconciliation report:', error);
+			});
+	}
+
+	async writeReport() {
+		await fs.promises.mkdir(path.dirname(this.reportPath), { recursive: true });
+		await fs.promises.writeFile(this.reportPath, `${JSON.stringify(this.report, null, 2)}\n`, 'utf8');
+	}
+
+	getReport() {
+		return {
+			...this.report,
+			symbols: { ...this.report.symbols },
+			mismatches: [...this.report.mismatches]
+		};
+	}
+}
+
+module.exports = { ReconciliationService };
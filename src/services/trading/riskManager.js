@@ -0,0 +1,429 @@
+const EventEmitter = require('events');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+
+const LIMIT_KEYS = ['maxOpenPositions', 'maxTotalLots', 'maxDailyLoss', 'maxDrawdown', 'minEntryIntervalMs'];
+
+function pickLimits(source = {}) {
+	return LIMIT_KEYS.reduce((limits, key) => {
+		const value = Number(source[key]);
+		limits[key] = Number.isFinite(value) && value > 0 ? value : 0;
+		return limits;
+	}, {});
+}
+
+function createExposure() {
+	return {
+		realized: 0,
+		dailyRealized: 0,
+		peakEquity: 0,
+		lastEntryAt: null
+	};
+}
+
+/**
+ * Gate between signals and `placeOrder`. Every order is checked against the
+ * account-wide limits and the limits of its symbol; a limit of 0 is disabled.
+ *
+ * One instance is shared by every TradingService in the process so the global
+ * limits see all symbols. Positions and P&L are learned from trade updates, so
+ * equity is relative to the session start (realised + open P&L) and the drawdown
+ * limit is measured in account currency from the highest equity seen.
+ *
+ * An approved order is reserved under its client order id before evaluate returns, so
+ * orders in flight together (on any symbol) count against the position and lot limits
+ * of each other. The reservation stays while the order rests at the broker and is
+ * replaced by the position when it fills, or released when the order is rejected,
+ * cancelled or expires.
+ *
+ * Reaching a daily-loss or drawdown limit emits 'limit_breached' (once per limit and
+ * day) so the trading control can halt. While halted every order is rejected, even
+ * with the limits disabled.
+ */
+class RiskManager extends EventEmitter {
+	constructor({
+		limits = CONFIG.risk,
+		symbolLimits = CONFIG.risk.symbol,
+		enabled = CONFIG.risk.enabled,
+		clock = systemClock,
+		maxRejections = 200
+	} = {}) {
+		super();
+		this.enabled = enabled;
+		this.limits = pickLimits(limits);
+		this.defaultSymbolLimits = pickLimits(symbolLimits);
+		this.symbolLimits = new Map();
+		this.clock = clock;
+		this.maxRejections = maxRejections;
+
+		this.openTrades = new Map();
+		// clientOrderId -> { clientOrderId, symbol, volume, ticket, entryAt, previousEntryAt }
+		this.reservations = new Map();
+		this.closedTickets = new Set();
+		this.account = createExposure();
+		this.symbols = new Map();
+		this.currentDay = null;
+		this.rejections = [];
+		this.breaches = new Set();
+		this.halt = null;
+	}
+
+	/**
+	 * @param {Object|null} halt - { reason, triggeredBy, haltedAt } or null to resume
+	 */
+	setHalted(halt) {
+		this.halt = halt ? { ...halt } : null;
+	}
+
+	isHalted() {
+		return this.halt !== null;
+	}
+
+	/**
+	 * Override the default limits for one symbol; limits not given fall back to the defaults.
+	 */
+	setSymbolLimits(symbol, limits = {}) {
+		this.symbolLimits.set(symbol.toUpperCase(), { ...limits });
+	}
+
+	getSymbolLimits(symbol) {
+		return pickLimits({
+			...this.defaultSymbolLimits,
+			...this.symbolLimits.get(symbol.toUpperCase())
+		});
+	}
+
+	getExposure(symbol) {
+		if (!this.symbols.has(symbol)) {
+			this.symbols.set(symbol, createExposure());
+		}
+		return this.symbols.get(symbol);
+	}
+
+	/**
+	 * Reset the daily realised P&L when the UTC day changes.
+	 */
+	rollDay() {
+		const day = new Date(this.clock.now()).toISOString().slice(0, 10);
+		if (day === this.currentDay) return;
+
+		this.currentDay = day;
+		this.breaches.clear();
+		this.account.dailyRealized = 0;
+		this.symbols.forEach((exposure) => {
+			exposure.dailyRealized = 0;
+		});
+	}
+
+	/**
+	 * Track a trade update (open, modified or closed) from the broker.
+	 */
+	recordTrade(trade) {
+		if (!trade || !trade.ticket) return;
+		this.rollDay();
+
+		const symbol = (trade.symbol || '').toUpperCase();
+		this.dropReservation(trade);
+		if (trade.status === 'closed' || trade.isClosed) {
+			this.openTrades.delete(trade.ticket);
+			if (!this.closedTickets.has(trade.ticket)) {
+				this.rememberClosed(trade.ticket);
+				const profit = Number(trade.profit) || 0;
+				const exposure = this.getExposure(symbol);
+				exposure.realized += profit;
+				exposure.dailyRealized += profit;
+				this.account.realized += profit;
+				this.account.dailyRealized += profit;
+			}
+		} else if (!this.closedTickets.has(trade.ticket)) {
+			this.openTrades.set(trade.ticket, {
+				ticket: trade.ticket,
+				symbol,
+				volume: Number(trade.volume) || 0,
+				profit: Number(trade.profit) || 0
+			});
+		}
+
+		this.updatePeaks(symbol);
+		this.checkBreaches(symbol);
+	}
+
+	/**
+	 * Emit 'limit_breached' for loss limits reached by the latest trade update.
+	 */
+	checkBreaches(symbol) {
+		if (!this.enabled) return;
+
+		const scopes = [[null, this.limits, this.account]];
+		if (symbol) {
+			scopes.unshift([symbol, this.getSymbolLimits(symbol), this.getExposure(symbol)]);
+		}
+
+		for (const [scope, limits, exposure] of scopes) {
+			const breaches = [];
+			if (limits.maxDailyLoss > 0 && -exposure.dailyRealized >= limits.maxDailyLoss) {
+				breaches.push({ rule: 'maxDailyLoss', reason: `${scope || 'account'} lost ${(-exposure.dailyRealized).toFixed(2)} today (limit ${limits.maxDailyLoss})` });
+			}
+			const drawdown = exposure.peakEquity - this.getEquity(scope);
+			if (limits.maxDrawdown > 0 && drawdown >= limits.maxDrawdown) {
+				breaches.push({ rule: 'maxDrawdown', reason: `${scope || 'account'} is ${drawdown.toFixed(2)} below its equity peak (limit ${limits.maxDrawdown})` });
+			}
+
+			for (const breach of breaches) {
+				const key = `${scope || 'account'}:${breach.rule}`;
+				if (this.breaches.has(key)) continue;
+				this.breaches.add(key);
+				logger.warn(`🛡️  Risk limit breached: ${breach.reason}`);
+				this.emit('limit_breached', { symbol: scope, ...breach });
+			}
+		}
+	}
+
+	isClosed(ticket) {
+		return this.closedTickets.has(ticket);
+	}
+
+	rememberClosed(ticket) {
+		this.closedTickets.add(ticket);
+		// Only late duplicates of recent closes need catching
+		if (this.closedTickets.size > 5000) {
+			this.closedTickets.delete(this.closedTickets.values().next().value);
+		}
+	}
+
+	/**
+	 * Hold an approved order's exposure until its fill or its end is known.
+	 */
+	reserve(order, clientOrderId) {
+		const symbol = order.symbol.toUpperCase();
+		const exposure = this.getExposure(symbol);
+		const now = this.clock.now();
+		this.reservations.set(clientOrderId, {
+			clientOrderId,
+			symbol,
+			volume: Number(order.volume) || 0,
+			ticket: null,
+			entryAt: now,
+			previousEntryAt: { account: this.account.lastEntryAt, symbol: exposure.lastEntryAt }
+		});
+		this.account.lastEntryAt = now;
+		exposure.lastEntryAt = now;
+	}
+
+	/**
+	 * The broker accepted a reserved order. A market order counts as a position straight
+	 * away, since its trade update may arrive later; a resting limit or stop order
+	 * ('pending') keeps its reservation until it fills, is cancelled or expires.
+	 */
+	confirmEntry(clientOrderId, ack = {}) {
+		const reservation = this.reservations.get(clientOrderId);
+		if (!reservation) return;
+
+		if (ack.ticket !== undefined && ack.ticket !== null) {
+			reservation.ticket = ack.ticket;
+		}
+		if (ack.status === 'pending' || reservation.ticket === null) {
+			return;
+		}
+
+		this.reservations.delete(clientOrderId);
+		if (!this.openTrades.has(reservation.ticket) && !this.closedTickets.has(reservation.ticket)) {
+			this.openTrades.set(reservation.ticket, {
+				ticket: reservation.ticket,
+				symbol: reservation.symbol,
+				volume: reservation.volume,
+				profit: 0
+			});
+		}
+	}
+
+	/**
+	 * The order was rejected, cancelled or expired: free its exposure. The entry time
+	 * goes back to what it was unless another order entered since.
+	 */
+	releaseEntry(clientOrderId) {
+		const reservation = this.reservations.get(clientOrderId);
+		if (!reservation) return;
+
+		this.reservations.delete(clientOrderId);
+		const exposure = this.getExposure(reservation.symbol);
+		if (this.account.lastEntryAt === reservation.entryAt) {
+			this.account.lastEntryAt = reservation.previousEntryAt.account;
+		}
+		if (exposure.lastEntryAt === reservation.entryAt) {
+			exposure.lastEntryAt = reservation.previousEntryAt.symbol;
+		}
+	}
+
+	// A trade update for a reserved order replaces the reservation
+	dropReservation(trade) {
+		if (trade.clientOrderId && this.reservations.delete(trade.clientOrderId)) {
+			return;
+		}
+		for (const [clientOrderId, reservation] of this.reservations) {
+			if (reservation.ticket !== null && `${reservation.ticket}` === `${trade.positionTicket || trade.ticket}`) {
+				this.reservations.delete(clientOrderId);
+				return;
+			}
+		}
+	}
+
+	getReservations(symbol = null) {
+		const reservations = Array.from(this.reservations.values());
+		return symbol ? reservations.filter(reservation => reservation.symbol === symbol) : reservations;
+	}
+
+	updatePeaks(symbol) {
+		this.account.peakEquity = Math.max(this.account.peakEquity, this.getEquity());
+		if (symbol) {
+			const exposure = this.getExposure(symbol);
+			exposure.peakEquity = Math.max(exposure.peakEquity, this.getEquity(symbol));
+		}
+	}
+
+	getOpenTrades(symbol = null) {
+		const trades = Array.from(this.openTrades.values());
+		return symbol ? trades.filter(trade => trade.symbol === symbol) : trades;
+	}
+
+	getEquity(symbol = null) {
+		const exposure = symbol ? this.getExposure(symbol) : this.account;
+		const openProfit = this.getOpenTrades(symbol).reduce((sum, trade) => sum + trade.profit, 0);
+		return exposure.realized + openProfit;
+	}
+
+	/**
+	 * First limit the order would break, or null.
+	 */
+	findViolation(order, limits, exposure, symbol = null) {
+		const scope = symbol || 'account';
+		// Orders in flight or resting count as if they had filled
+		const openTrades = [...this.getOpenTrades(symbol), ...this.getReservations(symbol)];
+		const volume = Number(order.volume) || 0;
+
+		if (limits.maxOpenPositions > 0 && openTrades.length >= limits.maxOpenPositions) {
+			return { rule: 'maxOpenPositions', reason: `${scope} already has ${openTrades.length} open positions or orders (limit ${limits.maxOpenPositions})` };
+		}
+
+		const openLots = openTrades.reduce((sum, trade) => sum + trade.volume, 0);
+		if (limits.maxTotalLots > 0 && openLots + volume > limits.maxTotalLots + 1e-9) {
+			return { rule: 'maxTotalLots', reason: `${scope} would hold ${Number((openLots + volume).toFixed(8))} lots (limit ${limits.maxTotalLots})` };
+		}
+
+		if (limits.maxDailyLoss > 0 && -exposure.dailyRealized >= limits.maxDailyLoss) {
+			return { rule: 'maxDailyLoss', reason: `${scope} lost ${(-exposure.dailyRealized).toFixed(2)} today (limit ${limits.maxDailyLoss})` };
+		}
+
+		const drawdown = exposure.peakEquity - this.getEquity(symbol);
+		if (limits.maxDrawdown > 0 && drawdown >= limits.maxDrawdown) {
+			return { rule: 'maxDrawdown', reason: `${scope} is ${drawdown.toFixed(2)} below its equity peak (limit ${limits.maxDrawdown})` };
+		}
+
+		const sinceLastEntry = exposure.lastEntryAt === null ? Infinity : this.clock.now() - exposure.lastEntryAt;
+		if (limits.minEntryIntervalMs > 0 && sinceLastEntry < limits.minEntryIntervalMs) {
+			return { rule: 'minEntryIntervalMs', reason: `${scope} entered ${sinceLastEntry}ms ago (minimum ${limits.minEntryIntervalMs}ms)` };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check an order payload against the symbol and account limits. An approved order is
+	 * reserved under `clientOrderId`; rejections are recorded and emitted as 'order_rejected'.
+	 * @param {Object} order - { symbol, type, volume, price, ... }
+	 * @param {string} clientOrderId - Id the order will be sent with
+	 * @returns {{ approved: boolean, rule?: string, reason?: string }}
+	 */
+	evaluate(order, clientOrderId) {
+		if (!this.enabled && !this.halt) {
+			this.reserve(order, clientOrderId);
+			return { approved: true };
+		}
+
+		this.rollDay();
+		const symbol = order.symbol.toUpperCase();
+		const violation = this.halt
+			? { rule: 'halted', reason: `trading is halted: ${this.halt.reason}` }
+			: this.findViolation(order, this.getSymbolLimits(symbol), this.getExposure(symbol), symbol)
+				|| this.findViolation(order, this.limits, this.account);
+
+		if (!violation) {
+			this.reserve(order, clientOrderId);
+			return { approved: true };
+		}
+
+		const rejection = {
+			timestamp: new Date(this.clock.now()).toISOString(),
+			symbol,
+			type: order.type,
+			volume: order.volume,
+			price: order.price,
+			rule: violation.rule,
+			reason: violation.reason
+		};
+		this.rejections.unshift(rejection);
+		if (this.rejections.length > this.maxRejections) {
+			this.rejections.length = this.maxRejections;
+		}
+
+		logger.warn(`🛡️  Order rejected for ${symbol}: ${violation.reason}`);
+		this.emit('order_rejected', rejection);
+		return { approved: false, ...violation };
+	}
+
+	getRejections(symbol = null) {
+		const symbolKey = symbol ? symbol.toUpperCase() : null;
+		return symbolKey ? this.rejections.filter(rejection => rejection.symbol === symbolKey) : [...this.rejections];
+	}
+
+	describeExposure(exposure, symbol = null) {
+		const openTrades = this.getOpenTrades(symbol);
+		const reservations = this.getReservations(symbol);
+		const equity = this.getEquity(symbol);
+		return {
+			openPositions: openTrades.length,
+			openLots: Number(openTrades.reduce((sum, trade) => sum + trade.volume, 0).toFixed(8)),
+			reservedOrders: reservations.length,
+			reservedLots: Number(reservations.reduce((sum, reservation) => sum + reservation.volume, 0).toFixed(8)),
+			openProfit: openTrades.reduce((sum, trade) => sum + trade.profit, 0),
+			realized: exposure.realized,
+			dailyRealized: exposure.dailyRealized,
+			equity,
+			peakEquity: exposure.peakEquity,
+			drawdown: exposure.peakEquity - equity,
+			lastEntryAt: exposure.lastEntryAt === null ? null : new Date(exposure.lastEntryAt).toISOString()
+		};
+	}
+
+	getSymbolState(symbol) {
+		this.rollDay();
+		const symbolKey = symbol.toUpperCase();
+		return {
+			symbol: symbolKey,
+			limits: this.getSymbolLimits(symbolKey),
+			...this.describeExposure(this.getExposure(symbolKey), symbolKey),
+			rejections: this.getRejections(symbolKey)
+		};
+	}
+
+	getState() {
+		this.rollDay();
+		const symbols = new Set([...this.symbols.keys(), ...this.symbolLimits.keys()]);
+		return {
+			enabled: this.enabled,
+			halted: this.halt,
+			day: this.currentDay,
+			limits: this.limits,
+			account: this.describeExposure(this.account),
+			symbols: Array.from(symbols).sort().reduce((state, symbol) => {
+				const { rejections, ...symbolState } = this.getSymbolState(symbol);
+				state[symbol] = symbolState;
+				return state;
+			}, {}),
+			rejections: this.getRejections()
+		};
+	}
+}
+
+module.exports = { RiskManager };
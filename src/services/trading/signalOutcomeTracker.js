@@ -0,0 +1,268 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const { createObjectCsvWriter } = require('csv-writer');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+const { StopLevelResolver } = require('./stopLevels');
+
+/**
+ * Follows every buy/sell signal forward on the 1s candles, whether or not it was traded,
+ * with a virtual stop and target resolved like an order's (CONFIG.signalOutcomes).
+ * Tracking ends at the first bar that reaches the stop (stop_loss), the target
+ * (take_profit) or after `horizonBars` bars (expired; a win when the close is past the
+ * entry). A bar reaching both counts as the stop. The maximum favourable and adverse
+ * excursions (MFE/MAE, in price) are measured from the signal's close.
+ *
+ * The outcome is set on the signal object as `outcome` and written to `outputFile`,
+ * keyed by signalId. The newest `maxOutcomes` outcomes are kept for getOutcomes(); the
+ * summary counts every outcome since the tracker started.
+ */
+class SignalOutcomeTracker extends EventEmitter {
+	constructor({
+		symbol,
+		outputFile = null,
+		symbolMetadata = null,
+		analyzer = null,
+		horizonBars = CONFIG.signalOutcomes.horizonBars,
+		stopLossMode = CONFIG.signalOutcomes.stopLossMode,
+		stopLoss = CONFIG.signalOutcomes.stopLoss,
+		takeProfitMode = CONFIG.signalOutcomes.takeProfitMode,
+		takeProfit = CONFIG.signalOutcomes.takeProfit,
+		maxOutcomes = 1000
+	}) {
+		super();
+		this.symbol = symbol;
+		this.outputFile = outputFile;
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+		this.stopLevels = new StopLevelResolver({ symbolMetadata: this.symbolMetadata, analyzer });
+		this.horizonBars = horizonBars;
+		this.levelSettings = { stopLossMode, stopLoss, takeProfitMode, takeProfit };
+		this.maxOutcomes = maxOutcomes;
+		// signalId -> tracking state of signals still running
+		this.active = new Map();
+		// Resolved outcomes, newest first
+		this.outcomes = [];
+		// Running totals of every resolved outcome: overall and per group
+		this.totals = { overall: createTotals(), byCommonPointType: {}, byConfirmationCount: {} };
+		// CSV writes run one after another so rows keep their order
+		this.writes = Promise.resolve();
+
+		if (outputFile) {
+			this.setupCSVWriter();
+		}
+	}
+
+	setupCSVWriter() {
+		this.csvWriter = createObjectCsvWriter({
+			path: this.outputFile,
+			header: [
+				{ id: 'signalId', title: 'SIGNAL_ID' },
+				{ id: 'candleTimestamp', title: 'CANDLE_TIMESTAMP' },
+				{ id: 'side', title: 'SIDE' },
+				{ id: 'commonPointType', title: 'COMMON_POINT_TYPE' },
+				{ id: 'commonPointPrice', title: 'COMMON_POINT_PRICE' },
+				{ id: 'confirmationCount', title: 'CONFIRMATION_COUNT' },
+				{ id: 'entryPrice', title: 'ENTRY_PRICE' },
+				{ id: 'stopLoss', title: 'STOP_LOSS' },
+				{ id: 'takeProfit', title: 'TAKE_PROFIT' },
+				{ id: 'outcome', title: 'OUTCOME' },
+				{ id: 'result', title: 'RESULT' },
+				{ id: 'exitPrice', title: 'EXIT_PRICE' },
+				{ id: 'mfe', title: 'MFE' },
+				{ id: 'mae', title: 'MAE' },
+				{ id: 'bars', title: 'BARS' },
+				{ id: 'timeToOutcomeMs', title: 'TIME_TO_OUTCOME_MS' },
+				{ id: 'resolvedAt', title: 'RESOLVED_AT' }
+			],
+			append: fs.existsSync(this.outputFile)
+		});
+	}
+
+	track(signal) {
+		const side = signal.buySignal ? 'buy' : (signal.sellSignal ? 'sell' : null);
+		if (!side || !signal.signalId || this.active.has(signal.signalId)) {
+			return;
+		}
+
+		const entryPrice = signal.currentPrice;
+		const levels = this.stopLevels.resolve({
+			symbol: this.symbol,
+			side,
+			entryPrice,
+			levelPrice: signal.commonPointPrice,
+			settings: this.levelSettings
+		});
+		if (levels.error) {
+			logger.debug(`Signal ${signal.signalId} tracked without virtual stop/target: ${levels.error}`);
+		}
+
+		this.active.set(signal.signalId, {
+			signal,
+			side,
+			direction: side === 'buy' ? 1 : -1,
+			entryPrice,
+			stopLoss: levels.error ? 0 : levels.stopLoss,
+			takeProfit: levels.error ? 0 : levels.takeProfit,
+			startedAt: new Date(signal.candleTimestamp).getTime(),
+			bars: 0,
+			mfe: 0,
+			mae: 0
+		});
+	}
+
+	/**
+	 * Advance every running signal by one closed 1s candle.
+	 */
+	onCandle(candle) {
+		const time = new Date(candle.timestamp).getTime();
+
+		for (const tracking of Array.from(this.active.values())) {
+			// The signal's own candle is where tracking starts
+			if (time <= tracking.startedAt) continue;
+
+			const { direction, entryPrice, stopLoss, takeProfit } = tracking;
+			const favourable = direction === 1 ? candle.high - entryPrice : entryPrice - candle.low;
+			const adverse = direction === 1 ? entryPrice - candle.low : candle.high - entryPrice;
+			tracking.bars++;
+			tracking.mfe = Math.max(tracking.mfe, favourable);
+			tracking.mae = Math.max(tracking.mae, adverse);
+
+			const hitStop = stopLoss > 0 && (direction === 1 ? candle.low <= stopLoss : candle.high >= stopLoss);
+			const hitTarget = takeProfit > 0 && (direction === 1 ? candle.high >= takeProfit : candle.low <= takeProfit);
+
+			if (hitStop) {
+				this.resolve(tracking, 'stop_loss', stopLoss, time);
+			} else if (hitTarget) {
+				this.resolve(tracking, 'take_profit', takeProfit, time);
+			} else if (tracking.bars >= this.horizonBars) {
+				this.resolve(tracking, 'expired', candle.close, time);
+			}
+		}
+	}
+
+	resolve(tracking, outcome, exitPrice, time) {
+		const { signal, direction, entryPrice } = tracking;
+		this.active.delete(signal.signalId);
+
+		const result = {
+			signalId: signal.signalId,
+			candleTimestamp: signal.candleTimestamp,
+			side: tracking.side,
+			commonPointType: signal.commonPointType,
+			commonPointPrice: signal.commonPointPrice,
+			confirmationCount: signal.strength,
+			entryPrice,
+			stopLoss: tracking.stopLoss,
+			takeProfit: tracking.takeProfit,
+			outcome,
+			result: (exitPrice - entryPrice) * direction > 0 ? 'win' : 'loss',
+			exitPrice,
+			mfe: tracking.mfe,
+			mae: tracking.mae,
+			bars: tracking.bars,
+			timeToOutcomeMs: time - tracking.startedAt,
+			resolvedAt: new Date(time).toISOString()
+		};
+
+		signal.outcome = result;
+		this.outcomes.unshift(result);
+		if (this.outcomes.length > this.maxOutcomes) {
+			this.outcomes.length = this.maxOutcomes;
+		}
+		this.addToTotals(result);
+
+		logger.info(`🎯 Signal ${signal.signalId} ${signal.commonPointType} ${tracking.side}: ${outcome} (${result.result}) after ${tracking.bars} bars, MFE ${tracking.mfe.toFixed(5)} / MAE ${tracking.mae.toFixed(5)}`);
+		this.emit('signal_outcome', result);
+		this.save(result);
+	}
+
+	save(result) {
+		if (!this.csvWriter) return;
+
+		const formatPrice = price => (price > 0 ? this.symbolMetadata.formatPrice(this.symbol, price) : 0);
+		const record = {
+			...result,
+			commonPointPrice: formatPrice(result.commonPointPrice),
+			entryPrice: formatPrice(result.entryPrice),
+			stopLoss: formatPrice(result.stopLoss),
+			takeProfit: formatPrice(result.takeProfit),
+			exitPrice: formatPrice(result.exitPrice),
+			mfe: this.symbolMetadata.formatPrice(this.symbol, result.mfe),
+			mae: this.symbolMetadata.formatPrice(this.symbol, result.mae)
+		};
+
+		this.writes = this.writes
+			.then(() => this.csvWriter.writeRecords([record]))
+			.catch((error) => {
+				logger.error('Error saving signal outcome to CSV:', error);
+			});
+	}
+
+	async whenIdle() {
+		await this.writes;
+	}
+
+	getOutcomes(limit = this.outcomes.length) {
+		return this.outcomes.slice(0, limit);
+	}
+
+	addToTotals(result) {
+		const groupTotals = (groups, key) => {
+			groups[key] = groups[key] || createTotals();
+			return groups[key];
+		};
+		[
+			this.totals.overall,
+			groupTotals(this.totals.byCommonPointType, `${result.commonPointType}`),
+			groupTotals(this.totals.byConfirmationCount, `${result.confirmationCount}`)
+		].forEach((totals) => {
+			totals.count++;
+			if (result.result === 'win') totals.wins++;
+			totals[result.outcome]++;
+			totals.mfe += result.mfe;
+			totals.mae += result.mae;
+			totals.bars += result.bars;
+		});
+	}
+
+	/**
+	 * Win rate, average MFE/MAE and bars to outcome, overall and per commonPointType and
+	 * confirmation count, over every outcome resolved since the tracker started.
+	 */
+	getSummary() {
+		const summarize = (totals) => {
+			const { count, wins } = totals;
+			const average = key => (count > 0 ? totals[key] / count : 0);
+			return {
+				count,
+				wins,
+				losses: count - wins,
+				winRate: count > 0 ? wins / count : 0,
+				takeProfit: totals.take_profit,
+				stopLoss: totals.stop_loss,
+				expired: totals.expired,
+				averageMfe: average('mfe'),
+				averageMae: average('mae'),
+				averageBars: average('bars')
+			};
+		};
+		const summarizeGroups = groups => Object.keys(groups).sort().reduce((result, key) => {
+			result[key] = summarize(groups[key]);
+			return result;
+		}, {});
+
+		return {
+			running: this.active.size,
+			overall: summarize(this.totals.overall),
+			byCommonPointType: summarizeGroups(this.totals.byCommonPointType),
+			byConfirmationCount: summarizeGroups(this.totals.byConfirmationCount)
+		};
+	}
+}
+
+function createTotals() {
+	return { count: 0, wins: 0, take_profit: 0, stop_loss: 0, expired: 0, mfe: 0, mae: 0, bars: 0 };
+}
+
+module.exports = { SignalOutcomeTracker };
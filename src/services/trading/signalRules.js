@@ -0,0 +1,264 @@
+const { CONFIG } = require('../../config/config');
+const { INTERACTIONS, levelEdges, classifyInteraction } = require('../analysis/levelInteractionClassifier');
+const { INDICATORS } = require('../analysis/indicators');
+
+const RULE_TYPES = ['revisit', 'reject', 'breakout', 'retest', ...INTERACTIONS];
+const DIRECTIONS = ['fade', 'break'];
+const LEVEL_TYPES = ['SWING_HIGH', 'SWING_LOW'];
+// 1s candles plus the MultiTimeframeCandleService timeframes
+const TIMEFRAMES = ['1s', '15s', '1m', '3m', '5m'];
+const BOLLINGER_FIELDS = ['middle', 'upper', 'lower', 'width'];
+
+// Revisits, rejections and sweeps trade the level holding, breakouts and retests it giving way
+const DEFAULT_DIRECTIONS = {
+	revisit: 'fade',
+	reject: 'fade',
+	breakout: 'break',
+	retest: 'break',
+	break: 'break',
+	sweep: 'fade',
+	rejection: 'fade'
+};
+
+/**
+ * Build a rule from its definition, or explain why it is invalid.
+ * Distances are fractions of the level price, like signalRevisitTolerance:
+ *
+ *   tolerance       - how close counts as touching the level (default signalRevisitTolerance,
+ *                     read at evaluation time)
+ *   rejectDistance  - reject: how far the close must end up from the level, away from it
+ *   breakDistance   - breakout/retest: how far beyond the level the close must be
+ *   maxRetestBars   - retest: 1s bars after the break within which price must leave the
+ *                     level (beyond tolerance) and come back to it
+ *   minWickRatio    - rejection: shortest wick towards the level, as a fraction of the range
+ *   maxBodyRatio    - rejection: largest body, as a fraction of the range
+ *   timeframes      - candles the rule is evaluated on as they close (default ['1s'])
+ *   conditions      - indicator values that must hold when the rule fires, each
+ *                     { indicator, timeframe = '1s', period?, field?, above?, below? };
+ *                     above/below take a number or "price" (the current 1s close), and
+ *                     field picks a Bollinger band (middle, upper, lower, width)
+ *
+ * break, sweep and rejection classify each candle on its own (levelInteractionClassifier);
+ * the other types compare 1s closes.
+ *
+ * @returns {{ rule?: Object, error?: string }}
+ */
+function buildRule(name, definition) {
+	const type = definition.type;
+	if (!RULE_TYPES.includes(type)) {
+		return { error: `Rule "${name}": type must be one of ${RULE_TYPES.join(', ')}` };
+	}
+
+	const direction = definition.direction || DEFAULT_DIRECTIONS[type];
+	if (!DIRECTIONS.includes(direction)) {
+		return { error: `Rule "${name}": direction must be one of ${DIRECTIONS.join(', ')}` };
+	}
+
+	const levelTypes = definition.levelTypes || LEVEL_TYPES;
+	if (!Array.isArray(levelTypes) || levelTypes.some(levelType => !LEVEL_TYPES.includes(levelType))) {
+		return { error: `Rule "${name}": levelTypes must be a list of ${LEVEL_TYPES.join(', ')}` };
+	}
+
+	const timeframes = definition.timeframes || ['1s'];
+	if (!Array.isArray(timeframes) || timeframes.length === 0 || timeframes.some(timeframe => !TIMEFRAMES.includes(timeframe))) {
+		return { error: `Rule "${name}": timeframes must be a list of ${TIMEFRAMES.join(', ')}` };
+	}
+
+	for (const key of ['tolerance', 'rejectDistance', 'breakDistance', 'maxRetestBars']) {
+		const value = definition[key];
+		if (value !== undefined && !(Number.isFinite(value) && value >= 0)) {
+			return { error: `Rule "${name}": ${key} must be a number >= 0` };
+		}
+	}
+	for (const key of ['minWickRatio', 'maxBodyRatio']) {
+		const value = definition[key];
+		if (value !== undefined && !(Number.isFinite(value) && value >= 0 && value <= 1)) {
+			return { error: `Rule "${name}": ${key} must be a number between 0 and 1` };
+		}
+	}
+
+	const conditions = definition.conditions || [];
+	if (!Array.isArray(conditions)) {
+		return { error: `Rule "${name}": conditions must be a list` };
+	}
+	for (const condition of conditions) {
+		const error = validateCondition(condition);
+		if (error) {
+			return { error: `Rule "${name}": ${error}` };
+		}
+	}
+
+	return {
+		rule: {
+			name,
+			type,
+			direction,
+			levelTypes,
+			timeframes,
+			tolerance: definition.tolerance ?? null,
+			rejectDistance: definition.rejectDistance ?? 0,
+			breakDistance: definition.breakDistance ?? 0,
+			maxRetestBars: definition.maxRetestBars ?? 600,
+			minWickRatio: definition.minWickRatio ?? 0.5,
+			maxBodyRatio: definition.maxBodyRatio ?? 0.3,
+			conditions: conditions.map(condition => ({ timeframe: '1s', ...condition })),
+			enabled: definition.enabled !== false
+		}
+	};
+}
+
+function validateCondition(condition) {
+	if (!condition || !INDICATORS.includes(condition.indicator)) {
+		return `condition indicator must be one of ${INDICATORS.join(', ')}`;
+	}
+	if (condition.timeframe !== undefined && !TIMEFRAMES.includes(condition.timeframe)) {
+		return `condition timeframe must be one of ${TIMEFRAMES.join(', ')}`;
+	}
+	if (condition.period !== undefined && !(Number.isInteger(condition.period) && condition.period > 0)) {
+		return 'condition period must be a positive integer';
+	}
+	if ((condition.indicator === 'bollinger') !== (condition.field !== undefined)
+		|| (condition.field !== undefined && !BOLLINGER_FIELDS.includes(condition.field))) {
+		return `bollinger conditions need a field (${BOLLINGER_FIELDS.join(', ')}), other indicators none`;
+	}
+	const bounds = ['above', 'below'].filter(key => condition[key] !== undefined);
+	if (bounds.length === 0 || bounds.some(key => condition[key] !== 'price' && !Number.isFinite(condition[key]))) {
+		return 'conditions need above and/or below, each a number or "price"';
+	}
+	return null;
+}
+
+/**
+ * Whether every indicator condition of a rule holds. An indicator without a value yet
+ * (or without an IndicatorService) fails its condition.
+ * @param {Object} rule
+ * @param {Object|null} indicators - IndicatorService
+ * @param {number} price - Current 1s close, for "price" bounds
+ */
+function conditionsMet(rule, indicators, price) {
+	return rule.conditions.every((condition) => {
+		const result = indicators ? indicators.getValue(condition.timeframe, condition.indicator, condition.period ?? null) : null;
+		const value = condition.field && result ? result[condition.field] : result;
+		if (!Number.isFinite(value)) return false;
+
+		const bound = key => (condition[key] === 'price' ? price : condition[key]);
+		return (condition.above === undefined || value > bound('above'))
+			&& (condition.below === undefined || value < bound('below'));
+	});
+}
+
+const DEFAULT_RULE = buildRule('revisit', { type: 'revisit' }).rule;
+
+/**
+ * Buy/sell side of a triggered rule: fading a swing low (support) buys, trading its break
+ * sells; the other way round for a swing high.
+ */
+function ruleSide(rule, levelType) {
+	const fadeBuys = levelType === 'SWING_LOW';
+	return (rule.direction === 'fade') === fadeBuys ? 'buy' : 'sell';
+}
+
+/**
+ * Evaluate one rule against one level on a closed candle of one of its timeframes.
+ * @param {Object} rule
+ * @param {Object} params
+ * @param {Object} params.level - Common point or zone ({ type, price, lower?, upper? })
+ * @param {Object} params.candle - The closed candle
+ * @param {Object|null} params.previousCandle - The candle before it on the same timeframe
+ * @param {Object} params.state - Mutable per rule, level and timeframe state (retest)
+ * @returns {Object|null} Match details when the rule fires ({ interaction } for the
+ *   candle classifications), null otherwise
+ */
+function evaluateRule(rule, { level, candle, previousCandle, state }) {
+	if (INTERACTIONS.includes(rule.type)) {
+		const interaction = classifyInteraction(candle, level, {
+			tolerance: rule.tolerance ?? CONFIG.signalRevisitTolerance,
+			breakDistance: rule.breakDistance,
+			minWickRatio: rule.minWickRatio,
+			maxBodyRatio: rule.maxBodyRatio
+		});
+		return interaction && interaction.type === rule.type ? { interaction } : null;
+	}
+
+	return matchesPriceRule(rule, { level, candle, previousCandle, state }) ? {} : null;
+}
+
+// Touches are measured from a zone's near edge, breaks from its far edge
+function matchesPriceRule(rule, { level, candle, previousCandle, state }) {
+	const { near, far } = levelEdges(level);
+	// Outward is away from the level on the side it was formed: up from a low, down from a high
+	const outward = level.type === 'SWING_LOW' ? 1 : -1;
+	const tolerance = rule.tolerance ?? CONFIG.signalRevisitTolerance;
+	const fromNear = value => ((value - near) / near) * outward;
+	const offset = value => ((value - far) / far) * outward;
+
+	switch (rule.type) {
+		case 'revisit': {
+			// Inside a zone, or within tolerance of its closer bound
+			const lower = Math.min(near, far);
+			const upper = Math.max(near, far);
+			if (candle.close >= lower && candle.close <= upper) return true;
+			const edge = candle.close < lower ? lower : upper;
+			return Math.abs(candle.close - edge) / edge <= tolerance;
+		}
+
+		case 'reject': {
+			// Wick into the level, close back out beyond rejectDistance
+			const extreme = outward === 1 ? candle.low : candle.high;
+			return fromNear(extreme) <= tolerance && fromNear(candle.close) >= rule.rejectDistance;
+		}
+
+		case 'breakout':
+			return crossedThrough(rule, previousCandle, candle, offset);
+
+		case 'retest': {
+			const time = new Date(candle.timestamp).getTime();
+			if (state.brokenAt === undefined) {
+				if (crossedThrough(rule, previousCandle, candle, offset)) {
+					state.brokenAt = time;
+				}
+				return false;
+			}
+
+			const windowMs = rule.maxRetestBars * CONFIG.live.candleInterval;
+			// Expired, or the close went back to the level's original side: wait for a new break
+			if (time - state.brokenAt > windowMs || offset(candle.close) >= rule.breakDistance) {
+				delete state.brokenAt;
+				delete state.departed;
+				return false;
+			}
+
+			// Back at the level from the broken side after leaving it, closing on that side
+			const extreme = outward === 1 ? candle.high : candle.low;
+			if (state.departed && offset(extreme) >= -tolerance && offset(candle.close) < 0) {
+				return true;
+			}
+			if (offset(candle.close) < -tolerance) {
+				state.departed = true;
+			}
+			return false;
+		}
+
+		default:
+			return false;
+	}
+}
+
+// The close moved from the level's side to beyond it by breakDistance on this candle
+function crossedThrough(rule, previousCandle, candle, offset) {
+	if (!previousCandle) {
+		return false;
+	}
+	return offset(previousCandle.close) > -rule.breakDistance && offset(candle.close) <= -rule.breakDistance;
+}
+
+module.exports = {
+	RULE_TYPES,
+	DIRECTIONS,
+	TIMEFRAMES,
+	DEFAULT_RULE,
+	buildRule,
+	ruleSide,
+	evaluateRule,
+	conditionsMet
+};
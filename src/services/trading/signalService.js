@@ -2,46 +2,115 @@ const fs = require('fs');
 const { createObjectCsvWriter } = require('csv-writer');
 const { CONFIG } = require('../../config/config');
 const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+const { stableId } = require('../../utils/ids');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+const { DEFAULT_RULE, evaluateRule, ruleSide, conditionsMet } = require('./signalRules');
 
 class SignalService {
-	constructor(outputFile = './live_signals.csv') {
+	constructor(outputFile = './live_signals.csv', options = {}) {
 		this.signals = [];
+		// `${rule}|${levelKey}` -> signal fired by that rule on that level
 		this.processedLevels = new Map();
+		// `${rule}|${levelKey}` -> evaluation state of rules spanning several candles
+		this.ruleStates = new Map();
+		this.ruleRepository = options.ruleRepository || null;
+		this.processedLevelRepository = options.processedLevelRepository || null;
+		// Indicator values read by rule conditions
+		this.indicatorService = options.indicatorService || null;
 		this.outputFile = outputFile;
+		this.clock = options.clock || systemClock;
+		this.symbol = options.symbol || null;
+		this.symbolMetadata = options.symbolMetadata || new SymbolMetadataRepository();
 		this.setupCSVWriter();
-		this.lastSaveTime = Date.now();
+		this.lastSaveTime = this.clock.now();
 	}
 
 	setupCSVWriter() {
+		const header = [
+			// Joins signal_outcomes.csv (SIGNAL_ID) and the orders placed for the signal
+			{ id: 'signalId', title: 'SIGNAL_ID' },
+			{ id: 'timestamp', title: 'TIMESTAMP' },
+			{ id: 'candleTimestamp', title: 'CANDLE_TIMESTAMP' },
+			{ id: 'signalType', title: 'SIGNAL_TYPE' },
+			{ id: 'rule', title: 'RULE' },
+			{ id: 'timeframe', title: 'TIMEFRAME' },
+			{ id: 'interaction', title: 'INTERACTION' },
+			{ id: 'commonPointType', title: 'COMMON_POINT_TYPE' },
+			{ id: 'commonPointPrice', title: 'COMMON_POINT_PRICE' },
+			{ id: 'currentPrice', title: 'CURRENT_PRICE' },
+			{ id: 'strength', title: 'STRENGTH' },
+			{ id: 'qualityScore', title: 'QUALITY_SCORE' },
+			{ id: 'timeframes', title: 'TIMEFRAMES' },
+			{ id: 'volume', title: 'VOLUME' },
+			{ id: 'barRange', title: 'BAR_RANGE' },
+			{ id: 'signalStrength', title: 'SIGNAL_STRENGTH' },
+			{ id: 'confidence', title: 'CONFIDENCE' },
+			{ id: 'buySignal', title: 'BUY_SIGNAL' },
+			{ id: 'sellSignal', title: 'SELL_SIGNAL' }
+		];
+		this.rotateOutdatedCSV(header.map(column => column.title).join(','));
+
 		this.csvWriter = createObjectCsvWriter({
 			path: this.outputFile,
-			header: [
-				{ id: 'timestamp', title: 'TIMESTAMP' },
-				{ id: 'candleTimestamp', title: 'CANDLE_TIMESTAMP' },
-				{ id: 'signalType', title: 'SIGNAL_TYPE' },
-				{ id: 'commonPointType', title: 'COMMON_POINT_TYPE' },
-				{ id: 'commonPointPrice', title: 'COMMON_POINT_PRICE' },
-				{ id: 'currentPrice', title: 'CURRENT_PRICE' },
-				{ id: 'strength', title: 'STRENGTH' },
-				{ id: 'qualityScore', title: 'QUALITY_SCORE' },
-				{ id: 'timeframes', title: 'TIMEFRAMES' },
-				{ id: 'volume', title: 'VOLUME' },
-				{ id: 'barRange', title: 'BAR_RANGE' },
-				{ id: 'signalStrength', title: 'SIGNAL_STRENGTH' },
-				{ id: 'confidence', title: 'CONFIDENCE' },
-				{ id: 'buySignal', title: 'BUY_SIGNAL' },
-				{ id: 'sellSignal', title: 'SELL_SIGNAL' }
-			],
+			header,
 			append: fs.existsSync(this.outputFile)
 		});
 	}
 
-	async checkForSignals(currentCandle, commonPoints) {
+	/**
+	 * Move a signal file written with other columns aside, so new rows are not appended
+	 * under a header they do not match.
+	 */
+	rotateOutdatedCSV(headerLine) {
+		if (!fs.existsSync(this.outputFile)) return;
+
+		const buffer = Buffer.alloc(headerLine.length + 2);
+		const fd = fs.openSync(this.outputFile, 'r');
+		const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+		fs.closeSync(fd);
+		const firstLine = buffer.toString('utf8', 0, bytesRead).split(/\r?\n/, 1)[0];
+		if (firstLine === headerLine) return;
+
+		const rotated = `${this.outputFile}.${this.clock.now()}.old`;
+		fs.renameSync(this.outputFile, rotated);
+		logger.warn(`⚠️  ${this.outputFile} has outdated columns, moved it to ${rotated}`);
+	}
+
+	/**
+	 * Rules applied to this symbol: from the rule repository when there is one, otherwise
+	 * the plain revisit rule.
+	 */
+	getRules() {
+		return this.ruleRepository ? this.ruleRepository.getRules(this.symbol) : [DEFAULT_RULE];
+	}
+
+	/**
+	 * How far from the price, as a fraction, a level can be and still trigger a rule on
+	 * this candle, for narrowing the levels to check.
+	 */
+	getLevelSearchTolerance() {
+		return this.getRules().reduce((widest, rule) => {
+			const tolerance = rule.tolerance ?? CONFIG.signalRevisitTolerance;
+			return Math.max(widest, tolerance + rule.rejectDistance, rule.breakDistance + tolerance);
+		}, 0);
+	}
+
+	/**
+	 * @param {Object} currentCandle - The 1s candle that just closed
+	 * @param {Object[]} commonPoints - Levels near the price
+	 * @param {Object|null} previousCandle - The 1s candle before it
+	 * @param {Array<{ timeframe, candle, previousCandle }>} timeframeCandles - Higher
+	 *   timeframe candles that closed with it, for rules evaluated on those timeframes
+	 */
+	async checkForSignals(currentCandle, commonPoints, previousCandle = null, timeframeCandles = []) {
 		const newSignals = [];
 		const currentPrice = currentCandle.close;
 		const currentTime = new Date(currentCandle.timestamp);
+		const rules = this.getRules();
+		const candles = [{ timeframe: '1s', candle: currentCandle, previousCandle }, ...timeframeCandles];
 
-		logger.info(`🔍 SignalService.checkForSignals: Checking ${commonPoints.length} levels against price ${currentPrice.toFixed(2)}, tolerance: ${CONFIG.signalRevisitTolerance}`);
+		logger.info(`🔍 SignalService.checkForSignals: Checking ${commonPoints.length} levels against price ${currentPrice.toFixed(2)} with rules ${rules.map(rule => rule.name).join(', ')}`);
 
 		for (const commonPoint of commonPoints) {
 			const commonPointTime = new Date(commonPoint.originalTimestamp || commonPoint.timestamp);
@@ -52,35 +121,51 @@ class SignalService {
 				continue;
 			}
 
-			const levelKey = this.getLevelKey(commonPoint);
-			if (this.processedLevels.has(levelKey)) {
-				logger.info(`  ⏭️  Skipping ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: already processed`);
+			if ((commonPoint.confirmationCount || 0) < CONFIG.minSignalStrength) {
+				logger.info(`  ⏭️  Skipping ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: ${commonPoint.confirmationCount} confirmations, minimum ${CONFIG.minSignalStrength}`);
 				continue;
 			}
 
+			const levelKey = this.getLevelKey(commonPoint);
 			const priceDiff = Math.abs(currentPrice - commonPoint.price) / commonPoint.price;
 
-			logger.info(`  📊 Checking ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: priceDiff=${(priceDiff * 100).toFixed(3)}%, tolerance=${(CONFIG.signalRevisitTolerance * 100).toFixed(3)}%`);
+			for (const rule of rules) {
+				if (!rule.levelTypes.includes(commonPoint.type)) continue;
 
-			if (priceDiff <= CONFIG.signalRevisitTolerance) {
-				const signal = this.createSignal(commonPoint, currentCandle, 'REVISIT');
+				// Each rule fires once per level
+				const ruleKey = `${rule.name}|${levelKey}`;
+				if (this.processedLevels.has(ruleKey)) {
+					logger.info(`  ⏭️  Skipping ${rule.name} on ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: already processed`);
+					continue;
+				}
+
+				const trigger = this.evaluateRuleOnCandles(rule, commonPoint, commonPointTime, ruleKey, candles);
+				logger.info(`  📊 ${rule.name} on ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: priceDiff=${(priceDiff * 100).toFixed(3)}%, ${trigger ? `triggered on ${trigger.timeframe}` : 'not triggered'}`);
+				if (!trigger) continue;
+				if (!conditionsMet(rule, this.indicatorService, currentPrice)) {
+					logger.info(`  ⏭️  ${rule.name} on ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: indicator conditions not met`);
+					continue;
+				}
+
+				const signal = this.createSignal(commonPoint, currentCandle, rule, trigger);
 				newSignals.push(signal);
 
-				this.processedLevels.set(levelKey, {
+				this.processedLevels.set(ruleKey, {
 					timestamp: signal.timestamp,
+					candleTimestamp: new Date(currentCandle.timestamp).toISOString(),
 					price: commonPoint.price,
 					type: commonPoint.type,
-					signalType: signal.signalType
+					signalType: signal.signalType,
+					rule: rule.name
 				});
 
-				logger.info(`🎯 LIVE SIGNAL DETECTED: ${signal.signalType} | ${commonPoint.type} @ ${commonPoint.price.toFixed(4)} | Current: ${currentPrice.toFixed(4)} | Diff: ${(priceDiff * 100).toFixed(3)}%`);
-			} else {
-				logger.info(`  ❌ ${commonPoint.type} @ ${commonPoint.price.toFixed(2)}: price diff ${(priceDiff * 100).toFixed(3)}% exceeds tolerance ${(CONFIG.signalRevisitTolerance * 100).toFixed(3)}%`);
+				logger.info(`🎯 LIVE SIGNAL DETECTED: ${signal.signalType} (${rule.name}, ${rule.direction}, ${trigger.timeframe}) | ${commonPoint.type} @ ${commonPoint.price.toFixed(4)} | Current: ${currentPrice.toFixed(4)} | Diff: ${(priceDiff * 100).toFixed(3)}%`);
 			}
 		}
 
 		if (newSignals.length > 0) {
 			this.signals.push(...newSignals);
+			this.persistProcessedLevels();
 			await this.saveSignalsToCSV(newSignals);
 			logger.info(`✅ Generated ${newSignals.length} new signal(s), total signals: ${this.signals.length}`);
 		} else {
@@ -90,20 +175,118 @@ class SignalService {
 		return newSignals;
 	}
 
+	/**
+	 * Evaluate a rule on each of its timeframes that has a closed candle, stopping at the
+	 * first that fires. Candles that began before the level formed are not evaluated: the
+	 * level's own bar would otherwise always touch it.
+	 * @returns {Object|null} { timeframe, candle, ...match details } when the rule fires
+	 */
+	evaluateRuleOnCandles(rule, commonPoint, commonPointTime, ruleKey, candles) {
+		for (const { timeframe, candle, previousCandle } of candles) {
+			if (!rule.timeframes.includes(timeframe) || new Date(candle.timestamp) <= commonPointTime) continue;
+
+			const stateKey = `${ruleKey}|${timeframe}`;
+			const state = this.ruleStates.get(stateKey) || {};
+			const match = evaluateRule(rule, { level: commonPoint, candle, previousCandle, state });
+			if (!match && Object.keys(state).length > 0) {
+				this.ruleStates.set(stateKey, state);
+			} else {
+				this.ruleStates.delete(stateKey);
+			}
+			if (match) {
+				return { timeframe, candle, ...match };
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Re-arm levels that have fired once price has moved CONFIG.signalRearmDistance away
+	 * from them or CONFIG.signalRearmBars 1s bars have passed since (0 disables either).
+	 * Runs on every closed 1s candle, whether or not the level is near the price.
+	 */
+	rearmLevels(candle) {
+		const time = new Date(candle.timestamp).getTime();
+		const distance = CONFIG.signalRearmDistance;
+		const barsMs = CONFIG.signalRearmBars * CONFIG.live.candleInterval;
+		let rearmed = 0;
+
+		this.processedLevels.forEach((processed, ruleKey) => {
+			const movedAway = distance > 0 && Math.abs(candle.close - processed.price) / processed.price >= distance;
+			const firedAt = new Date(processed.candleTimestamp || processed.timestamp).getTime();
+			const waited = barsMs > 0 && time - firedAt >= barsMs;
+			if (movedAway || waited) {
+				this.processedLevels.delete(ruleKey);
+				rearmed++;
+				logger.info(`🔁 Re-armed ${processed.rule || processed.signalType} on ${processed.type} @ ${processed.price}: ${movedAway ? 'price moved away' : 'bars elapsed'}`);
+			}
+		});
+
+		if (rearmed > 0) {
+			this.persistProcessedLevels();
+		}
+		return rearmed;
+	}
+
+	/**
+	 * Add the processed levels saved before a restart. Levels that fired since start-up
+	 * are kept as they are.
+	 */
+	async restoreProcessedLevels() {
+		if (!this.processedLevelRepository) return;
+
+		const saved = await this.processedLevelRepository.load();
+		let restored = 0;
+		Object.entries(saved).forEach(([ruleKey, processed]) => {
+			if (!this.processedLevels.has(ruleKey)) {
+				this.processedLevels.set(ruleKey, processed);
+				restored++;
+			}
+		});
+		if (restored > 0) {
+			logger.info(`♻️  Restored ${restored} processed signal levels for ${this.symbol}`);
+		}
+	}
+
+	persistProcessedLevels() {
+		if (!this.processedLevelRepository) return;
+
+		this.processedLevelRepository.save(Object.fromEntries(this.processedLevels)).catch((error) => {
+			logger.error(`Error saving processed levels for ${this.symbol}:`, error);
+		});
+	}
+
 	getLevelKey(commonPoint) {
-		const priceKey = Math.round(commonPoint.price * 100);
-		return `${commonPoint.type}_${priceKey}`;
+		return this.symbolMetadata.levelKey(this.symbol, commonPoint.type, commonPoint.price);
 	}
 
-	createSignal(commonPoint, currentCandle, signalType) {
-		const { buySignal, sellSignal } = this.determineBuySellSignals(commonPoint, signalType);
+	createSignal(commonPoint, currentCandle, rule = DEFAULT_RULE, trigger = { timeframe: '1s' }) {
+		const signalType = rule.type.toUpperCase();
+		const { buySignal, sellSignal } = this.determineBuySellSignals(commonPoint, rule);
+		// Named variants and higher timeframes get their own ids; plain 1s rules keep the type alone
+		const idParts = [signalType];
+		if (rule.name !== rule.type) idParts.push(rule.name);
+		if (trigger.timeframe !== '1s') idParts.push(trigger.timeframe);
 
 		return {
-			timestamp: new Date().toISOString(),
+			// Same candle and level give the same id, so orders can be traced back and deduplicated
+			signalId: stableId('sig', this.symbol, new Date(currentCandle.timestamp).toISOString(), ...idParts, commonPoint.type, commonPoint.price),
+			timestamp: new Date(this.clock.now()).toISOString(),
 			candleTimestamp: currentCandle.timestamp,
 			signalType: signalType,
+			rule: rule.name,
+			direction: rule.direction,
+			// Candle the rule fired on; the signal itself is priced at the current 1s candle
+			timeframe: trigger.timeframe,
+			interaction: trigger.interaction || null,
 			commonPointType: commonPoint.type,
 			commonPointPrice: commonPoint.price,
+			// Bounds of the zone the rule was checked against; null for a single level
+			zone: commonPoint.memberCount ? {
+				lower: commonPoint.lower,
+				upper: commonPoint.upper,
+				memberCount: commonPoint.memberCount
+			} : null,
 			currentPrice: currentCandle.close,
 			strength: commonPoint.confirmationCount,
 			qualityScore: commonPoint.qualityScore,
@@ -117,23 +300,13 @@ class SignalService {
 		};
 	}
 
-	determineBuySellSignals(commonPoint, signalType) {
-		let buySignal = false;
-		let sellSignal = false;
-
-		switch (signalType) {
-			case 'REVISIT':
-				if (commonPoint.type === 'SWING_LOW') {
-					buySignal = true;
-				} else if (commonPoint.type === 'SWING_HIGH') {
-					sellSignal = true;
-				}
-				break;
-			default:
-				break;
+	determineBuySellSignals(commonPoint, rule) {
+		if (commonPoint.type !== 'SWING_LOW' && commonPoint.type !== 'SWING_HIGH') {
+			return { buySignal: false, sellSignal: false };
 		}
 
-		return { buySignal, sellSignal };
+		const side = ruleSide(rule, commonPoint.type);
+		return { buySignal: side === 'buy', sellSignal: side === 'sell' };
 	}
 
 	calculateSignalStrength(commonPoint, currentCandle) {
@@ -160,18 +333,23 @@ class SignalService {
 
 	async saveSignalsToCSV(signals) {
 		try {
+			const formatPrice = price => this.symbolMetadata.formatPrice(this.symbol, price);
 			const records = signals.map(signal => ({
+				signalId: signal.signalId,
 				timestamp: signal.timestamp,
 				candleTimestamp: signal.candleTimestamp,
 				signalType: signal.signalType,
+				rule: signal.rule,
+				timeframe: signal.timeframe,
+				interaction: signal.interaction || '',
 				commonPointType: signal.commonPointType,
-				commonPointPrice: signal.commonPointPrice.toFixed(6),
-				currentPrice: signal.currentPrice.toFixed(6),
+				commonPointPrice: formatPrice(signal.commonPointPrice),
+				currentPrice: formatPrice(signal.currentPrice),
 				strength: signal.strength,
 				qualityScore: signal.qualityScore.toFixed(2),
 				timeframes: signal.timeframes,
 				volume: signal.volume.toFixed(2),
-				barRange: signal.barRange.toFixed(6),
+				barRange: formatPrice(signal.barRange),
 				signalStrength: signal.signalStrength.toFixed(2),
 				confidence: signal.confidence.toFixed(2),
 				buySignal: signal.buySignal,
@@ -0,0 +1,114 @@
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+
+const STOP_MODES = ['price', 'points', 'atr', 'level'];
+const ATR_TIMEFRAMES = ['1s', '15s', '1m', '3m', '5m'];
+
+/**
+ * Resolves the stopLoss/takeProfit settings into prices when an order is built.
+ * The setting value means, per mode:
+ *
+ *   price   - absolute price (0 = none)
+ *   points  - distance from the entry in points (tick sizes)
+ *   atr     - distance from the entry as a multiple of ATR(atrPeriod) on atrTimeframe
+ *   level   - points beyond the triggering swing level (commonPointPrice): the stop sits
+ *             on the far side of the level, the target the same distance past it
+ *
+ * A value of 0 leaves the order without that stop or target in every mode.
+ */
+class StopLevelResolver {
+	constructor({ symbolMetadata = null, analyzer = null } = {}) {
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+		this.analyzer = analyzer;
+	}
+
+	getAtr(settings) {
+		if (!this.analyzer || typeof this.analyzer.getAtr !== 'function') {
+			return null;
+		}
+		return this.analyzer.getAtr(settings.atrTimeframe || '1m', settings.atrPeriod || 14);
+	}
+
+	/**
+	 * Distance from the reference price for one side, or an error.
+	 */
+	resolveDistance(symbol, mode, value, settings) {
+		const { tickSize } = this.symbolMetadata.get(symbol);
+		if (mode === 'points' || mode === 'level') {
+			return { distance: value * tickSize };
+		}
+		if (mode === 'atr') {
+			const atr = this.getAtr(settings);
+			if (!(atr > 0)) {
+				return { error: `ATR(${settings.atrPeriod || 14}) on ${settings.atrTimeframe || '1m'} is not available yet` };
+			}
+			return { distance: value * atr };
+		}
+		return { error: `Unknown stop mode "${mode}"` };
+	}
+
+	resolveSide({ symbol, kind, mode, value, direction, entryPrice, levelPrice, settings }) {
+		// For the stop the price moves against the trade, for the target with it
+		const sign = kind === 'stopLoss' ? -direction : direction;
+
+		if (!(value > 0)) {
+			return { price: 0 };
+		}
+		if (mode === 'price') {
+			return { price: value };
+		}
+		if (mode === 'level' && !(levelPrice > 0)) {
+			return { error: 'level mode needs the signal\'s commonPointPrice' };
+		}
+
+		const { distance, error } = this.resolveDistance(symbol, mode, value, settings);
+		if (error) {
+			return { error };
+		}
+		const reference = mode === 'level' ? levelPrice : entryPrice;
+		return { price: reference + sign * distance };
+	}
+
+	/**
+	 * @param {Object} params
+	 * @param {string} params.symbol
+	 * @param {'buy'|'sell'} params.side
+	 * @param {number} params.entryPrice
+	 * @param {number} [params.levelPrice] - Swing level that triggered the signal
+	 * @param {Object} params.settings - Symbol settings (stopLoss, takeProfit, *Mode, atrTimeframe, atrPeriod)
+	 * @returns {{ stopLoss: number, takeProfit: number, error?: string }}
+	 */
+	resolve({ symbol, side, entryPrice, levelPrice = null, settings = {} }) {
+		const direction = side === 'buy' ? 1 : -1;
+		const resolved = {};
+
+		for (const kind of ['stopLoss', 'takeProfit']) {
+			const mode = settings[`${kind}Mode`] || 'price';
+			const { price, error } = this.resolveSide({
+				symbol,
+				kind,
+				mode,
+				value: Number(settings[kind]) || 0,
+				direction,
+				entryPrice,
+				levelPrice,
+				settings
+			});
+			if (error) {
+				return { stopLoss: 0, takeProfit: 0, error: `${kind}: ${error}` };
+			}
+			resolved[kind] = price > 0 ? this.symbolMetadata.roundPrice(symbol, price) : 0;
+		}
+
+		// A stop or target on the wrong side of the entry would be rejected by the broker
+		if (resolved.stopLoss > 0 && (resolved.stopLoss - entryPrice) * direction >= 0) {
+			return { ...resolved, error: `stopLoss ${resolved.stopLoss} is not ${side === 'buy' ? 'below' : 'above'} the entry ${entryPrice}` };
+		}
+		if (resolved.takeProfit > 0 && (resolved.takeProfit - entryPrice) * direction <= 0) {
+			return { ...resolved, error: `takeProfit ${resolved.takeProfit} is not ${side === 'buy' ? 'above' : 'below'} the entry ${entryPrice}` };
+		}
+
+		return resolved;
+	}
+}
+
+module.exports = { StopLevelResolver, STOP_MODES, ATR_TIMEFRAMES };
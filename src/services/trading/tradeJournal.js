@@ -0,0 +1,222 @@
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+const { stableId } = require('../../utils/ids');
+
+const MAX_CONTEXTS = 1000;
+
+/**
+ * Writes every order, fill, modification and close of all pipelines to the trade
+ * journal. Entries:
+ *
+ *   order            - order created (signal or manual)
+ *   order_rejected   - refused by the risk manager or the broker
+ *   order_expired    - no answer or no fill in time
+ *   order_cancelled  - pending order cancelled
+ *   fill             - order filled
+ *   modify           - stop loss or take profit of an open position changed
+ *   partial_close    - part of a position closed
+ *   close            - position closed
+ *
+ * Each entry carries the originating signal, its swing level and the symbol settings at
+ * the time the order was created, looked up by clientOrderId. Entries written after a
+ * restart for orders sent before it are linked through clientOrderId and signalId only.
+ * Entry ids are derived from their content, so a trade reported twice is journalled once.
+ */
+class TradeJournal {
+	constructor({ pipelines = null, repository, clock = systemClock }) {
+		this.repository = repository;
+		this.clock = clock;
+		// signalId -> signal, until its order is created
+		this.signals = new Map();
+		// clientOrderId -> { signal, level, settings } of orders sent by this process
+		this.contexts = new Map();
+		// ticket -> last journalled stop loss / take profit of each open position
+		this.protection = new Map();
+
+		if (pipelines) {
+			pipelines.list().forEach(pipeline => this.attach(pipeline));
+		}
+	}
+
+	/**
+	 * Journal a symbol's services: a SymbolPipeline, or the pair a backtest runs.
+	 */
+	attach({ tradingService, analyzerService }) {
+		// Ahead of TradingService, which may create the signal's order synchronously
+		analyzerService.prependListener('signals', (signals) => {
+			signals.forEach(signal => signal.signalId && this.remember(this.signals, signal.signalId, signal));
+		});
+
+		tradingService.on('order_rejected', ({ signal, order, rule, reason }) => {
+			const context = this.buildContext(signal, tradingService);
+			const key = (signal && signal.signalId) || `${order.type}_${order.volume}_${this.clock.now()}`;
+			this.write('order_rejected', key, {
+				symbol: tradingService.symbol,
+				side: order.type,
+				orderType: order.orderType || 'market',
+				volume: order.volume,
+				price: order.price ?? null,
+				stopLoss: order.stopLoss || 0,
+				takeProfit: order.takeProfit || 0,
+				reason: `${rule}: ${reason}`,
+				source: signal ? 'signal' : 'manual',
+				...context
+			});
+		});
+
+		tradingService.on('order_updated', (tracked) => {
+			if (tracked.status === 'pending') {
+				const signal = tracked.signalId ? this.signals.get(tracked.signalId) : null;
+				this.signals.delete(tracked.signalId);
+				this.remember(this.contexts, tracked.clientOrderId, this.buildContext(signal, tradingService));
+				this.write('order', tracked.clientOrderId, { ...this.describeOrder(tracked), timestamp: tracked.createdAt });
+			} else if (tracked.status === 'filled') {
+				this.write('fill', tracked.clientOrderId, {
+					...this.describeOrder(tracked),
+					price: tracked.fillPrice,
+					timestamp: tracked.filledAt
+				});
+			} else if (['rejected', 'expired', 'cancelled'].includes(tracked.status)) {
+				this.write(`order_${tracked.status}`, tracked.clientOrderId, {
+					...this.describeOrder(tracked),
+					reason: tracked.error,
+					timestamp: tracked.updatedAt
+				});
+			}
+		});
+
+		tradingService.on('trade_update', trade => this.handleTrade(trade, tradingService.symbol));
+	}
+
+	handleTrade(trade, symbol) {
+		const ticketKey = `${trade.ticket}`;
+
+		if (trade.status === 'closed' || trade.isClosed) {
+			const partial = Boolean(trade.positionTicket);
+			if (!partial) {
+				this.protection.delete(ticketKey);
+			}
+			this.write(partial ? 'partial_close' : 'close', ticketKey, {
+				...this.describeTrade(trade, symbol),
+				price: trade.closePrice ?? trade.currentPrice ?? null,
+				profit: trade.profit ?? null,
+				reason: trade.closeReason || trade.reason || null,
+				timestamp: trade.closeTime || undefined
+			});
+			return;
+		}
+
+		const stopLoss = Number(trade.stopLoss) || 0;
+		const takeProfit = Number(trade.takeProfit) || 0;
+		const previous = this.protection.get(ticketKey);
+		this.protection.set(ticketKey, { stopLoss, takeProfit });
+		// The first sighting is the baseline; fills are journalled from the order
+		if (!previous || (previous.stopLoss === stopLoss && previous.takeProfit === takeProfit)) {
+			return;
+		}
+
+		this.write('modify', `${ticketKey}_${stopLoss}_${takeProfit}`, {
+			...this.describeTrade(trade, symbol),
+			previousStopLoss: previous.stopLoss,
+			previousTakeProfit: previous.takeProfit
+		});
+	}
+
+	buildContext(signal, tradingService) {
+		return {
+			signal: signal ? {
+				signalId: signal.signalId || null,
+				signalType: signal.signalType,
+				rule: signal.rule || null,
+				direction: signal.direction || null,
+				timeframe: signal.timeframe || null,
+				timestamp: signal.timestamp,
+				candleTimestamp: signal.candleTimestamp,
+				currentPrice: signal.currentPrice,
+				signalStrength: signal.signalStrength,
+				confidence: signal.confidence
+			} : null,
+			level: signal ? {
+				type: signal.commonPointType,
+				price: signal.commonPointPrice,
+				levelKey: tradingService.symbolMetadata.levelKey(tradingService.symbol, signal.commonPointType, signal.commonPointPrice),
+				strength: signal.strength,
+				qualityScore: signal.qualityScore,
+				timeframes: signal.timeframes,
+				zone: signal.zone || null
+			} : null,
+			settings: { ...tradingService.getSymbolSettings(tradingService.symbol) }
+		};
+	}
+
+	remember(map, key, value) {
+		map.set(key, value);
+		if (map.size > MAX_CONTEXTS) {
+			map.delete(map.keys().next().value);
+		}
+	}
+
+	describeOrder(tracked) {
+		return {
+			symbol: tracked.symbol,
+			clientOrderId: tracked.clientOrderId,
+			signalId: tracked.signalId,
+			ticket: tracked.ticket,
+			side: tracked.type,
+			orderType: tracked.orderType,
+			volume: tracked.volume,
+			price: tracked.price,
+			stopLoss: tracked.stopLoss,
+			takeProfit: tracked.takeProfit,
+			status: tracked.status,
+			source: tracked.source
+		};
+	}
+
+	describeTrade(trade, symbol) {
+		return {
+			symbol: (trade.symbol || symbol).toUpperCase(),
+			clientOrderId: trade.clientOrderId || null,
+			signalId: trade.signalId || null,
+			ticket: trade.ticket,
+			positionTicket: trade.positionTicket || null,
+			side: trade.type,
+			volume: trade.volume,
+			openPrice: trade.openPrice ?? null,
+			openTime: trade.openTime ?? null,
+			stopLoss: Number(trade.stopLoss) || 0,
+			takeProfit: Number(trade.takeProfit) || 0
+		};
+	}
+
+	write(event, key, fields) {
+		const { timestamp, ...rest } = fields;
+		const context = (rest.clientOrderId && this.contexts.get(rest.clientOrderId)) || {};
+		const at = timestamp ? new Date(timestamp) : new Date(this.clock.now());
+		const entry = {
+			signal: null,
+			level: null,
+			settings: null,
+			...context,
+			...rest,
+			id: stableId('jr', rest.symbol, event, key, at.toISOString()),
+			event,
+			timestamp: at.toISOString()
+		};
+		entry.signalType = entry.signal ? entry.signal.signalType : null;
+
+		this.repository.append(entry).catch((error) => {
+			logger.error(`❌ [${entry.symbol}] Failed to journal ${event} ${key}:`, error);
+		});
+		return entry;
+	}
+
+	/**
+	 * @see TradeJournalRepository#query
+	 */
+	query(params) {
+		return this.repository.query(params);
+	}
+}
+
+module.exports = { TradeJournal };
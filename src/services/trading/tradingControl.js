@@ -0,0 +1,232 @@
+const EventEmitter = require('events');
+const { CONFIG } = require('../../config/config');
+const logger = require('../../utils/logger');
+const { systemClock } = require('../../utils/clock');
+const { TradingControlRepository } = require('../../repositories/tradingControlRepository');
+
+const MAX_HISTORY = 50;
+
+function createState() {
+	return {
+		halted: false,
+		reason: null,
+		triggeredBy: null,
+		source: null,
+		haltedAt: null,
+		// autoTrade of each symbol before the halt, restored on resume
+		autoTrade: {},
+		history: []
+	};
+}
+
+/**
+ * Process-wide kill switch. A halt blocks every order through the RiskManager,
+ * turns autoTrade off for all symbols and can cancel pending orders and close
+ * positions. The state is persisted, so a halted process restarts halted.
+ *
+ * Reaching a daily-loss or drawdown limit halts automatically (CONFIG.control).
+ */
+class TradingControl extends EventEmitter {
+	constructor({
+		pipelines,
+		configRepository,
+		riskManager,
+		repository = null,
+		haltOnRiskBreach = CONFIG.control.haltOnRiskBreach,
+		flattenOnAutoHalt = CONFIG.control.flattenOnAutoHalt,
+		clock = systemClock
+	}) {
+		super();
+		this.pipelines = pipelines;
+		this.configRepository = configRepository;
+		this.riskManager = riskManager;
+		this.repository = repository || new TradingControlRepository();
+		this.haltOnRiskBreach = haltOnRiskBreach;
+		this.flattenOnAutoHalt = flattenOnAutoHalt;
+		this.clock = clock;
+		this.state = createState();
+		// Halts and resumes run one at a time
+		this.queue = Promise.resolve();
+
+		this.riskManager.on('limit_breached', (breach) => this.handleBreach(breach));
+	}
+
+	/**
+	 * Restore the persisted state; a halt from before the restart is applied again.
+	 */
+	async load() {
+		const stored = await this.repository.load();
+		if (stored) {
+			this.state = { ...createState(), ...stored };
+		}
+
+		if (this.state.halted) {
+			this.riskManager.setHalted(this.describeHalt());
+			await this.disableAutoTrade();
+			logger.warn(`🛑 Trading is halted since ${this.state.haltedAt} (${this.state.reason}, by ${this.state.triggeredBy}); POST /control/resume to continue`);
+		}
+	}
+
+	isHalted() {
+		return this.state.halted;
+	}
+
+	describeHalt() {
+		const { reason, triggeredBy, source, haltedAt } = this.state;
+		return { reason, triggeredBy, source, haltedAt };
+	}
+
+	getState() {
+		const { autoTrade, ...state } = this.state;
+		return state;
+	}
+
+	run(task) {
+		const result = this.queue.then(task);
+		this.queue = result.catch(() => {});
+		return result;
+	}
+
+	symbols() {
+		const stored = this.configRepository.getAll().map(entry => entry.symbol.toUpperCase());
+		return Array.from(new Set([...stored, ...this.pipelines.symbols()]));
+	}
+
+	async updateAutoTrade(symbol, autoTrade) {
+		const settings = { ...(this.configRepository.get(symbol) || {}), autoTrade };
+		this.configRepository.set(symbol, settings);
+		const pipeline = this.pipelines.get(symbol);
+		if (pipeline) {
+			pipeline.tradingService.setSymbolSettings(symbol, settings);
+		}
+		await this.configRepository.persist(symbol, settings);
+	}
+
+	async disableAutoTrade() {
+		for (const symbol of this.symbols()) {
+			const settings = this.configRepository.get(symbol) || {};
+			if (!(symbol in this.state.autoTrade)) {
+				this.state.autoTrade[symbol] = settings.autoTrade !== false;
+			}
+			if (settings.autoTrade !== false) {
+				await this.updateAutoTrade(symbol, false);
+			}
+		}
+	}
+
+	async restoreAutoTrade() {
+		for (const [symbol, autoTrade] of Object.entries(this.state.autoTrade)) {
+			const settings = this.configRepository.get(symbol);
+			if (autoTrade && settings && settings.autoTrade === false) {
+				await this.updateAutoTrade(symbol, true);
+			}
+		}
+	}
+
+	recordHistory(entry) {
+		this.state.history.unshift({ ...entry, at: new Date(this.clock.now()).toISOString() });
+		if (this.state.history.length > MAX_HISTORY) {
+			this.state.history.length = MAX_HISTORY;
+		}
+	}
+
+	async flatten({ cancelOrders, closePositions }) {
+		const result = { cancelledOrders: {}, closedPositions: {} };
+
+		for (const pipeline of this.pipelines.list()) {
+			const { tradingService } = pipeline;
+			if (cancelOrders) {
+				try {
+					result.cancelledOrders[pipeline.symbol] = await tradingService.cancelPendingOrders();
+				} catch (error) {
+					logger.error(`❌ [${pipeline.symbol}] Failed to cancel pending orders on halt:`, error);
+					result.cancelledOrders[pipeline.symbol] = [{ cancelled: false, error: error.message }];
+				}
+			}
+			if (closePositions) {
+				result.closedPositions[pipeline.symbol] = await tradingService.closeAllTrades('halt');
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * @param {Object} params
+	 * @param {string} [params.reason]
+	 * @param {string} [params.triggeredBy]
+	 * @param {string} [params.source] - 'manual' or 'risk'
+	 * @param {boolean} [params.cancelOrders] - Cancel pending orders
+	 * @param {boolean} [params.closePositions] - Close every open position
+	 * @returns {Promise<{ alreadyHalted: boolean, state: Object, cancelledOrders: Object, closedPositions: Object }>}
+	 */
+	halt({ reason = 'manual halt', triggeredBy = 'unknown', source = 'manual', cancelOrders = false, closePositions = false } = {}) {
+		return this.run(async () => {
+			const alreadyHalted = this.state.halted;
+			if (!alreadyHalted) {
+				this.state.halted = true;
+				this.state.reason = reason;
+				this.state.triggeredBy = triggeredBy;
+				this.state.source = source;
+				this.state.haltedAt = new Date(this.clock.now()).toISOString();
+				this.state.autoTrade = {};
+				this.riskManager.setHalted(this.describeHalt());
+				logger.warn(`🛑 Trading halted by ${triggeredBy}: ${reason}`);
+			}
+
+			// Persist before anything else so a crash from here on still restarts halted
+			this.recordHistory({ action: 'halt', reason, triggeredBy, source, cancelOrders, closePositions });
+			await this.repository.save(this.state);
+			await this.disableAutoTrade();
+			await this.repository.save(this.state);
+
+			const result = await this.flatten({ cancelOrders, closePositions });
+			if (!alreadyHalted) {
+				this.emit('halted', this.getState());
+			}
+			return { alreadyHalted, state: this.getState(), ...result };
+		});
+	}
+
+	/**
+	 * Lift the halt and turn autoTrade back on where it was on before.
+	 * @returns {Promise<{ wasHalted: boolean, state: Object }>}
+	 */
+	resume({ reason = 'manual resume', triggeredBy = 'unknown' } = {}) {
+		return this.run(async () => {
+			if (!this.state.halted) {
+				return { wasHalted: false, state: this.getState() };
+			}
+
+			await this.restoreAutoTrade();
+			this.state = {
+				...createState(),
+				history: this.state.history
+			};
+			this.recordHistory({ action: 'resume', reason, triggeredBy });
+			await this.repository.save(this.state);
+			this.riskManager.setHalted(null);
+
+			logger.info(`▶️  Trading resumed by ${triggeredBy}: ${reason}`);
+			this.emit('resumed', this.getState());
+			return { wasHalted: true, state: this.getState() };
+		});
+	}
+
+	handleBreach(breach) {
+		if (!this.haltOnRiskBreach || this.state.halted) {
+			return;
+		}
+
+		this.halt({
+			reason: `${breach.rule}: ${breach.reason}`,
+			triggeredBy: 'risk-manager',
+			source: 'risk',
+			cancelOrders: this.flattenOnAutoHalt,
+			closePositions: this.flattenOnAutoHalt
+		}).catch((error) => {
+			logger.error('❌ Automatic halt failed:', error);
+		});
+	}
+}
+
+module.exports = { TradingControl };
@@ -1,6 +1,14 @@
 const EventEmitter = require('events');
 const { CONFIG } = require('../../config/config');
 const logger = require('../../utils/logger');
+const { TaskTracker } = require('../../utils/taskTracker');
+const { SymbolMetadataRepository } = require('../../repositories/symbolMetadataRepository');
+const { RiskManager } = require('./riskManager');
+const { PositionSizer } = require('./positionSizer');
+const { StopLevelResolver } = require('./stopLevels');
+const { PositionManager } = require('./positionManager');
+const { OrderTracker } = require('./orderTracker');
+const { systemClock } = require('../../utils/clock');
 
 class TradingService extends EventEmitter {
 	constructor({
@@ -8,7 +16,10 @@ class TradingService extends EventEmitter {
 		analyzer,
 		dataSource,
 		priceType = 'bid',
-		defaultVolume = 0.1
+		defaultVolume = 0.1,
+		symbolMetadata = null,
+		riskManager = null,
+		clock = systemClock
 	}) {
 		super();
 
@@ -24,17 +35,41 @@ class TradingService extends EventEmitter {
 			throw new Error('TradingService requires a data source instance');
 		}
 
-		this.symbol = symbol;
+		this.symbol = symbol.toUpperCase();
 		this.analyzer = analyzer;
 		this.dataSource = dataSource;
 		this.priceType = priceType;
 		this.defaultVolume = defaultVolume;
+		this.symbolMetadata = symbolMetadata || new SymbolMetadataRepository();
+		// Shared across pipelines in live mode so account-wide limits see every symbol
+		this.riskManager = riskManager || new RiskManager();
+		this.positionSizer = new PositionSizer({ symbolMetadata: this.symbolMetadata });
+		this.stopLevels = new StopLevelResolver({ symbolMetadata: this.symbolMetadata, analyzer });
+		this.positionManager = new PositionManager({
+			symbol: this.symbol,
+			dataSource,
+			analyzer,
+			symbolMetadata: this.symbolMetadata
+		});
+		this.positionManager.on('error', error => this.emit('error', error));
+		this.clock = clock;
+		this.orderTracker = new OrderTracker({ symbol: this.symbol, dataSource, clock });
+		this.orderTracker.on('order_updated', (order) => {
+			// Rejected, cancelled or expired orders no longer hold risk exposure
+			if (['rejected', 'cancelled', 'expired'].includes(order.status)) {
+				this.riskManager.releaseEntry(order.clientOrderId);
+			}
+			this.emit('order_updated', order);
+		});
 
 		this.symbolSettings = new Map();
 		this.openTrades = new Map();
 		this.tradeHistory = [];
 		this.maxHistory = 500;
 		this.isStarted = false;
+		this.lastQuote = null;
+		this.hasSyncedTrades = false;
+		this.tasks = new TaskTracker();
 
 		this.attachAnalyzerListeners();
 		this.attachDataSourceListeners();
@@ -43,21 +78,27 @@ class TradingService extends EventEmitter {
 	attachAnalyzerListeners() {
 		this.analyzer.on('signals', (signals, candle) => {
 			signals.forEach(signal => {
-				this.executeSignal(signal, candle).catch((error) => {
+				this.tasks.track(this.executeSignal(signal, candle).catch((error) => {
 					this.emit('error', error);
-				});
+				}));
 			});
 		});
 	}
 
 	attachDataSourceListeners() {
 		this.dataSource.on('connected', async () => {
-			logger.info('✅ TradingService: Data source connected');
+			logger.info(`✅ TradingService[${this.symbol}]: Data source connected`);
 			this.emit('data_source_connected');
 			if (this.isMqlDataSource()) {
 				try {
 					await this.dataSource.subscribeTicks(this.symbol);
-					await this.refreshOpenTrades();
+					await this.refreshSymbolInfo();
+					// After a reconnect local state exists, so compare it with the broker instead of replacing it
+					if (this.hasSyncedTrades) {
+						await this.reconcile('reconnect');
+					} else {
+						await this.refreshOpenTrades();
+					}
 				} catch (error) {
 					this.emit('error', error);
 				}
@@ -69,8 +110,8 @@ class TradingService extends EventEmitter {
 		});
 
 		this.dataSource.on('tick', (tick) => {
-			logger.info(`📊 TradingService received tick: ${tick.symbol} bid=${tick.bid} ask=${tick.ask}`);
-			this.handleTick(tick);
+			logger.debug(`📊 TradingService[${this.symbol}] received tick: ${tick.symbol} bid=${tick.bid} ask=${tick.ask}`);
+			this.tasks.track(this.handleTick(tick));
 		});
 
 		if (this.isMqlDataSource()) {
@@ -105,10 +146,15 @@ class TradingService extends EventEmitter {
 		this.dataSource.stop();
 	}
 
+	async whenIdle() {
+		await this.tasks.whenIdle();
+	}
+
 	async handleTick(tick) {
 		try {
+			// The data source may be shared with other symbol pipelines
 			if (!tick || tick.symbol !== this.symbol) {
-				logger.info(`⏭️  Skipping tick: symbol mismatch (${tick?.symbol} vs ${this.symbol})`);
+				logger.debug(`⏭️  Skipping tick: symbol mismatch (${tick?.symbol} vs ${this.symbol})`);
 				return;
 			}
 
@@ -137,14 +183,40 @@ class TradingService extends EventEmitter {
 					break;
 			}
 
-			logger.info(`💰 Processing tick: price=${price}, volume=${volume}`);
-			await this.analyzer.addTradeData(timestamp, price, volume);
+			this.lastQuote = { bid, ask, timestamp: tick.timestamp };
+			this.orderTracker.expireStale();
+
+			// Nothing is awaited before the analyzer, so candles are built in tick order
+			logger.debug(`💰 Processing tick: price=${price}, volume=${volume}`);
+			const added = this.analyzer.addTradeData(timestamp, price, volume);
+
+			// Broker round-trips of position management must not hold up the next tick
+			if (this.openTrades.size > 0) {
+				this.tasks.track(this.positionManager.onTick({ bid, ask }, this.getOpenTrades(), this.getSymbolSettings(this.symbol)));
+			}
+			await added;
 		} catch (error) {
 			logger.error('❌ Error handling tick:', error);
 			this.emit('error', error);
 		}
 	}
 
+	/**
+	 * A signal expires CONFIG.signalExpiryBars 1s bars after its candle (0 never expires).
+	 */
+	isSignalExpired(signal, candle) {
+		const maxBars = CONFIG.signalExpiryBars;
+		const candleTime = new Date(signal.candleTimestamp || candle.timestamp).getTime();
+		const ageBars = Math.floor((this.clock.now() - candleTime) / CONFIG.live.candleInterval);
+		if (maxBars <= 0 || ageBars <= maxBars) {
+			return false;
+		}
+
+		logger.warn(`⌛ Signal ${signal.signalId || signal.signalType} for ${this.symbol} expired: ${ageBars} bars old, limit ${maxBars}`);
+		this.emit('signal_expired', { signal, candle, ageBars });
+		return true;
+	}
+
 	async executeSignal(signal, candle) {
 		const settings = this.getSymbolSettings(this.symbol);
 		if (!settings || settings.autoTrade === false) {
@@ -152,7 +224,7 @@ class TradingService extends EventEmitter {
 		}
 
 		if (!this.isMqlDataSource()) {
-			logger.info('📊 Signal detected but auto-trading only supported with MQL data source');
+			logger.info(`📊 Signal detected but ${this.dataSource.name || this.dataSource.constructor.name} cannot place orders (enable PAPER_TRADING for binance/manual feeds)`);
 			this.emit('signal_detected', { signal, candle });
 			return;
 		}
@@ -162,33 +234,296 @@ class TradingService extends EventEmitter {
 			return;
 		}
 
-		const stopLoss = settings.stopLoss;
-		const takeProfit = settings.takeProfit;
-		const volume = settings.volume || this.defaultVolume;
+		const price = this.symbolMetadata.roundPrice(this.symbol, candle.close);
+		const { stopLoss, takeProfit, error: stopError } = this.stopLevels.resolve({
+			symbol: this.symbol,
+			side: orderType,
+			entryPrice: price,
+			levelPrice: signal.commonPointPrice,
+			settings
+		});
+		if (stopError) {
+			this.emit('error', new Error(`Order for ${this.symbol} not sent: ${stopError}`));
+			return;
+		}
+
+		const sizing = this.positionSizer.calculate({
+			symbol: this.symbol,
+			settings: { ...settings, volume: settings.volume || this.defaultVolume },
+			entryPrice: price,
+			stopLoss,
+			equity: this.positionSizer.requiresEquity(settings) ? await this.getAccountEquity() : null
+		});
+		const volumeError = sizing.error || this.symbolMetadata.validateVolume(this.symbol, sizing.volume);
+		if (volumeError) {
+			this.emit('error', new Error(`Order for ${this.symbol} not sent: ${volumeError}`));
+			return;
+		}
+		const volume = sizing.volume;
 
 		const orderPayload = {
 			symbol: this.symbol,
 			type: orderType,
 			volume,
-			price: candle.close,
+			price,
 			stopLoss,
 			takeProfit,
-			comment: `Signal:${signal.signalType}|${signal.commonPointType}|${signal.commonPointPrice.toFixed(4)}`
+			comment: this.buildOrderComment(signal, stopLoss, takeProfit),
+			signalId: signal.signalId || null
 		};
 
+		// Checked last, after any wait for account equity, so a stale signal is never sent
+		if (this.isSignalExpired(signal, candle)) {
+			return;
+		}
+
+		// A signal that was already sent (e.g. replayed after a restart) is not sent again
+		const existing = signal.signalId ? this.orderTracker.get(this.orderTracker.createClientOrderId({ signalId: signal.signalId })) : null;
+		if (existing) {
+			logger.info(`⏭️  Signal ${signal.signalId} already has order ${existing.clientOrderId} (${existing.status})`);
+			return;
+		}
+
+		const clientOrderId = this.orderTracker.createClientOrderId({ signalId: signal.signalId, source: 'signal' });
+		const decision = this.riskManager.evaluate(orderPayload, clientOrderId);
+		if (!decision.approved) {
+			this.emit('order_rejected', { signal, order: orderPayload, rule: decision.rule, reason: decision.reason });
+			return;
+		}
+
 		try {
-			const response = await this.dataSource.placeOrder(orderPayload);
-			this.emit('order_sent', { signal, response });
+			const { order, response } = await this.orderTracker.submit(orderPayload, { signalId: signal.signalId, source: 'signal', clientOrderId });
+			this.riskManager.confirmEntry(clientOrderId, response || { ticket: order.ticket });
+			this.emit('order_sent', { signal, order: orderPayload, response, tracked: order });
 		} catch (error) {
 			this.emit('error', error);
 		}
 	}
 
+	canTrade() {
+		return this.isMqlDataSource();
+	}
+
+	findOpenTrade(ticket) {
+		return this.getOpenTrades().find(trade => `${trade.ticket}` === `${ticket}`) || null;
+	}
+
+	/**
+	 * Check a stop or target against the side of the reference price it must be on.
+	 * @returns {string|null}
+	 */
+	validateProtection(side, referencePrice, stopLoss, takeProfit) {
+		for (const [name, value] of [['stopLoss', stopLoss], ['takeProfit', takeProfit]]) {
+			if (!(value > 0)) continue;
+			const priceError = this.symbolMetadata.validatePrice(this.symbol, value);
+			if (priceError) return `${name}: ${priceError}`;
+		}
+		if (!(referencePrice > 0)) {
+			return null;
+		}
+
+		const direction = side === 'buy' ? 1 : -1;
+		if (stopLoss > 0 && (stopLoss - referencePrice) * direction >= 0) {
+			return `stopLoss ${stopLoss} must be ${side === 'buy' ? 'below' : 'above'} ${referencePrice}`;
+		}
+		if (takeProfit > 0 && (takeProfit - referencePrice) * direction <= 0) {
+			return `takeProfit ${takeProfit} must be ${side === 'buy' ? 'above' : 'below'} ${referencePrice}`;
+		}
+		return null;
+	}
+
+	/**
+	 * Place an order from the REST API. It is validated against the symbol metadata and
+	 * goes through the same risk checks as signal orders.
+	 * A repeated `clientOrderId` returns the existing order without sending it again.
+	 * @param {Object} request - { type: 'buy'|'sell', orderType: 'market'|'limit', volume, price, stopLoss, takeProfit, comment, clientOrderId }
+	 * @returns {Promise<{ error?: string, rejection?: Object, order?: Object, response?: Object, tracked?: Object, duplicate?: boolean }>}
+	 */
+	async placeManualOrder(request) {
+		const { type, orderType = 'market', volume, stopLoss = 0, takeProfit = 0, clientOrderId = null } = request;
+
+		const existing = clientOrderId ? this.orderTracker.get(clientOrderId) : null;
+		if (existing) {
+			return { tracked: existing, duplicate: true };
+		}
+
+		const volumeError = this.symbolMetadata.validateVolume(this.symbol, volume);
+		if (volumeError) {
+			return { error: volumeError };
+		}
+
+		let referencePrice = null;
+		if (orderType === 'limit') {
+			const priceError = this.symbolMetadata.validatePrice(this.symbol, request.price);
+			if (priceError) {
+				return { error: priceError };
+			}
+			referencePrice = Number(request.price);
+		} else if (this.lastQuote) {
+			referencePrice = type === 'buy' ? this.lastQuote.ask : this.lastQuote.bid;
+		}
+
+		const protectionError = this.validateProtection(type, referencePrice, stopLoss, takeProfit);
+		if (protectionError) {
+			return { error: protectionError };
+		}
+
+		const order = {
+			symbol: this.symbol,
+			type,
+			orderType,
+			volume,
+			price: referencePrice,
+			stopLoss,
+			takeProfit,
+			comment: request.comment || 'Manual'
+		};
+
+		const id = clientOrderId || this.orderTracker.createClientOrderId({ source: 'manual' });
+		const decision = this.riskManager.evaluate(order, id);
+		if (!decision.approved) {
+			this.emit('order_rejected', { signal: null, order, rule: decision.rule, reason: decision.reason });
+			return { rejection: { rule: decision.rule, reason: decision.reason }, order };
+		}
+
+		const { order: tracked, response } = await this.orderTracker.submit(order, { source: 'manual', clientOrderId: id });
+		this.riskManager.confirmEntry(id, response || { ticket: tracked.ticket });
+		logger.info(`🖐️  Manual ${orderType} ${type} ${volume} ${this.symbol} sent (${tracked.clientOrderId})`);
+		this.emit('order_sent', { signal: null, order, response, tracked });
+		return { order, response, tracked, duplicate: false };
+	}
+
+	/**
+	 * @returns {Promise<{ error?: string, response?: Object }>}
+	 */
+	async modifyTrade(ticket, { stopLoss, takeProfit }) {
+		const trade = this.findOpenTrade(ticket);
+		if (!trade) {
+			return { error: `No open ${this.symbol} trade with ticket ${ticket}` };
+		}
+
+		const nextStopLoss = stopLoss ?? trade.stopLoss;
+		const nextTakeProfit = takeProfit ?? trade.takeProfit;
+		const referencePrice = this.lastQuote ? (trade.type === 'buy' ? this.lastQuote.bid : this.lastQuote.ask) : null;
+		const protectionError = this.validateProtection(trade.type, referencePrice, nextStopLoss, nextTakeProfit);
+		if (protectionError) {
+			return { error: protectionError };
+		}
+
+		const response = await this.dataSource.modifyPosition({
+			ticket: trade.ticket,
+			symbol: this.symbol,
+			stopLoss: nextStopLoss,
+			takeProfit: nextTakeProfit
+		});
+		return { response };
+	}
+
+	/**
+	 * Close a position, or part of it when `volume` is below the position's volume.
+	 * @returns {Promise<{ error?: string, response?: Object }>}
+	 */
+	async closeTrade(ticket, { volume = null, reason = 'manual' } = {}) {
+		const trade = this.findOpenTrade(ticket);
+		if (!trade) {
+			return { error: `No open ${this.symbol} trade with ticket ${ticket}` };
+		}
+
+		if (volume !== null && volume !== undefined) {
+			const volumeError = this.symbolMetadata.validateVolume(this.symbol, volume);
+			if (volumeError) {
+				return { error: volumeError };
+			}
+			const remaining = Number(trade.volume) - volume;
+			const { volumeMin } = this.symbolMetadata.get(this.symbol);
+			if (remaining < -1e-9) {
+				return { error: `Cannot close ${volume} lots of a ${trade.volume} lot position` };
+			}
+			if (remaining > 1e-9 && remaining < volumeMin - 1e-9) {
+				return { error: `Closing ${volume} lots would leave ${Number(remaining.toFixed(8))}, below the ${this.symbol} minimum of ${volumeMin}` };
+			}
+		}
+
+		const response = await this.dataSource.closePosition({
+			ticket: trade.ticket,
+			symbol: this.symbol,
+			volume: volume ?? null,
+			reason
+		});
+		return { response };
+	}
+
+	async closeAllTrades(reason = 'manual') {
+		const results = [];
+		for (const trade of this.getOpenTrades()) {
+			try {
+				const { response } = await this.closeTrade(trade.ticket, { reason });
+				results.push({ ticket: trade.ticket, closed: true, response });
+			} catch (error) {
+				results.push({ ticket: trade.ticket, closed: false, error: error.message });
+			}
+		}
+		return results;
+	}
+
+	/**
+	 * Cancel a pending order. A ticket the broker does not list as a pending order of this
+	 * symbol is reported as `notFound` instead of being sent.
+	 * @returns {Promise<{ error?: string, notFound?: boolean, response?: Object }>}
+	 */
+	async cancelOrder(ticket) {
+		if (typeof this.dataSource.cancelOrder !== 'function') {
+			return { error: `${this.dataSource.name || 'Data source'} cannot cancel orders` };
+		}
+		if (typeof this.dataSource.requestPendingOrders === 'function') {
+			const { orders } = await this.dataSource.requestPendingOrders();
+			const pending = (orders || []).some(order => `${order.ticket}` === `${ticket}`
+				&& (!order.symbol || `${order.symbol}`.toUpperCase() === this.symbol));
+			if (!pending) {
+				return { error: `No pending ${this.symbol} order with ticket ${ticket}`, notFound: true };
+			}
+		}
+		const response = await this.dataSource.cancelOrder({ ticket, symbol: this.symbol });
+		this.orderTracker.markCancelled(ticket);
+		return { response };
+	}
+
+	async cancelPendingOrders() {
+		if (typeof this.dataSource.requestPendingOrders !== 'function' || typeof this.dataSource.cancelOrder !== 'function') {
+			return [];
+		}
+
+		const { orders } = await this.dataSource.requestPendingOrders();
+		const results = [];
+		for (const order of orders.filter(pending => `${pending.symbol}`.toUpperCase() === this.symbol)) {
+			try {
+				const response = await this.dataSource.cancelOrder({ ticket: order.ticket, symbol: this.symbol });
+				this.orderTracker.markCancelled(order.ticket);
+				results.push({ ticket: order.ticket, cancelled: true, response });
+			} catch (error) {
+				results.push({ ticket: order.ticket, cancelled: false, error: error.message });
+			}
+		}
+		return results;
+	}
+
+	buildOrderComment(signal, stopLoss, takeProfit) {
+		const formatPrice = price => this.symbolMetadata.formatPrice(this.symbol, price);
+		const parts = [`Signal:${signal.signalType}`, signal.commonPointType, formatPrice(signal.commonPointPrice)];
+		if (stopLoss > 0) parts.push(`SL:${formatPrice(stopLoss)}`);
+		if (takeProfit > 0) parts.push(`TP:${formatPrice(takeProfit)}`);
+		return parts.join('|');
+	}
+
 	handleTradeUpdate(message) {
 		const trade = message.trade || message;
-		if (!trade || !trade.ticket) {
+		if (!trade || !trade.ticket || !this.isOwnTrade(trade)) {
 			return;
 		}
+		trade.symbol = trade.symbol || this.symbol;
+		this.orderTracker.handleTrade(trade);
+		this.riskManager.recordTrade(trade);
+		this.positionManager.syncTrade(trade);
 
 		if (trade.status === 'closed' || trade.isClosed) {
 			this.openTrades.delete(trade.ticket);
@@ -203,6 +538,51 @@ class TradingService extends EventEmitter {
 		this.emit('trade_update', trade);
 	}
 
+	/**
+	 * Whether a trade belongs to this pipeline. The data source may be shared, so a trade
+	 * without a symbol is only ours when its order id or ticket is one we know.
+	 */
+	isOwnTrade(trade) {
+		if (trade.symbol) {
+			return trade.symbol.toUpperCase() === this.symbol;
+		}
+		return [trade.clientOrderId, trade.positionTicket, trade.ticket]
+			.filter(id => id !== undefined && id !== null)
+			.some(id => this.orderTracker.find(id) !== null || this.findOpenTrade(id) !== null);
+	}
+
+	/**
+	 * Current account equity from the broker, or null when it cannot be read.
+	 */
+	async getAccountEquity() {
+		if (typeof this.dataSource.requestAccountInfo !== 'function') {
+			return null;
+		}
+
+		try {
+			const info = await this.dataSource.requestAccountInfo();
+			const equity = Number(info.equity ?? info.balance);
+			return Number.isFinite(equity) ? equity : null;
+		} catch (error) {
+			logger.warn(`⚠️  Could not read account equity: ${error.message}`);
+			return null;
+		}
+	}
+
+	async refreshSymbolInfo() {
+		if (typeof this.dataSource.requestSymbolInfo !== 'function') {
+			return;
+		}
+
+		try {
+			const info = await this.dataSource.requestSymbolInfo(this.symbol);
+			this.symbolMetadata.applyBridgeInfo(this.symbol, info);
+		} catch (error) {
+			// Older bridges don't answer get_symbol_info; configured metadata still applies
+			logger.warn(`⚠️  No symbol info from bridge for ${this.symbol}: ${error.message}`);
+		}
+	}
+
 	async refreshOpenTrades() {
 		if (!this.isMqlDataSource()) {
 			return;
@@ -211,10 +591,15 @@ class TradingService extends EventEmitter {
 		try {
 			const response = await this.dataSource.requestOpenTrades();
 			if (Array.isArray(response.trades)) {
+				this.hasSyncedTrades = true;
 				this.openTrades.clear();
 				response.trades.forEach(trade => {
-					if (trade && trade.ticket) {
+					if (trade && trade.ticket && this.isOwnTrade(trade)) {
+						trade.symbol = trade.symbol || this.symbol;
+						this.orderTracker.handleTrade(trade);
 						this.openTrades.set(trade.ticket, trade);
+						this.riskManager.recordTrade(trade);
+						this.positionManager.syncTrade(trade);
 					}
 				});
 			}
@@ -223,15 +608,156 @@ class TradingService extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Compare local positions (ours and the risk manager's) and tracked orders with the
+	 * broker and repair the differences:
+	 *
+	 *   orphaned_position - open at the broker, unknown here: adopted
+	 *   volume_mismatch   - open on both sides with different volumes: broker wins, and
+	 *                       partial closes found in the broker history are booked
+	 *   missed_close      - open here, gone at the broker: closed from the broker history,
+	 *                       or with the last known profit when the history has no record
+	 *   missing_order     - acknowledged limit order neither pending nor filled: expired
+	 *
+	 * Each difference is emitted as 'reconciliation_mismatch', the whole run as 'reconciled'.
+	 * @param {string} trigger - What started the run ('reconnect', 'schedule', 'request')
+	 * @returns {Promise<Object|null>} Result, or null when the data source cannot trade
+	 */
+	async reconcile(trigger = 'request') {
+		if (!this.isMqlDataSource()) {
+			return null;
+		}
+
+		const detectedAt = new Date(this.clock.now()).toISOString();
+		const mismatches = [];
+		const report = (type, ticket, details) => {
+			mismatches.push({ type, symbol: this.symbol, ticket, trigger, detectedAt, ...details });
+		};
+
+		const response = await this.dataSource.requestOpenTrades();
+		const brokerTrades = (response.trades || []).filter(trade => trade && trade.ticket && this.isOwnTrade(trade));
+		const brokerTickets = new Set(brokerTrades.map(trade => `${trade.ticket}`));
+
+		// Snapshot before applying anything: adopted trades must not count as local
+		const localTrades = new Map(this.getOpenTrades().map(trade => [`${trade.ticket}`, trade]));
+		this.riskManager.getOpenTrades(this.symbol).forEach((trade) => {
+			if (!localTrades.has(`${trade.ticket}`)) {
+				localTrades.set(`${trade.ticket}`, { ...trade, status: 'open' });
+			}
+		});
+
+		const resized = [];
+		for (const trade of brokerTrades) {
+			const local = localTrades.get(`${trade.ticket}`);
+			if (!local) {
+				report('orphaned_position', trade.ticket, { broker: trade, resolution: 'adopted' });
+			} else if (Math.abs(Number(local.volume) - Number(trade.volume)) > 1e-9) {
+				report('volume_mismatch', trade.ticket, { local: { volume: local.volume }, broker: { volume: trade.volume }, resolution: 'updated' });
+				resized.push(local);
+			}
+			this.handleTradeUpdate(trade);
+		}
+
+		const missing = Array.from(localTrades.values()).filter(trade => !brokerTickets.has(`${trade.ticket}`));
+		if (missing.length > 0 || resized.length > 0) {
+			const history = await this.fetchHistorySince([...missing, ...resized]);
+
+			// Partial closes of resized positions that never reached us
+			for (const trade of resized) {
+				history
+					.filter(record => `${record.positionTicket}` === `${trade.ticket}` && !this.riskManager.isClosed(record.ticket))
+					.forEach(record => this.handleTradeUpdate({ ...record, status: 'closed' }));
+			}
+
+			for (const trade of missing) {
+				const closed = history.find(record => `${record.ticket}` === `${trade.ticket}`);
+				if (closed) {
+					report('missed_close', trade.ticket, { local: trade, broker: closed, resolution: 'closed_from_history' });
+					this.handleTradeUpdate({ ...closed, status: 'closed' });
+				} else {
+					report('missed_close', trade.ticket, { local: trade, broker: null, resolution: 'closed_unconfirmed' });
+					this.handleTradeUpdate({
+						...trade,
+						symbol: this.symbol,
+						status: 'closed',
+						closeReason: 'reconciliation',
+						closeUnconfirmed: true
+					});
+				}
+			}
+		}
+
+		await this.reconcileOrders(brokerTickets, report);
+
+		const result = {
+			symbol: this.symbol,
+			trigger,
+			reconciledAt: detectedAt,
+			brokerOpen: brokerTrades.length,
+			localOpen: localTrades.size,
+			mismatches
+		};
+		this.hasSyncedTrades = true;
+
+		if (mismatches.length > 0) {
+			logger.warn(`🔍 [${this.symbol}] Reconciliation (${trigger}) found ${mismatches.length} mismatch(es): ${mismatches.map(mismatch => `${mismatch.type}#${mismatch.ticket}`).join(', ')}`);
+		}
+		mismatches.forEach(mismatch => this.emit('reconciliation_mismatch', mismatch));
+		this.emit('reconciled', result);
+		return result;
+	}
+
+	async fetchHistorySince(trades) {
+		if (typeof this.dataSource.requestTradeHistory !== 'function') {
+			return [];
+		}
+
+		const openTimes = trades
+			.map(trade => new Date(trade.openTime).getTime())
+			.filter(Number.isFinite);
+		const params = { symbol: this.symbol };
+		if (openTimes.length === trades.length && openTimes.length > 0) {
+			params.from = new Date(Math.min(...openTimes)).toISOString();
+		}
+
+		try {
+			const response = await this.dataSource.requestTradeHistory(params);
+			return (response.trades || []).filter(trade => this.isOwnTrade(trade));
+		} catch (error) {
+			this.emit('error', error);
+			return [];
+		}
+	}
+
+	async reconcileOrders(brokerTickets, report) {
+		const awaiting = this.orderTracker.list({ status: 'acknowledged' })
+			.filter(order => order.orderType === 'limit' && order.ticket !== null);
+		if (awaiting.length === 0 || typeof this.dataSource.requestPendingOrders !== 'function') {
+			return;
+		}
+
+		const { orders } = await this.dataSource.requestPendingOrders();
+		const pendingTickets = new Set((orders || []).map(order => `${order.ticket}`));
+		for (const order of awaiting) {
+			const ticket = `${order.ticket}`;
+			if (pendingTickets.has(ticket) || brokerTickets.has(ticket) || order.status !== 'acknowledged') continue;
+
+			report('missing_order', order.ticket, { local: { clientOrderId: order.clientOrderId, status: order.status }, broker: null, resolution: 'expired' });
+			this.orderTracker.transition(order, 'expired', 'Not found at the broker during reconciliation');
+		}
+	}
+
 	async refreshTradeHistory(params = {}) {
 		if (!this.isMqlDataSource()) {
 			return;
 		}
 
 		try {
-			const response = await this.dataSource.requestTradeHistory(params);
+			const response = await this.dataSource.requestTradeHistory({ ...params, symbol: this.symbol });
 			if (Array.isArray(response.trades)) {
-				this.tradeHistory = response.trades.slice(0, this.maxHistory);
+				this.tradeHistory = response.trades
+					.filter(trade => this.isOwnTrade(trade))
+					.slice(0, this.maxHistory);
 			}
 		} catch (error) {
 			this.emit('error', error);
@@ -240,8 +766,13 @@ class TradingService extends EventEmitter {
 
 	setSymbolSettings(symbol, settings) {
 		const symbolKey = symbol.toUpperCase();
+		// Per-symbol risk limits may be stored with the symbol's config
+		this.riskManager.setSymbolLimits(symbolKey, settings.risk || {});
 		this.symbolSettings.set(symbolKey, {
 			autoTrade: true,
+			sizingMode: 'fixed',
+			stopLossMode: 'price',
+			takeProfitMode: 'price',
 			volume: this.defaultVolume,
 			stopLoss: settings.stopLoss ?? CONFIG.defaultStopLoss,
 			takeProfit: settings.takeProfit ?? CONFIG.defaultTakeProfit,
@@ -0,0 +1,38 @@
+/**
+ * Time source for services that stamp records with "now". Live code uses the
+ * system clock; backtests swap in a SimulatedClock driven by tick timestamps so
+ * the same input always produces the same output. `delay(ms)` waits on the clock:
+ * in real time live, not at all in a backtest, where time only moves with the ticks.
+ */
+const systemClock = {
+	now: () => Date.now(),
+	delay: ms => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+class SimulatedClock {
+	constructor(startMs = 0) {
+		this.current = startMs;
+	}
+
+	now() {
+		return this.current;
+	}
+
+	// Simulated time does not pass while waiting, so retries run against the same quote
+	delay() {
+		return Promise.resolve();
+	}
+
+	set(timestamp) {
+		const ms = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+		// Never move backwards: out-of-order ticks must not rewind stamped records
+		if (ms > this.current) {
+			this.current = ms;
+		}
+	}
+}
+
+module.exports = {
+	systemClock,
+	SimulatedClock
+};
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+/**
+ * Short id derived from its parts: the same parts always give the same id, so
+ * replays and retries refer to the same signal or order.
+ */
+function stableId(prefix, ...parts) {
+	const digest = crypto.createHash('sha1').update(parts.map(part => `${part}`).join('|')).digest('hex');
+	return `${prefix}_${digest.slice(0, 12)}`;
+}
+
+module.exports = { stableId };
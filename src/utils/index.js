@@ -1,6 +1,12 @@
 const logger = require('./logger');
+const { systemClock, SimulatedClock } = require('./clock');
+const { TaskTracker } = require('./taskTracker');
+const { stableId } = require('./ids');
 
 module.exports = {
-	logger
+	logger,
+	systemClock,
+	SimulatedClock,
+	TaskTracker,
+	stableId
 };
-
@@ -0,0 +1,29 @@
+/**
+ * Keeps track of fire-and-forget promises started from event handlers so callers
+ * that need a settled pipeline (backtests, shutdown) can wait for them.
+ */
+class TaskTracker {
+	constructor() {
+		this.tasks = new Set();
+	}
+
+	track(promise) {
+		this.tasks.add(promise);
+		const remove = () => this.tasks.delete(promise);
+		promise.then(remove, remove);
+		return promise;
+	}
+
+	get size() {
+		return this.tasks.size;
+	}
+
+	async whenIdle() {
+		// Tasks may schedule further tasks while we wait, so loop until none remain
+		while (this.tasks.size > 0) {
+			await Promise.allSettled(Array.from(this.tasks));
+		}
+	}
+}
+
+module.exports = { TaskTracker };